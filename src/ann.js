@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+import db, { getDatabasePath } from './db.js';
+import { bufferToFloat32Array, float32ArrayToBuffer, decodeVector } from './utils.js';
+import { embeddingConfigKey } from './embeddings.js';
+import { vectorEncoding } from './quantize.js';
+
+// Below this many vectors an exact scan is fast enough; no index is built
+export const ANN_MIN_VECTORS = 10000;
+export const DEFAULT_PROBES = 16;
+
+const MAX_LISTS = 4096;
+const SAMPLE_PER_LIST = 40;
+const KMEANS_ITERATIONS = 8;
+const ASSIGN_BATCH_SIZE = 1000;
+// Longest stretch of k-means or assignment work between event-loop yields
+const YIELD_INTERVAL_MS = 20;
+
+// Centroids loaded for querying, keyed by collection id, with the
+// ann_versions version they were loaded at; cleared when the database changes
+const centroidCache = new Map();
+let centroidCachePath = null;
+
+/**
+ * Scale a vector to unit length (in place) so dot product == cosine
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function nearestList(vector, centroids) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let i = 0; i < centroids.length; i++) {
+    const score = dot(vector, centroids[i]);
+    if (score > bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns an async checkpoint that yields to the event loop once
+ * YIELD_INTERVAL_MS have passed since the last yield, so a long build
+ * doesn't hold up a server, and throws once `signal` aborts
+ */
+function createYielder(signal) {
+  let last = Date.now();
+  return async () => {
+    signal?.throwIfAborted();
+    if (Date.now() - last < YIELD_INTERVAL_MS) return;
+    await new Promise(resolve => setImmediate(resolve));
+    signal?.throwIfAborted();
+    last = Date.now();
+  };
+}
+
+/**
+ * Spherical k-means over unit vectors
+ */
+async function kmeans(vectors, k, { iterations = KMEANS_ITERATIONS, checkpoint, onIteration }) {
+  const dimensions = vectors[0].length;
+
+  // Seed with k distinct vectors spread across the sample
+  const step = vectors.length / k;
+  let centroids = Array.from({ length: k }, (_, i) => Float32Array.from(vectors[Math.floor(i * step)]));
+  const assignments = new Int32Array(vectors.length);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let moved = 0;
+    onIteration(iter);
+    for (let v = 0; v < vectors.length; v++) {
+      await checkpoint();
+      const list = nearestList(vectors[v], centroids);
+      if (list !== assignments[v]) moved++;
+      assignments[v] = list;
+    }
+
+    const sums = Array.from({ length: k }, () => new Float32Array(dimensions));
+    const counts = new Int32Array(k);
+    for (let v = 0; v < vectors.length; v++) {
+      const sum = sums[assignments[v]];
+      const vector = vectors[v];
+      for (let i = 0; i < dimensions; i++) sum[i] += vector[i];
+      counts[assignments[v]]++;
+    }
+
+    centroids = sums.map((sum, list) => {
+      // Reseed empty lists from a random sample vector
+      if (counts[list] === 0) {
+        return Float32Array.from(vectors[Math.floor(Math.random() * vectors.length)]);
+      }
+      return normalize(sum);
+    });
+
+    if (iter > 0 && moved === 0) break;
+  }
+
+  return centroids;
+}
+
+/**
+ * Count vectors in a collection that belong to the given embedding space
+ */
+function countSpaceVectors(collectionId, config, dimensions) {
+  return db.prepare(`
+    SELECT COUNT(*) as count
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+      AND e.embedding_provider = ? AND e.embedding_model = ? AND e.dimensions = ?
+  `).get(collectionId, config.provider, config.model, dimensions).count;
+}
+
+/**
+ * Encoding of a collection's stored vectors
+ */
+function collectionEncoding(collectionId) {
+  return vectorEncoding(db.prepare('SELECT quantization FROM collections WHERE id = ?').get(collectionId)?.quantization);
+}
+
+/**
+ * Reservoir-sample vectors from a collection's embedding space
+ */
+function sampleSpaceVectors(collectionId, config, dimensions, size) {
+  const sample = [];
+  let seen = 0;
+
+  const rows = db.prepare(`
+    SELECT e.embedding
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+      AND e.embedding_provider = ? AND e.embedding_model = ? AND e.dimensions = ?
+  `).iterate(collectionId, config.provider, config.model, dimensions);
+
+  for (const row of rows) {
+    seen++;
+    if (sample.length < size) {
+      sample.push(row.embedding);
+    } else {
+      const j = Math.floor(Math.random() * seen);
+      if (j < size) sample[j] = row.embedding;
+    }
+  }
+
+  const encoding = collectionEncoding(collectionId);
+  return sample.map(buffer => normalize(decodeVector(buffer, dimensions, encoding)));
+}
+
+/**
+ * Assign every unassigned vector of the index's space to its nearest list
+ */
+async function assignPending(collectionId, index, centroids, checkpoint, onAssigned = () => {}) {
+  const [provider, ...modelParts] = index.embedding_space.split(':');
+  const model = modelParts.join(':');
+
+  const select = db.prepare(`
+    SELECT e.chunk_id, e.embedding
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ? AND e.ann_list IS NULL
+      AND e.embedding_provider = ? AND e.embedding_model = ? AND e.dimensions = ?
+    LIMIT ?
+  `);
+  const update = db.prepare('UPDATE embeddings SET ann_list = ? WHERE chunk_id = ?');
+  const write = db.transaction((assignments) => {
+    for (const [chunkId, list] of assignments) update.run(list, chunkId);
+  });
+
+  const encoding = collectionEncoding(collectionId);
+  let assigned = 0;
+  while (true) {
+    const rows = select.all(collectionId, provider, model, index.dimensions, ASSIGN_BATCH_SIZE);
+    if (rows.length === 0) break;
+
+    const assignments = [];
+    for (const row of rows) {
+      await checkpoint();
+      assignments.push([
+        row.chunk_id,
+        nearestList(normalize(decodeVector(row.embedding, index.dimensions, encoding)), centroids)
+      ]);
+    }
+    write(assignments);
+    assigned += rows.length;
+    onAssigned(assigned);
+  }
+
+  return assigned;
+}
+
+function loadCentroids(collectionId) {
+  return db.prepare(`
+    SELECT centroid FROM ann_centroids WHERE collection_id = ? ORDER BY list_id
+  `).all(collectionId).map(row => bufferToFloat32Array(row.centroid));
+}
+
+/**
+ * Get the ANN index row for a collection, if any
+ */
+export function getAnnIndex(collectionId) {
+  return db.prepare('SELECT * FROM ann_indexes WHERE collection_id = ?').get(collectionId) || null;
+}
+
+/**
+ * Drop a collection's ANN index; vector search falls back to an exact scan
+ */
+export function dropAnnIndex(collectionId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM ann_centroids WHERE collection_id = ?').run(collectionId);
+    db.prepare('DELETE FROM ann_indexes WHERE collection_id = ?').run(collectionId);
+    db.prepare(`
+      UPDATE embeddings SET ann_list = NULL
+      WHERE ann_list IS NOT NULL AND chunk_id IN (
+        SELECT c.id FROM chunks c
+        JOIN file_metadata fm ON c.file_metadata_id = fm.id
+        WHERE fm.collection_id = ?
+      )
+    `).run(collectionId);
+  })();
+  centroidCache.delete(collectionId);
+}
+
+/**
+ * Build (or rebuild) an IVF index for a collection's active embedding space:
+ * k-means centroids over a sample, then every vector assigned to a list.
+ * Yields to the event loop as it goes and reports { phase, done, total }
+ * (k-means iterations, then assigned vectors) to onProgress. An aborted
+ * `signal` throws its reason: during k-means the old index is kept, during
+ * assignment the remaining vectors stay unassigned (always scanned) until
+ * the next updateAnnIndex.
+ */
+export async function buildAnnIndex(collectionId, config, dimensions, options = {}) {
+  const { lists = null, force = false, signal = null, onProgress = () => {} } = options;
+  const checkpoint = createYielder(signal);
+  const space = embeddingConfigKey(config);
+  const count = countSpaceVectors(collectionId, config, dimensions);
+
+  if (count === 0 || (count < ANN_MIN_VECTORS && !force)) {
+    dropAnnIndex(collectionId);
+    return { built: false, vectors: count };
+  }
+
+  const listCount = Math.max(1, Math.min(MAX_LISTS, lists ?? Math.round(Math.sqrt(count)), count));
+  const sample = sampleSpaceVectors(collectionId, config, dimensions, listCount * SAMPLE_PER_LIST);
+  const centroids = await kmeans(sample, listCount, {
+    checkpoint,
+    onIteration: (iteration) => onProgress({ phase: 'clustering', done: iteration, total: KMEANS_ITERATIONS })
+  });
+
+  dropAnnIndex(collectionId);
+
+  db.transaction(() => {
+    const insert = db.prepare('INSERT INTO ann_centroids (collection_id, list_id, centroid) VALUES (?, ?, ?)');
+    centroids.forEach((centroid, list) => insert.run(collectionId, list, float32ArrayToBuffer(centroid)));
+
+    db.prepare(`
+      INSERT INTO ann_indexes (collection_id, embedding_space, dimensions, list_count, vector_count)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(collectionId, space, dimensions, listCount, count);
+  })();
+
+  const index = getAnnIndex(collectionId);
+  onProgress({ phase: 'assigning', done: 0, total: count });
+  await assignPending(collectionId, index, centroids, checkpoint, (done) => onProgress({ phase: 'assigning', done, total: count }));
+
+  return { built: true, vectors: count, lists: listCount };
+}
+
+/**
+ * Keep a collection's ANN index in step after embedding: build it once the
+ * collection is large enough, rebuild when the space changed or the
+ * collection doubled since the last build, otherwise assign new vectors.
+ * `signal` and `onProgress` are passed on as in buildAnnIndex.
+ */
+export async function updateAnnIndex(collectionId, config, dimensions, options = {}) {
+  if (!dimensions) return { built: false, assigned: 0 };
+
+  const index = getAnnIndex(collectionId);
+  const space = embeddingConfigKey(config);
+
+  if (!index || index.embedding_space !== space || index.dimensions !== dimensions) {
+    const count = countSpaceVectors(collectionId, config, dimensions);
+    if (count < ANN_MIN_VECTORS) {
+      if (index) dropAnnIndex(collectionId);
+      return { built: false, assigned: 0 };
+    }
+    return buildAnnIndex(collectionId, config, dimensions, options);
+  }
+
+  if (countSpaceVectors(collectionId, config, dimensions) > index.vector_count * 2) {
+    return buildAnnIndex(collectionId, config, dimensions, { ...options, force: true });
+  }
+
+  const assigned = await assignPending(collectionId, index, loadCentroids(collectionId), createYielder(options.signal));
+  return { built: false, assigned };
+}
+
+/**
+ * Pick the lists to scan for a query. Returns null when the collection has
+ * no usable index for this space, meaning the caller should scan exactly.
+ */
+export function getProbeLists(collectionId, space, queryEmbedding, probes = DEFAULT_PROBES) {
+  const index = getAnnIndex(collectionId);
+  if (!index || index.embedding_space !== space || index.dimensions !== queryEmbedding.length) {
+    return null;
+  }
+
+  // Collection ids repeat across databases; versions only within one
+  if (centroidCachePath !== getDatabasePath()) {
+    centroidCache.clear();
+    centroidCachePath = getDatabasePath();
+  }
+  const version = db.prepare('SELECT version FROM ann_versions WHERE collection_id = ?').get(collectionId)?.version ?? 0;
+  let cached = centroidCache.get(collectionId);
+  if (!cached || cached.version !== version) {
+    cached = { version, centroids: loadCentroids(collectionId) };
+    centroidCache.set(collectionId, cached);
+  }
+
+  const probeCount = Math.max(1, Math.min(probes, cached.centroids.length));
+  if (probeCount >= cached.centroids.length) return null;
+
+  const query = normalize(Float32Array.from(queryEmbedding));
+  return cached.centroids
+    .map((centroid, list) => ({ list, score: dot(query, centroid) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, probeCount)
+    .map(entry => entry.list);
+}
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+import db from './db.js';
+import { getCollection, getCollections } from './collections.js';
+import { syncChunks, storeEmbeddings, setEmbeddingSpace } from './indexer.js';
+import { storeLinks, updateLinkGraph } from './links.js';
+import { resolveEmbeddingConfig, embeddingConfigKey } from './embeddings.js';
+import { updateAnnIndex } from './ann.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { vectorEncoding } from './quantize.js';
+import { decodeVector } from './utils.js';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, openSync, closeSync, readSync, writeSync, createReadStream } from 'fs';
+import { join, resolve, relative, sep, isAbsolute } from 'path';
+import { createInterface } from 'readline';
+
+// An archive is a directory: manifest.json, records.jsonl (one collection,
+// file or chunk per line, chunks following their file) and vectors.bin (the
+// stored embedding BLOBs back to back, addressed by offset/length)
+export const ARCHIVE_FORMAT = 'ddsearch-index';
+export const ARCHIVE_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+const RECORDS_FILE = 'records.jsonl';
+const VECTORS_FILE = 'vectors.bin';
+
+function selectCollections(names) {
+  if (names.length === 0) return getCollections();
+  return names.map(name => {
+    const collection = getCollection(name);
+    if (!collection) throw new Error(`Collection "${name}" not found`);
+    return collection;
+  });
+}
+
+/**
+ * Write collections (settings, file metadata, links, chunks and embeddings)
+ * to an archive directory, which must be new or empty.
+ * Options: { collectionNames } (default: all). Returns the manifest.
+ */
+export function exportIndex(dir, options = {}) {
+  const { collectionNames = [] } = options;
+  const collections = selectCollections(collectionNames);
+  if (collections.length === 0) {
+    throw new Error('No collections to export');
+  }
+
+  if (existsSync(dir) && readdirSync(dir).length > 0) {
+    throw new Error(`Export directory is not empty: ${dir}`);
+  }
+  mkdirSync(dir, { recursive: true });
+
+  const records = openSync(join(dir, RECORDS_FILE), 'w');
+  const vectors = openSync(join(dir, VECTORS_FILE), 'w');
+  const write = record => writeSync(records, `${JSON.stringify(record)}\n`);
+  let offset = 0;
+
+  const getFiles = db.prepare('SELECT * FROM file_metadata WHERE collection_id = ? ORDER BY file_path');
+  const getLinks = db.prepare('SELECT target, kind, line FROM links WHERE file_metadata_id = ? ORDER BY id');
+  const getChunks = db.prepare(`
+    SELECT c.*, e.embedding, e.embedding_provider, e.embedding_model, e.dimensions
+    FROM chunks c
+    LEFT JOIN embeddings e ON e.chunk_id = c.id
+    WHERE c.file_metadata_id = ?
+    ORDER BY c.chunk_index
+  `);
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    collections: []
+  };
+
+  try {
+    for (const collection of collections) {
+      const { id, created_at, ...settings } = collection;
+      const summary = { name: collection.name, basePath: collection.base_path, files: 0, chunks: 0, embeddings: 0 };
+      write({ type: 'collection', ...settings });
+
+      for (const file of getFiles.all(id)) {
+        write({
+          type: 'file',
+          path: relative(collection.base_path, file.file_path).split(sep).join('/'),
+          hash: file.file_hash,
+          title: file.title,
+          tags: file.tags,
+          doc_date: file.doc_date,
+          frontmatter: file.frontmatter,
+          indexed_at: file.indexed_at,
+          links: getLinks.all(file.id)
+        });
+        summary.files++;
+
+        for (const chunk of getChunks.all(file.id)) {
+          let embedding = null;
+          if (chunk.embedding) {
+            embedding = {
+              provider: chunk.embedding_provider,
+              model: chunk.embedding_model,
+              dimensions: chunk.dimensions,
+              encoding: vectorEncoding(collection.quantization),
+              offset,
+              length: chunk.embedding.length
+            };
+            writeSync(vectors, chunk.embedding);
+            offset += chunk.embedding.length;
+            summary.embeddings++;
+          }
+
+          write({
+            type: 'chunk',
+            index: chunk.chunk_index,
+            text: chunk.chunk_text,
+            start_line: chunk.start_line,
+            end_line: chunk.end_line,
+            token_count: chunk.token_count,
+            heading_path: chunk.heading_path,
+            chunker: chunk.chunker,
+            embedding
+          });
+          summary.chunks++;
+        }
+      }
+
+      manifest.collections.push(summary);
+    }
+  } finally {
+    closeSync(records);
+    closeSync(vectors);
+  }
+
+  writeFileSync(join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/**
+ * Read and check an archive's manifest
+ */
+export function readManifest(dir) {
+  for (const file of [MANIFEST_FILE, RECORDS_FILE, VECTORS_FILE]) {
+    if (!existsSync(join(dir, file))) {
+      throw new Error(`Not a ddsearch archive (missing ${file}): ${dir}`);
+    }
+  }
+
+  const manifest = JSON.parse(readFileSync(join(dir, MANIFEST_FILE), 'utf-8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a ddsearch archive: ${dir}`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this ddsearch supports (${ARCHIVE_VERSION}). Upgrade ddsearch to import it`);
+  }
+  return manifest;
+}
+
+/**
+ * Deepest directory containing all paths
+ */
+function commonRoot(paths) {
+  const parts = paths.map(path => path.split(sep));
+  const common = [];
+  for (let i = 0; parts.every(p => i < p.length && p[i] === parts[0][i]); i++) {
+    common.push(parts[0][i]);
+  }
+  return common.join(sep) || sep;
+}
+
+/**
+ * Load an archive written by exportIndex.
+ * Options: { collectionNames } (default: all in the archive) and { root },
+ * which moves the collections' base paths: the directory they share is
+ * replaced by `root` (a single collection's base path becomes `root`).
+ * A collection that already exists keeps its settings and base path and
+ * receives the archive's files; files whose content hash matches are left
+ * alone and chunks whose text hash already exists keep their embeddings.
+ * Vectors from another provider, model or vector size than the target
+ * collection's embedding config are skipped (counted in skippedEmbeddings);
+ * those chunks are left for `embed`.
+ */
+export async function importIndex(dir, options = {}) {
+  const { collectionNames = [], root = null } = options;
+  const manifest = readManifest(dir);
+
+  const archived = new Map(manifest.collections.map(collection => [collection.name, collection]));
+  for (const name of collectionNames) {
+    if (!archived.has(name)) throw new Error(`Collection "${name}" is not in the archive`);
+  }
+  const selected = collectionNames.length > 0 ? collectionNames : [...archived.keys()];
+  const sharedRoot = commonRoot(selected.map(name => archived.get(name).basePath));
+  const mapBasePath = basePath => (root ? join(resolve(root), relative(sharedRoot, basePath)) : basePath);
+
+  const columns = new Set(db.prepare('PRAGMA table_info(collections)').all().map(column => column.name));
+  const getFile = db.prepare('SELECT id, file_hash FROM file_metadata WHERE collection_id = ? AND file_path = ?');
+  const hasEmbedding = db.prepare('SELECT 1 FROM embeddings WHERE chunk_id = ?');
+
+  const vectors = openSync(join(dir, VECTORS_FILE), 'r');
+  // Archives written before vectors carried their encoding hold float32 or float16
+  const readVector = ({ offset, length, dimensions, encoding = null }) => {
+    const buffer = Buffer.alloc(length);
+    readSync(vectors, buffer, 0, length, offset);
+    return decodeVector(buffer, dimensions, encoding);
+  };
+
+  const results = { collections: [] };
+  let target = null;
+  let summary = null;
+  let pending = null;
+  // The target's embedding config and vector size (null until known)
+  let space = null;
+
+  const createCollection = (record) => {
+    const { type, ...settings } = record;
+    settings.base_path = mapBasePath(settings.base_path);
+    const names = Object.keys(settings).filter(name => columns.has(name) && name !== 'id' && name !== 'created_at');
+    db.prepare(`
+      INSERT INTO collections (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+    `).run(...names.map(name => settings[name]));
+
+    if (!existsSync(settings.base_path)) {
+      console.warn(`⚠️  ${record.name}: base path ${settings.base_path} does not exist; indexing would drop its files (use --root to move it)`);
+    }
+    return getCollection(record.name);
+  };
+
+  const importFile = db.transaction(({ record, chunks }) => {
+    const filePath = join(target.base_path, ...record.path.split('/'));
+    if (isAbsolute(record.path) || relative(target.base_path, filePath).startsWith('..')) {
+      console.warn(`⚠️  ${target.name}: skipping ${record.path}, outside the collection`);
+      return;
+    }
+
+    const existing = getFile.get(target.id, filePath);
+    if (existing && existing.file_hash === record.hash) {
+      summary.unchanged++;
+      return;
+    }
+
+    const metadata = [record.hash, record.title, record.tags, record.doc_date, record.frontmatter, record.indexed_at];
+    let fileMetadataId;
+    if (existing) {
+      db.prepare(`
+        UPDATE file_metadata
+        SET file_hash = ?, title = ?, tags = ?, doc_date = ?, frontmatter = ?, indexed_at = ?
+        WHERE id = ?
+      `).run(...metadata, existing.id);
+      fileMetadataId = existing.id;
+    } else {
+      fileMetadataId = db.prepare(`
+        INSERT INTO file_metadata (collection_id, file_path, file_hash, title, tags, doc_date, frontmatter, indexed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(target.id, filePath, ...metadata).lastInsertRowid;
+    }
+
+    const { inserted, reused, ids } = syncChunks(fileMetadataId, chunks.map(chunk => ({
+      text: chunk.text,
+      chunkIndex: chunk.index,
+      startLine: chunk.start_line,
+      endLine: chunk.end_line,
+      tokenCount: chunk.token_count,
+      headingPath: chunk.heading_path,
+      chunker: chunk.chunker
+    })), record.title);
+    storeLinks(fileMetadataId, record.links ?? []);
+
+    // Chunks that were already present keep the embedding they have
+    const embeddings = [];
+    chunks.forEach((chunk, i) => {
+      if (chunk.embedding && !hasEmbedding.get(ids[i])) {
+        const { provider, model, dimensions } = chunk.embedding;
+        if (provider !== space.config.provider || model !== space.config.model || (space.dimensions !== null && dimensions !== space.dimensions)) {
+          summary.skippedEmbeddings++;
+          return;
+        }
+        if (space.dimensions === null) {
+          space.dimensions = dimensions;
+          setEmbeddingSpace(target.id, space.key, dimensions);
+        }
+
+        embeddings.push({
+          chunkId: ids[i],
+          vector: readVector(chunk.embedding),
+          model: chunk.embedding.model,
+          provider: chunk.embedding.provider
+        });
+      }
+    });
+    storeEmbeddings(embeddings, target.quantization);
+
+    summary.files++;
+    summary.chunks += inserted;
+    summary.reused += reused;
+    summary.embeddings += embeddings.length;
+  });
+
+  const flush = () => {
+    if (pending && target) importFile(pending);
+    pending = null;
+  };
+
+  try {
+    const lines = createInterface({ input: createReadStream(join(dir, RECORDS_FILE)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      const record = JSON.parse(line);
+
+      if (record.type === 'collection') {
+        flush();
+        target = null;
+        if (!selected.includes(record.name)) continue;
+
+        const existing = getCollection(record.name);
+        target = existing ?? createCollection(record);
+        const config = resolveEmbeddingConfig(target);
+        const key = embeddingConfigKey(config);
+        space = { config, key, dimensions: target.embedding_space === key ? target.embedding_dimensions : null };
+        summary = { name: target.name, basePath: target.base_path, created: !existing, files: 0, unchanged: 0, chunks: 0, reused: 0, embeddings: 0, skippedEmbeddings: 0 };
+        results.collections.push(summary);
+      } else if (record.type === 'file') {
+        flush();
+        pending = { record, chunks: [] };
+      } else if (record.type === 'chunk') {
+        pending?.chunks.push(record);
+      }
+    }
+    flush();
+  } finally {
+    closeSync(vectors);
+  }
+
+  for (const { name } of results.collections) {
+    const collection = getCollection(name);
+    updateLinkGraph(collection);
+    await updateAnnIndex(collection.id, resolveEmbeddingConfig(collection), collection.embedding_dimensions);
+  }
+
+  return results;
+}
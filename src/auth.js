@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+import db from './db.js';
+import { getCollection } from './collections.js';
+import { hashContent } from './utils.js';
+import { randomBytes } from 'crypto';
+
+// search: /search; read: /file, /links, /backlinks; admin: collections and
+// jobs. admin includes the other two.
+export const PERMISSIONS = ['search', 'read', 'admin'];
+export const DEFAULT_PERMISSIONS = ['search', 'read'];
+
+const TOKEN_PREFIX = 'dds_';
+
+/**
+ * Create an API token scoped to some collections (names; empty = all of
+ * them, including ones added later) and permissions.
+ * Returns { name, token, permissions, collections }; the token itself is
+ * only stored hashed, so this is the one chance to show it.
+ */
+export function createToken(name, options = {}) {
+  const { collections = [], permissions = DEFAULT_PERMISSIONS } = options;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Token name cannot be empty');
+  }
+  if (permissions.length === 0) {
+    throw new Error('A token needs at least one permission');
+  }
+  for (const permission of permissions) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid permission: ${permission}. Use one of: ${PERMISSIONS.join(', ')}`);
+    }
+  }
+  const collectionIds = collections.map((collectionName) => {
+    const collection = getCollection(collectionName);
+    if (!collection) throw new Error(`Collection "${collectionName}" not found`);
+    return collection.id;
+  });
+  if (db.prepare('SELECT 1 FROM api_tokens WHERE name = ?').get(name)) {
+    throw new Error(`Token "${name}" already exists`);
+  }
+
+  const token = `${TOKEN_PREFIX}${randomBytes(24).toString('base64url')}`;
+
+  db.transaction(() => {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO api_tokens (name, token_hash, token_prefix, permissions, all_collections)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name, hashContent(token), token.slice(0, TOKEN_PREFIX.length + 6), [...new Set(permissions)].join(','), collectionIds.length === 0 ? 1 : 0);
+
+    const insert = db.prepare('INSERT OR IGNORE INTO api_token_collections (token_id, collection_id) VALUES (?, ?)');
+    for (const collectionId of collectionIds) insert.run(lastInsertRowid, collectionId);
+  })();
+
+  return { name, token, permissions: [...new Set(permissions)], collections: collections.length > 0 ? collections : null };
+}
+
+function toScope(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    permissions: row.permissions.split(','),
+    // null = every collection
+    collectionIds: row.all_collections
+      ? null
+      : db.prepare('SELECT collection_id FROM api_token_collections WHERE token_id = ?').all(row.id).map(r => r.collection_id),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * All tokens (never the secrets), with collection names
+ */
+export function listTokens() {
+  const names = new Map(db.prepare('SELECT id, name FROM collections').all().map(row => [row.id, row.name]));
+  return db.prepare('SELECT * FROM api_tokens ORDER BY name').all().map((row) => {
+    const scope = toScope(row);
+    return { ...scope, collections: scope.collectionIds && scope.collectionIds.map(id => names.get(id)) };
+  });
+}
+
+/**
+ * Delete a token; requests using it fail from then on
+ */
+export function revokeToken(name) {
+  const result = db.prepare('DELETE FROM api_tokens WHERE name = ?').run(name);
+  if (result.changes === 0) {
+    throw new Error(`Token "${name}" not found`);
+  }
+  return { name, revoked: true };
+}
+
+/**
+ * Whether any token exists (the server requires one once any does)
+ */
+export function hasTokens() {
+  return Boolean(db.prepare('SELECT 1 FROM api_tokens LIMIT 1').get());
+}
+
+/**
+ * Look up a presented token. Returns its scope ({ name, permissions,
+ * collectionIds }) or null if it is unknown or revoked.
+ */
+export function authenticate(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').get(hashContent(token));
+  if (!row) return null;
+
+  db.prepare('UPDATE api_tokens SET last_used_at = unixepoch() WHERE id = ?').run(row.id);
+  return toScope(row);
+}
+
+/**
+ * Whether a scope grants a permission (admin grants all)
+ */
+export function hasPermission(scope, permission) {
+  return scope.permissions.includes(permission) || scope.permissions.includes('admin');
+}
+
+/**
+ * Whether a scope covers a collection (by id)
+ */
+export function canAccessCollection(scope, collectionId) {
+  return scope.collectionIds === null || scope.collectionIds.includes(collectionId);
+}
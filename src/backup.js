@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+import Database from 'better-sqlite3';
+import { join, dirname, basename, extname } from 'path';
+import { existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+
+export const DEFAULT_BACKUP_KEEP = 5;
+
+// Tables worth salvaging, parents first. ANN tables are left out: they are
+// rebuilt from the embeddings on the next embed. API tokens must survive,
+// or a recovered server would stop asking for them.
+const SALVAGE_TABLES = ['collections', 'file_metadata', 'chunks', 'embeddings', 'links', 'api_tokens', 'api_token_collections'];
+const SALVAGE_BATCH_SIZE = 1000;
+
+/**
+ * Backups of a database live in a backups/ directory next to it
+ */
+export function getBackupDir(dbPath) {
+  return join(dirname(dbPath), 'backups');
+}
+
+function backupPattern(dbPath) {
+  const name = basename(dbPath, extname(dbPath)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${name}-(\\d{8}T\\d{9}Z)\\.db$`);
+}
+
+/**
+ * Backups of a database, newest first: [{ path, createdAt, size }]
+ */
+export function listBackups(dbPath) {
+  const dir = getBackupDir(dbPath);
+  if (!existsSync(dir)) return [];
+
+  const pattern = backupPattern(dbPath);
+  return readdirSync(dir)
+    .filter(file => pattern.test(file))
+    .sort()
+    .reverse()
+    .map(file => {
+      const [, stamp] = file.match(pattern);
+      const createdAt = new Date(stamp.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)(\d{3})Z$/, '$1-$2-$3T$4:$5:$6.$7Z'));
+      return { path: join(dir, file), createdAt, size: statSync(join(dir, file)).size };
+    });
+}
+
+/**
+ * Copy the open database to a timestamped file with SQLite's online backup
+ * API (readers and writers carry on meanwhile), then delete all but the
+ * newest `keep` backups.
+ * Returns { path, size, removed } with the paths of deleted backups.
+ */
+export async function createBackup(connection, dbPath, options = {}) {
+  const { keep = DEFAULT_BACKUP_KEEP } = options;
+  if (!(Number.isInteger(keep) && keep > 0)) {
+    throw new Error('keep must be a positive number of backups');
+  }
+
+  const dir = getBackupDir(dbPath);
+  mkdirSync(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const path = join(dir, `${basename(dbPath, extname(dbPath))}-${stamp}.db`);
+  await connection.backup(path);
+
+  const removed = listBackups(dbPath).slice(keep).map(backup => backup.path);
+  for (const oldPath of removed) unlinkSync(oldPath);
+
+  return { path, size: statSync(path).size, removed };
+}
+
+/**
+ * Newest backup of a database that passes an integrity check, or null
+ */
+export function findHealthyBackup(dbPath) {
+  for (const backup of listBackups(dbPath)) {
+    try {
+      const connection = new Database(backup.path, { readonly: true, fileMustExist: true });
+      try {
+        if (connection.pragma('quick_check', { simple: true }) === 'ok') return backup;
+      } finally {
+        connection.close();
+      }
+    } catch (error) {
+      // Unreadable backup: try the next older one
+    }
+  }
+  return null;
+}
+
+/**
+ * Row counts worth reporting after a restore or salvage
+ */
+export function countRows(connection) {
+  const count = table => connection.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  return {
+    collections: count('collections'),
+    files: count('file_metadata'),
+    chunks: count('chunks'),
+    embeddings: count('embeddings')
+  };
+}
+
+/**
+ * Past a read that fails after `fromRowid`: find the next rowid reads can
+ * start after, by doubling the step until a read works and then narrowing
+ * down by bisection so readable rows right after the damage are kept.
+ * Returns that rowid, or null when no read up to maxRowid works.
+ */
+function skipDamagedRange(read, fromRowid, maxRowid) {
+  // Rowids are assigned from 1 up
+  let bad = Math.max(fromRowid, 0);
+  let step = 1;
+  while (bad + step < maxRowid && read(bad + step, 1) === null) {
+    bad += step;
+    step *= 2;
+  }
+  if (bad + step >= maxRowid) return null;
+
+  let good = bad + step;
+  while (good - bad > 1) {
+    const middle = bad + Math.floor((good - bad) / 2);
+    if (read(middle, 1) === null) bad = middle;
+    else good = middle;
+  }
+  return good;
+}
+
+/**
+ * Copy whatever rows can still be read from a damaged database into
+ * `target` (which already has the current schema). Unreadable pages are
+ * skipped; rows left without their parent are dropped afterwards.
+ * Returns countRows(target), or null when the file can't be opened at all.
+ */
+export function salvageRows(sourcePath, target) {
+  let source;
+  try {
+    source = new Database(sourcePath, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return null;
+  }
+
+  target.pragma('foreign_keys = OFF');
+  try {
+    for (const table of SALVAGE_TABLES) {
+      let columns;
+      try {
+        const targetColumns = new Set(target.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+        columns = source.prepare(`PRAGMA table_info(${table})`).all()
+          .map(column => column.name)
+          .filter(column => targetColumns.has(column) && column !== 'ann_list');
+      } catch (error) {
+        continue;
+      }
+      if (columns.length === 0) continue;
+
+      const select = source.prepare(`
+        SELECT rowid AS salvage_rowid, ${columns.join(', ')} FROM ${table}
+        WHERE rowid > ? ORDER BY rowid LIMIT ?
+      `);
+      const insert = target.prepare(`
+        INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      `);
+      const insertRows = target.transaction((rows) => {
+        for (const row of rows) insert.run(...columns.map(column => row[column]));
+      });
+
+      const read = (afterRowid, limit) => {
+        try {
+          return select.all(afterRowid, limit);
+        } catch (error) {
+          return null;
+        }
+      };
+
+      let maxRowid;
+      try {
+        maxRowid = source.prepare(`SELECT MAX(rowid) AS max FROM ${table}`).get().max ?? Number.MIN_SAFE_INTEGER;
+      } catch (error) {
+        maxRowid = Number.MAX_SAFE_INTEGER;
+      }
+
+      // Read in rowid order, in batches. A batch that hits a damaged page
+      // is retried row by row up to the damage, the damaged range is
+      // skipped, and batches resume after it. Rows read one at a time are
+      // written in batches too.
+      let lastRowid = Number.MIN_SAFE_INTEGER;
+      let rowByRow = 0;
+      let pending = [];
+      while (lastRowid < maxRowid) {
+        const rows = read(lastRowid, rowByRow > 0 ? 1 : SALVAGE_BATCH_SIZE);
+        if (rows === null) {
+          if (rowByRow > 0) {
+            lastRowid = skipDamagedRange(read, lastRowid, maxRowid);
+            if (lastRowid === null) break;
+            rowByRow = 0;
+          } else {
+            rowByRow = SALVAGE_BATCH_SIZE;
+          }
+          continue;
+        }
+        if (rows.length === 0) break;
+        pending.push(...rows);
+        if (pending.length >= SALVAGE_BATCH_SIZE) {
+          insertRows(pending);
+          pending = [];
+        }
+        lastRowid = rows[rows.length - 1].salvage_rowid;
+        if (rowByRow > 0) rowByRow--;
+      }
+      insertRows(pending);
+    }
+
+    target.exec(`
+      DELETE FROM file_metadata WHERE collection_id NOT IN (SELECT id FROM collections);
+      DELETE FROM chunks WHERE file_metadata_id NOT IN (SELECT id FROM file_metadata);
+      DELETE FROM embeddings WHERE chunk_id NOT IN (SELECT id FROM chunks);
+      DELETE FROM links WHERE file_metadata_id NOT IN (SELECT id FROM file_metadata);
+      UPDATE links SET target_file_id = NULL WHERE target_file_id NOT IN (SELECT id FROM file_metadata);
+      DELETE FROM api_token_collections WHERE token_id NOT IN (SELECT id FROM api_tokens)
+        OR collection_id NOT IN (SELECT id FROM collections);
+      UPDATE collections SET needs_rechunk = 1;
+    `);
+  } finally {
+    target.pragma('foreign_keys = ON');
+    source.close();
+  }
+
+  return countRows(target);
+}
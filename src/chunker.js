@@ -1,21 +1,116 @@
 #!/usr/bin/env node
-import { estimateTokens } from './utils.js';
+import { extname } from 'path';
+import { getTokenizer } from './tokenizer.js';
 
-const TARGET_CHUNK_SIZE = 300; // tokens
-const MIN_CHUNK_SIZE = 100; // tokens
+export const OVERLAP_UNITS = ['tokens', 'lines'];
+
+export const DEFAULT_CHUNKING = {
+  chunkSize: 300, // tokens
+  minChunkSize: 100, // tokens
+  overlap: 0,
+  overlapUnit: 'tokens'
+};
+
+const HEADING_SEPARATOR = ' > ';
 
 /**
- * Split markdown content into semantic chunks
- * Returns array of { text, startLine, endLine, tokenCount }
+ * Resolve chunking settings: explicit overrides win, then the collection's
+ * stored settings, then DEFAULT_CHUNKING
  */
-export function chunkMarkdown(content) {
-  const lines = content.split('\n');
+export function resolveChunkingConfig(collection = null, overrides = {}) {
+  const pick = (key, column) => overrides[key] ?? collection?.[column] ?? DEFAULT_CHUNKING[key];
+
+  const config = {
+    chunkSize: Number(pick('chunkSize', 'chunk_size')),
+    minChunkSize: Number(pick('minChunkSize', 'min_chunk_size')),
+    overlap: Number(pick('overlap', 'chunk_overlap')),
+    overlapUnit: pick('overlapUnit', 'chunk_overlap_unit')
+  };
+
+  validateChunkingConfig(config);
+  return config;
+}
+
+/**
+ * Throw on an invalid (partial) chunking config
+ */
+export function validateChunkingConfig(config) {
+  for (const key of ['chunkSize', 'minChunkSize']) {
+    if (config[key] != null && !(Number.isInteger(config[key]) && config[key] > 0)) {
+      throw new Error(`${key} must be a positive integer`);
+    }
+  }
+  if (config.overlap != null && !(Number.isInteger(config.overlap) && config.overlap >= 0)) {
+    throw new Error('overlap must be a non-negative integer');
+  }
+  if (config.overlapUnit != null && !OVERLAP_UNITS.includes(config.overlapUnit)) {
+    throw new Error(`Invalid overlap unit: ${config.overlapUnit}. Use one of: ${OVERLAP_UNITS.join(', ')}`);
+  }
+  if (config.chunkSize != null && config.minChunkSize != null && config.minChunkSize > config.chunkSize) {
+    throw new Error('minChunkSize must not exceed chunkSize');
+  }
+  if (config.chunkSize != null && config.overlap != null && config.overlapUnit !== 'lines' && config.overlap >= config.chunkSize) {
+    throw new Error('overlap must be smaller than chunkSize');
+  }
+}
+
+/**
+ * Group lines into chunks of roughly `chunkSize` tokens, breaking at
+ * headings and blank lines.
+ * Options:
+ *   startLine    file line of lines[0] (e.g. after frontmatter)
+ *   lineNumbers  file line of each entry, for text converted from another
+ *                format (overrides startLine)
+ *   headingAt    (i) => { level, title } | null
+ *   fences       keep ``` code blocks together (markdown)
+ *   headings     heading titles already open when lines start, by level
+ *   tokenizer    counts tokens (see getTokenizer; default cl100k_base)
+ *   chunkSize, minChunkSize, overlap, overlapUnit (see DEFAULT_CHUNKING);
+ *                overlap repeats the last lines of a chunk split for size
+ *                at the start of the next one (headings are hard breaks)
+ * Returns array of { text, startLine, endLine, tokenCount, headingPath },
+ * where headingPath is the breadcrumb of headings the chunk starts under
+ * (e.g. "Auth > OAuth > Refresh tokens"), or null before the first heading.
+ */
+function chunkLines(lines, options = {}) {
+  const { startLine = 1, lineNumbers = null, headingAt = () => null, fences = false } = options;
+  const {
+    chunkSize = DEFAULT_CHUNKING.chunkSize,
+    minChunkSize = DEFAULT_CHUNKING.minChunkSize,
+    overlap = DEFAULT_CHUNKING.overlap,
+    overlapUnit = DEFAULT_CHUNKING.overlapUnit,
+    tokenizer = getTokenizer()
+  } = options;
+  const countTokens = text => tokenizer.count(text);
+  // headings[level - 1] is the current heading at that level
+  const headings = [...(options.headings ?? [])];
+  const lineAt = (index) => (lineNumbers ? lineNumbers[index] : startLine + index);
+
   const chunks = [];
   let currentChunk = [];
   let currentTokens = 0;
-  let chunkStartLine = 1;
+  let chunkStartIndex = 0;
+  let chunkHeadingPath;
+  // Leading lines of currentChunk repeated from the previous chunk
+  let carried = 0;
+
+  const currentHeadingPath = () => headings.filter(Boolean).join(HEADING_SEPARATOR) || null;
 
-  function flushChunk(nextStartLine = null) {
+  // Number of trailing lines of currentChunk to repeat in the next chunk
+  function overlapLength() {
+    let count = 0;
+    let lineCount = 0;
+    let tokens = 0;
+    while (count < currentChunk.length - 1 && (overlapUnit === 'lines' ? lineCount < overlap : tokens < overlap)) {
+      const line = currentChunk[currentChunk.length - 1 - count];
+      count++;
+      tokens += countTokens(line);
+      if (line.trim()) lineCount++;
+    }
+    return count;
+  }
+
+  function flushChunk(nextStartIndex = null, carry = false) {
     if (currentChunk.length === 0) return;
 
     const text = currentChunk.join('\n').trim();
@@ -25,33 +120,49 @@ export function chunkMarkdown(content) {
       return;
     }
 
-    const endLine = chunkStartLine + currentChunk.length - 1;
+    const endIndex = chunkStartIndex + currentChunk.length - 1;
 
-    chunks.push({
-      text,
-      startLine: chunkStartLine,
-      endLine,
-      tokenCount: estimateTokens(text)
-    });
+    // Nothing but the previous chunk's overlap: drop it
+    if (currentChunk.length > carried) {
+      chunks.push({
+        text,
+        startLine: lineAt(chunkStartIndex),
+        endLine: lineAt(endIndex),
+        tokenCount: countTokens(text),
+        headingPath: chunkHeadingPath ?? null
+      });
+    }
 
-    currentChunk = [];
-    currentTokens = 0;
-    chunkStartLine = nextStartLine ?? endLine + 1;
+    carried = carry && overlap > 0 ? overlapLength() : 0;
+    currentChunk = currentChunk.slice(currentChunk.length - carried);
+    currentTokens = currentChunk.reduce((sum, line) => sum + countTokens(line), 0);
+    chunkStartIndex = (nextStartIndex ?? endIndex + 1) - carried;
+    chunkHeadingPath = undefined;
   }
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const lineTokens = estimateTokens(line);
+    const lineTokens = countTokens(line);
 
     // Check if this is a heading or significant boundary
-    const isHeading = /^#{1,6}\s/.test(line);
-    const isCodeFence = /^```/.test(line);
+    const heading = headingAt(i);
+    const isCodeFence = fences && /^```/.test(line);
     const isHorizontalRule = /^(-{3,}|\*{3,}|_{3,})$/.test(line);
     const isBlankLine = line.trim().length === 0;
 
     // If we hit a heading and we have content, flush the current chunk
-    if (isHeading && currentChunk.length > 0 && currentTokens >= MIN_CHUNK_SIZE) {
-      flushChunk(i + 1);
+    if (heading && currentChunk.length > carried && currentTokens >= minChunkSize) {
+      flushChunk(i);
+    }
+
+    if (heading) {
+      headings.length = heading.level - 1;
+      headings[heading.level - 1] = heading.title;
+    }
+
+    // A chunk's breadcrumb is fixed by its first non-blank line
+    if (chunkHeadingPath === undefined && !isBlankLine) {
+      chunkHeadingPath = currentHeadingPath();
     }
 
     // Add line to current chunk
@@ -63,26 +174,26 @@ export function chunkMarkdown(content) {
       let j = i + 1;
       while (j < lines.length && !/^```/.test(lines[j])) {
         currentChunk.push(lines[j]);
-        currentTokens += estimateTokens(lines[j]);
+        currentTokens += countTokens(lines[j]);
         j++;
       }
       if (j < lines.length) {
         currentChunk.push(lines[j]); // closing fence
-        currentTokens += estimateTokens(lines[j]);
-        i = j;
+        currentTokens += countTokens(lines[j]);
       }
+      i = Math.min(j, lines.length - 1);
 
       // If code block is large, flush it
-      if (currentTokens >= TARGET_CHUNK_SIZE) {
-        flushChunk(i + 2);
+      if (currentTokens >= chunkSize) {
+        flushChunk(i + 1, true);
       }
       continue;
     }
 
     // If we've exceeded target size and hit a natural boundary, flush
-    if (currentTokens >= TARGET_CHUNK_SIZE) {
+    if (currentTokens >= chunkSize) {
       if (isBlankLine || isHorizontalRule || i === lines.length - 1) {
-        flushChunk(i + 2);
+        flushChunk(i + 1, true);
       }
     }
   }
@@ -93,15 +204,451 @@ export function chunkMarkdown(content) {
   return chunks;
 }
 
+function markdownHeading(line) {
+  const match = line.match(/^(#{1,6})\s/);
+  if (!match) return null;
+  return {
+    level: match[1].length,
+    title: line.replace(/^#+\s+/, '').replace(/\s+#+\s*$/, '').trim()
+  };
+}
+
+/**
+ * Split markdown content into semantic chunks. Options are those of
+ * chunkLines; `startLine` is the file line the content starts on (after
+ * frontmatter).
+ */
+export function chunkMarkdown(content, options = {}) {
+  const lines = content.split('\n');
+  return chunkLines(lines, {
+    ...options,
+    headingAt: i => markdownHeading(lines[i]),
+    fences: true
+  });
+}
+
+/**
+ * Plain text: paragraphs only
+ */
+export function chunkText(content, options = {}) {
+  return chunkLines(content.split('\n'), options);
+}
+
 /**
- * Chunk a file and return chunks with metadata
+ * reStructuredText: a title is a line underlined (optionally overlined) with
+ * punctuation; levels follow the order underline styles first appear
  */
-export function chunkFile(filePath, content) {
-  const rawChunks = chunkMarkdown(content);
+export function chunkRst(content, options = {}) {
+  const lines = content.split('\n');
+  const styles = [];
+  const titles = new Map();
+
+  for (let i = 0; i + 1 < lines.length; i++) {
+    const title = lines[i].trim();
+    const underline = lines[i + 1].trimEnd();
+    if (!title || /^\s/.test(lines[i]) || !/^([=\-~^"'`#*+:.])\1+$/.test(underline) || underline.length < title.length) {
+      continue;
+    }
+    if (/^([=\-~^"'`#*+:.])\1+$/.test(title)) continue;
+
+    const overlined = i > 0 && lines[i - 1].trimEnd() === underline;
+    const style = `${overlined ? 'over' : ''}${underline[0]}`;
+    if (!styles.includes(style)) styles.push(style);
+
+    titles.set(overlined ? i - 1 : i, { level: Math.min(styles.indexOf(style) + 1, 6), title });
+    i++;
+  }
+
+  return chunkLines(lines, { ...options, headingAt: i => titles.get(i) ?? null });
+}
+
+/**
+ * Org mode: `*` headlines, one star per level
+ */
+export function chunkOrg(content, options = {}) {
+  const lines = content.split('\n');
+  return chunkLines(lines, {
+    ...options,
+    headingAt: (i) => {
+      const match = lines[i].match(/^(\*+)\s+(.*)$/);
+      return match ? { level: Math.min(match[1].length, 6), title: match[2].trim() } : null;
+    }
+  });
+}
+
+const HTML_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'summary', 'table', 'td', 'th', 'title', 'tr', 'ul'
+]);
+
+// Block tags that also end a paragraph (blank line)
+const HTML_PARAGRAPH_TAGS = new Set(['article', 'blockquote', 'div', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert HTML to text lines, keeping headings as markdown-style `#` lines.
+ * Returns { lines, lineNumbers, headings } where lineNumbers maps each
+ * output line to the source line it came from.
+ */
+export function htmlToLines(html) {
+  const lines = [];
+  const lineNumbers = [];
+  const headings = new Map();
+
+  let sourceLine = 1;
+  let current = '';
+  let currentLine = 1;
+  let heading = null;
+  let preformatted = false;
+
+  const endLine = (blank = false) => {
+    const text = current.trim();
+    if (text) {
+      if (heading) headings.set(lines.length, { level: heading, title: text });
+      lines.push(heading ? `${'#'.repeat(heading)} ${text}` : text);
+      lineNumbers.push(currentLine);
+    }
+    if (blank && lines.length > 0 && lines[lines.length - 1] !== '') {
+      lines.push('');
+      lineNumbers.push(sourceLine);
+    }
+    current = '';
+  };
+
+  const body = html.replace(/<(script|style|template)\b[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->/gi, match => '\n'.repeat(match.split('\n').length - 1));
+
+  for (const [token] of body.matchAll(/<[^>]*>|<|[^<]+/g)) {
+    const tag = token.match(/^<\s*(\/)?\s*([a-z][a-z0-9]*)/i);
+
+    if (tag) {
+      const name = tag[2].toLowerCase();
+      const closing = Boolean(tag[1]);
+      const level = /^h([1-6])$/.exec(name)?.[1];
+
+      if (level) {
+        endLine(true);
+        heading = closing ? null : Number(level);
+      } else if (HTML_BLOCK_TAGS.has(name)) {
+        endLine(HTML_PARAGRAPH_TAGS.has(name));
+        if (name === 'pre') preformatted = !closing;
+        if (name === 'li' && !closing) {
+          current = '- ';
+          currentLine = sourceLine;
+        }
+      }
+    } else if (token === '<' || !token.startsWith('<')) {
+      // (doctypes, processing instructions and other markup are dropped)
+      if (!current.trim()) currentLine = sourceLine;
+      const text = decodeEntities(token);
+
+      if (preformatted) {
+        const parts = text.split('\n');
+        parts.forEach((part, i) => {
+          if (i > 0) {
+            lines.push(current);
+            lineNumbers.push(currentLine);
+            current = '';
+            currentLine = sourceLine + i;
+          }
+          current += part;
+        });
+      } else {
+        current += text.replace(/\s+/g, ' ');
+      }
+    }
+
+    sourceLine += (token.match(/\n/g) || []).length;
+  }
+  endLine();
+
+  return { lines, lineNumbers, headings };
+}
+
+/**
+ * HTML: stripped to text, headings kept as structure
+ */
+export function chunkHtml(content, options = {}) {
+  const { lines, lineNumbers, headings } = htmlToLines(content);
+  if (lines.length === 0) return [];
+  return chunkLines(lines, { ...options, lineNumbers, headingAt: i => headings.get(i) ?? null });
+}
+
+/**
+ * Jupyter notebooks: one chunk per markdown or code cell (large cells are
+ * split further). Notebooks have no meaningful source lines, so startLine
+ * and endLine hold the 1-based cell number.
+ */
+export function chunkNotebook(content, options = {}) {
+  let notebook;
+  try {
+    notebook = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid notebook JSON: ${error.message}`);
+  }
+
+  const chunks = [];
+  const headings = [];
+
+  (notebook.cells || []).forEach((cell, index) => {
+    if (!['markdown', 'code'].includes(cell.cell_type)) return;
+
+    const source = Array.isArray(cell.source) ? cell.source.join('') : String(cell.source ?? '');
+    if (!source.trim()) return;
+
+    const lines = source.split('\n');
+    const isMarkdown = cell.cell_type === 'markdown';
+
+    // Headings carry over to the cells that follow
+    chunks.push(...chunkLines(lines, {
+      ...options,
+      lineNumbers: lines.map(() => index + 1),
+      headingAt: i => (isMarkdown ? markdownHeading(lines[i]) : null),
+      headings
+    }));
+
+    if (isMarkdown) {
+      for (const line of lines) {
+        const heading = markdownHeading(line);
+        if (heading) {
+          headings.length = heading.level - 1;
+          headings[heading.level - 1] = heading.title;
+        }
+      }
+    }
+  });
+
+  return chunks;
+}
+
+// Top-level declarations per language family; the first capture group
+// names the symbol
+const DECLARATIONS = {
+  js: /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|interface|type|enum|const|let|var)\s+([A-Za-z_$][\w$]*)/,
+  python: /^(?:async\s+)?(?:def|class)\s+([A-Za-z_]\w*)/,
+  go: /^(?:func|type)\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+  rust: /^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+|unsafe\s+|const\s+)*(?:fn|struct|enum|trait|impl|mod|type)\s+(?:<[^>]*>\s*)?([A-Za-z_][\w:]*)/,
+  ruby: /^\s{0,2}(?:def|class|module)\s+([A-Za-z_][\w.:?!]*)/,
+  // C-like languages: a line at column 0 that opens a type or function
+  c: /^(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|inline|extern|virtual|override|export|data|open)\s+)*(?:class|struct|interface|enum|record|object|fun|func|def|[\w:<>,*&\s]+?)\s+\*?([A-Za-z_]\w*)\s*(?:\(|<|:|\{|$)/
+};
+
+const CODE_LANGUAGES = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js', '.ts': 'js', '.tsx': 'js', '.mts': 'js', '.cts': 'js',
+  '.py': 'python', '.pyi': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.rb': 'ruby',
+  '.c': 'c', '.h': 'c', '.cc': 'c', '.cpp': 'c', '.hpp': 'c', '.cs': 'c', '.java': 'c',
+  '.kt': 'c', '.kts': 'c', '.scala': 'c', '.swift': 'c', '.php': 'c'
+};
+
+/**
+ * Source code: split at top-level function/class boundaries (with their
+ * leading comments and decorators), merging small neighbours up to the
+ * target size and splitting oversized bodies at blank lines. The breadcrumb
+ * is the first symbol the chunk declares. `language` is a DECLARATIONS key.
+ */
+export function chunkCode(content, options = {}, language = 'c') {
+  const { startLine = 1, chunkSize = DEFAULT_CHUNKING.chunkSize, tokenizer = getTokenizer() } = options;
+  const countTokens = text => tokenizer.count(text);
+  const lines = content.split('\n');
+  const declaration = DECLARATIONS[language] ?? DECLARATIONS.c;
+  const isPreamble = line => /^\s*(\/\/|\/\*|\*|#(?!include|define|\[)|@|"""|'''|--)/.test(line);
+
+  // Boundary at each declaration, pulled up over its comments/decorators
+  const boundaries = [0];
+  lines.forEach((line, i) => {
+    if (i === 0 || /^\s/.test(line) && language !== 'ruby') return;
+    if (!declaration.test(line) || /^(?:return|if|else|for|while|switch|case|do|try|catch)\b/.test(line)) return;
+
+    let start = i;
+    while (start > 0 && isPreamble(lines[start - 1]) && lines[start - 1].trim()) start--;
+    if (start > boundaries[boundaries.length - 1]) boundaries.push(start);
+  });
+  boundaries.push(lines.length);
+
+  const segments = [];
+  for (let b = 0; b + 1 < boundaries.length; b++) {
+    const segmentLines = lines.slice(boundaries[b], boundaries[b + 1]);
+    const symbol = segmentLines.map(line => line.match(declaration)?.[1]).find(Boolean) ?? null;
+    segments.push({
+      start: boundaries[b],
+      lines: segmentLines,
+      symbol,
+      tokens: countTokens(segmentLines.join('\n'))
+    });
+  }
+
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const text = current.lines.join('\n').trim();
+    if (text) {
+      chunks.push({
+        text,
+        startLine: startLine + current.start,
+        endLine: startLine + current.start + current.lines.length - 1,
+        tokenCount: countTokens(text),
+        headingPath: current.symbol
+      });
+    }
+    current = null;
+  };
+
+  for (const segment of segments) {
+    if (current && current.tokens + segment.tokens > chunkSize) flush();
+
+    if (segment.tokens > chunkSize * 2) {
+      flush();
+      for (const chunk of chunkLines(segment.lines, { ...options, startLine: startLine + segment.start })) {
+        chunks.push({ ...chunk, headingPath: segment.symbol });
+      }
+      continue;
+    }
+
+    if (!current) {
+      current = { start: segment.start, lines: [], symbol: null, tokens: 0 };
+    }
+    current.lines.push(...segment.lines);
+    current.tokens += segment.tokens;
+    current.symbol = current.symbol ?? segment.symbol;
+  }
+  flush();
+
+  return chunks;
+}
+
+const CHUNKERS = new Map();
+
+/**
+ * Register a chunker for file extensions (including the dot).
+ * `chunk(content, options)` gets chunkLines options plus `filePath` and
+ * returns chunks as chunkLines does.
+ */
+export function registerChunker(name, extensions, chunk) {
+  CHUNKERS.set(name, { extensions: extensions.map(ext => ext.toLowerCase()), chunk });
+}
+
+registerChunker('markdown', ['.md', '.markdown', '.mdx', '.mdown'], chunkMarkdown);
+registerChunker('text', ['.txt', '.text', '.log'], chunkText);
+registerChunker('rst', ['.rst'], chunkRst);
+registerChunker('org', ['.org'], chunkOrg);
+registerChunker('html', ['.html', '.htm', '.xhtml'], chunkHtml);
+registerChunker('notebook', ['.ipynb'], chunkNotebook);
+registerChunker('code', Object.keys(CODE_LANGUAGES), (content, options) =>
+  chunkCode(content, options, CODE_LANGUAGES[extname(options.filePath).toLowerCase()]));
+
+export function listChunkers() {
+  return [...CHUNKERS.keys()];
+}
+
+/**
+ * Pick a chunker by extension, then by sniffing the content; plain text
+ * when nothing matches
+ */
+export function detectChunker(filePath, content = '') {
+  const ext = extname(filePath).toLowerCase();
+  for (const [name, chunker] of CHUNKERS) {
+    if (chunker.extensions.includes(ext)) return name;
+  }
+
+  const head = content.slice(0, 512).trimStart();
+  if (/^(<!doctype html|<html[\s>])/i.test(head)) return 'html';
+  if (head.startsWith('{') && /"cells"\s*:/.test(content) && /"nbformat"\s*:/.test(content)) return 'notebook';
+  if (/^#{1,6}\s/m.test(head) || head.startsWith('---\n')) return 'markdown';
+  return 'text';
+}
+
+/**
+ * Split a chunk over the tokenizer's input limit at line breaks (and long
+ * lines at token boundaries). Line numbers of the pieces are approximate
+ * for converted formats (HTML, notebooks).
+ */
+function splitOversized(chunk, tokenizer) {
+  const { maxTokens } = tokenizer;
+  const pieces = [];
+  let current = [];
+  let currentTokens = 0;
+  let pieceStart = 0;
+
+  const lineAt = offset => Math.min(chunk.startLine + offset, chunk.endLine);
+  const flush = (nextStart) => {
+    const text = current.join('\n').trim();
+    if (text) {
+      pieces.push({
+        ...chunk,
+        text,
+        startLine: lineAt(pieceStart),
+        endLine: lineAt(nextStart - 1),
+        tokenCount: tokenizer.count(text)
+      });
+    }
+    current = [];
+    currentTokens = 0;
+    pieceStart = nextStart;
+  };
+
+  chunk.text.split('\n').forEach((line, i) => {
+    const lineTokens = tokenizer.count(line) + 1;
+    if (currentTokens + lineTokens > maxTokens) flush(i);
+
+    if (lineTokens > maxTokens) {
+      for (const part of tokenizer.split(line)) {
+        pieceStart = i;
+        current = [part];
+        flush(i + 1);
+      }
+      return;
+    }
+
+    current.push(line);
+    currentTokens += lineTokens;
+  });
+  flush(chunk.text.split('\n').length);
+
+  return pieces;
+}
+
+/**
+ * Chunk a file with the chunker for its type and return chunks with metadata
+ * Options: { startLine, chunker } (chunker defaults to detectChunker), the
+ * chunking settings of resolveChunkingConfig and `tokenizer`, whose input
+ * limit no chunk may exceed (oversized chunks are split with a warning)
+ */
+export function chunkFile(filePath, content, options = {}) {
+  const { chunker = detectChunker(filePath, content), tokenizer = getTokenizer(), ...chunkOptions } = options;
+  if (!CHUNKERS.has(chunker)) {
+    throw new Error(`Unknown chunker: ${chunker}`);
+  }
+
+  const rawChunks = CHUNKERS.get(chunker)
+    .chunk(content, { startLine: 1, ...chunkOptions, tokenizer, filePath })
+    .flatMap((chunk) => {
+      if (chunk.tokenCount <= tokenizer.maxTokens) return [chunk];
+
+      const pieces = splitOversized(chunk, tokenizer);
+      console.warn(`⚠️  ${filePath}:${chunk.startLine}-${chunk.endLine}: chunk of ${chunk.tokenCount} tokens exceeds the ${tokenizer.maxTokens}-token embedding limit, split into ${pieces.length}`);
+      return pieces;
+    });
 
   return rawChunks.map((chunk, index) => ({
     ...chunk,
     filePath,
-    chunkIndex: index
+    chunkIndex: index,
+    chunker
   }));
 }
@@ -1,35 +1,212 @@
 #!/usr/bin/env node
 import { Command } from 'commander';
-import { addCollection, removeCollection, listCollections, resolveFileInCollections } from './collections.js';
-import { indexCollections, getUnembbeddedChunks, storeEmbeddings } from './indexer.js';
+import { addCollection, updateCollection, removeCollection, listCollections, getCollection, getCollections, resolveFileInCollections } from './collections.js';
+import { indexCollections, planIndex, embedCollections, loadTokenizers } from './indexer.js';
 import { search, getUniqueFiles } from './search.js';
-import { generateEmbeddings } from './embeddings.js';
-import { float32ArrayToBuffer } from './utils.js';
+import { resolveEmbeddingConfig, listProviders } from './embeddings.js';
+import { buildAnnIndex, dropAnnIndex, getAnnIndex, ANN_MIN_VECTORS } from './ann.js';
+import { QUANTIZATION_MODES, QUANTIZATION_STORAGE, setCollectionQuantization, getStorageStats } from './quantize.js';
+import { formatBytes, parseBytes } from './utils.js';
+import { FUSION_STRATEGIES, NORMALIZATIONS, resolveFusionConfig } from './fusion.js';
+import { normalizeMetadataFilters } from './query.js';
+import { OVERLAP_UNITS, DEFAULT_CHUNKING, resolveChunkingConfig } from './chunker.js';
+import { parseGlobList, IGNORE_FILE } from './discovery.js';
+import { getLinks, getBacklinks } from './links.js';
 import { createServer } from './server.js';
+import { watchCollections } from './watcher.js';
+import { startMcpServer } from './mcp.js';
 import { readFileSync } from 'fs';
-import db from './db.js';
+import { relative } from 'path';
+import db, { openDatabase, resolveDatabasePath, getDatabasePath, listProfiles } from './db.js';
+import { MIGRATIONS, SCHEMA_VERSION, getSchemaVersion, migrate } from './migrations.js';
+import { exportIndex, importIndex } from './archive.js';
+import { DEFAULT_BACKUP_KEEP, createBackup, listBackups, getBackupDir } from './backup.js';
+import { PERMISSIONS, DEFAULT_PERMISSIONS, createToken, listTokens, revokeToken } from './auth.js';
 
 const program = new Command();
 
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+
+// Commander option parser for repeatable options
+const collect = (value, previous = []) => [...previous, value];
+
+/**
+ * One-line snippet with matched terms highlighted (bold yellow on a terminal)
+ */
+function renderSnippet(result) {
+  const { text, start, end, highlights } = result.snippet;
+  let line = '';
+  let offset = 0;
+
+  for (const span of highlights) {
+    const match = text.slice(span.start, span.end);
+    line += text.slice(offset, span.start) + (useColor ? `\x1b[1;33m${match}\x1b[0m` : match);
+    offset = span.end;
+  }
+  line += text.slice(offset);
+
+  return `${start > 0 ? '...' : ''}${line.replace(/\s*\n\s*/g, ' ')}${end < result.text.length ? '...' : ''}`;
+}
+
 program
   .name('ddsearch')
   .description('Local-first markdown search with BM25 + vector semantic search')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--db <path>', 'Database file (default: DDSEARCH_DB or ~/.ddsearch/ddsearch.db)')
+  .option('--profile <name>', 'Named index stored at ~/.ddsearch/profiles/<name>.db (default: DDSEARCH_PROFILE)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    const { db: path, profile } = program.opts();
+    try {
+      // migrate applies (or just reports) pending migrations itself
+      openDatabase({ path, profile, migrate: actionCommand.name() !== 'migrate' });
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Chunking options shared by `collection add` and `collection update`
+function addChunkingOptions(command) {
+  return command
+    .option('--chunk-size <tokens>', `Target chunk size in tokens (default: ${DEFAULT_CHUNKING.chunkSize})`, Number)
+    .option('--min-chunk-size <tokens>', `Smallest chunk split off at a heading (default: ${DEFAULT_CHUNKING.minChunkSize})`, Number)
+    .option('--overlap <n>', 'Tokens or lines repeated between chunks split for size (default: 0)', Number)
+    .option('--overlap-unit <unit>', `Overlap unit: ${OVERLAP_UNITS.join(', ')} (default: ${DEFAULT_CHUNKING.overlapUnit})`);
+}
+
+function formatChunking(chunking) {
+  return `${chunking.chunkSize} tokens (min ${chunking.minChunkSize}), overlap ${chunking.overlap} ${chunking.overlapUnit}`;
+}
+
+/**
+ * Print a collection's include masks, excludes, ignore files and size cap
+ */
+function printFileSelection(collection) {
+  console.log(`  Mask: ${parseGlobList(collection.glob_mask).join(', ')}`);
+  const excludes = parseGlobList(collection.exclude);
+  if (excludes.length > 0) {
+    console.log(`  Exclude: ${excludes.join(', ')}`);
+  }
+  console.log(`  Ignore files: ${collection.use_gitignore ? `.gitignore, ${IGNORE_FILE}` : IGNORE_FILE}`);
+  if (collection.max_file_size) {
+    console.log(`  Max file size: ${formatBytes(collection.max_file_size)}`);
+  }
+}
 
 // Collection management
 const collectionCmd = program.command('collection').description('Manage collections');
 
-collectionCmd
+addChunkingOptions(collectionCmd
   .command('add <path>')
   .description('Add a new collection')
   .requiredOption('-n, --name <name>', 'Collection name')
-  .option('-m, --mask <mask>', 'Glob mask for files', '**/*.md')
+  .option('-m, --mask <mask>', 'Glob mask for files (repeatable, default: **/*.md)', collect)
+  .option('-x, --exclude <glob>', 'Glob of files to leave out (repeatable)', collect)
+  .option('--gitignore', `Honor .gitignore files (${IGNORE_FILE} is always honored)`)
+  .option('--max-file-size <size>', 'Skip files larger than this (e.g. 500kb, 2mb)')
+  .option('--provider <provider>', `Embedding provider: ${listProviders().join(', ')} (default: global)`)
+  .option('--model <model>', 'Embedding model (default: provider default)')
+  .option('--base-url <url>', 'Base URL for openai-compatible providers')
+  .option('-q, --quantize <mode>', `Vector storage: ${QUANTIZATION_MODES.join(', ')}`, 'none')
+  .option('--fusion <strategy>', `Default hybrid fusion: ${FUSION_STRATEGIES.join(', ')}`)
+  .option('--rrf-k <k>', 'Default RRF k constant', parseFloat)
+  .option('--bm25-weight <weight>', 'Default BM25 weight for hybrid fusion', parseFloat)
+  .option('--vector-weight <weight>', 'Default vector weight for hybrid fusion', parseFloat)
+  .option('--normalization <method>', `Default score normalization: ${NORMALIZATIONS.join(', ')}`)
+  .option('--authority-weight <weight>', 'Default link-graph authority boost for hybrid search', parseFloat))
   .action((path, options) => {
     try {
-      const result = addCollection(options.name, path, options.mask);
+      const result = addCollection(options.name, path, options.mask, {
+        embeddingProvider: options.provider,
+        embeddingModel: options.model,
+        embeddingBaseUrl: options.baseUrl,
+        quantization: options.quantize,
+        fusion: options.fusion,
+        rrfK: options.rrfK,
+        bm25Weight: options.bm25Weight,
+        vectorWeight: options.vectorWeight,
+        normalization: options.normalization,
+        authorityWeight: options.authorityWeight,
+        chunkSize: options.chunkSize,
+        minChunkSize: options.minChunkSize,
+        overlap: options.overlap,
+        overlapUnit: options.overlapUnit,
+        exclude: options.exclude,
+        useGitignore: options.gitignore,
+        maxFileSize: options.maxFileSize === undefined ? null : parseBytes(options.maxFileSize)
+      });
+      const collection = getCollections(result.name)[0];
+      const config = resolveEmbeddingConfig(collection);
       console.log(`✓ Collection "${result.name}" added`);
       console.log(`  Path: ${result.basePath}`);
-      console.log(`  Mask: ${result.globMask}`);
+      printFileSelection(collection);
+      console.log(`  Embeddings: ${config.provider} / ${config.model ?? '(unset)'}`);
+      console.log(`  Quantization: ${result.quantization}`);
+      console.log(`  Chunking: ${formatChunking(resolveChunkingConfig(collection))}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+addChunkingOptions(collectionCmd
+  .command('update <name>')
+  .description('Change collection settings, rename it or move it to a new path')
+  .option('--rename <new-name>', 'Rename the collection')
+  .option('--path <path>', 'New base path (the folder moved); indexed files and embeddings are kept')
+  .option('-m, --mask <mask>', 'Replace the include masks (repeatable)', collect)
+  .option('-x, --exclude <glob>', 'Replace the exclude globs (repeatable)', collect)
+  .option('--no-exclude', 'Remove all exclude globs')
+  .option('--gitignore', 'Honor .gitignore files')
+  .option('--no-gitignore', 'Stop honoring .gitignore files')
+  .option('--max-file-size <size>', 'Skip files larger than this (e.g. 500kb, 2mb)')
+  .option('--no-max-file-size', 'Remove the file size cap')
+  .option('--provider <provider>', `Embedding provider: ${listProviders().join(', ')} (existing vectors go stale)`)
+  .option('--no-provider', 'Use the global embedding provider')
+  .option('--model <model>', 'Embedding model (existing vectors go stale)')
+  .option('--no-model', "Use the provider's default model")
+  .option('--base-url <url>', 'Base URL for openai-compatible providers')
+  .option('--no-base-url', 'Use the global base URL'))
+  .action((name, options) => {
+    try {
+      let maxFileSize = options.maxFileSize;
+      if (typeof maxFileSize === 'string') maxFileSize = parseBytes(maxFileSize);
+      if (maxFileSize === false) maxFileSize = null;
+
+      const result = updateCollection(name, {
+        rename: options.rename,
+        basePath: options.path,
+        globMask: options.mask,
+        chunkSize: options.chunkSize,
+        minChunkSize: options.minChunkSize,
+        overlap: options.overlap,
+        overlapUnit: options.overlapUnit,
+        exclude: options.exclude === false ? [] : options.exclude,
+        useGitignore: options.gitignore,
+        maxFileSize,
+        embeddingProvider: options.provider === false ? null : options.provider,
+        embeddingModel: options.model === false ? null : options.model,
+        embeddingBaseUrl: options.baseUrl === false ? null : options.baseUrl
+      });
+      console.log(`✓ Collection "${result.name}" updated${result.name !== name ? ` (renamed from "${name}")` : ''}`);
+      if (result.moved) {
+        const { files, missing } = result.moved;
+        console.log(`  Moved to ${result.collection.base_path}: ${files} files, ${missing} missing`);
+        if (missing > 0) {
+          console.log('  Missing files are dropped on the next `ddsearch index`');
+        }
+      }
+      printFileSelection(result.collection);
+      console.log(`  Chunking: ${formatChunking(result.chunking)}`);
+      if (result.rechunk) {
+        console.log('  Files will be re-chunked on the next `ddsearch index`');
+      }
+      if (result.embeddings) {
+        console.log(`  Embeddings: ${result.embeddings.provider} / ${result.embeddings.model}`);
+      }
+      if (result.stale) {
+        console.log(`  Existing vectors are stale; replace them with \`ddsearch embed --collection ${result.name} --reembed-stale\``);
+      }
     } catch (error) {
       console.error(`✗ Error: ${error.message}`);
       process.exit(1);
@@ -64,7 +241,13 @@ collectionCmd
     for (const col of collections) {
       console.log(`${col.name}`);
       console.log(`  Path: ${col.base_path}`);
-      console.log(`  Mask: ${col.glob_mask}`);
+      printFileSelection(col);
+      const config = resolveEmbeddingConfig(col);
+      console.log(`  Embeddings: ${config.provider} / ${config.model ?? '(unset)'}${col.embedding_provider ? '' : ' (global)'}`);
+      console.log(`  Quantization: ${col.quantization}`);
+      const fusion = resolveFusionConfig({}, col);
+      console.log(`  Fusion: ${fusion.fusion === 'rrf' ? `rrf (k=${fusion.rrfK})` : `linear (${fusion.normalization})`}, weights ${fusion.bm25Weight}/${fusion.vectorWeight}${fusion.authorityWeight > 0 ? `, authority ${fusion.authorityWeight}` : ''}`);
+      console.log(`  Chunking: ${formatChunking(resolveChunkingConfig(col))}${col.needs_rechunk ? ' (re-chunk pending)' : ''}`);
       console.log(`  Files: ${col.file_count}, Chunks: ${col.chunk_count}, Embedded: ${col.embedded_count}`);
       console.log('');
     }
@@ -76,8 +259,31 @@ program
   .description('Index collections (incremental by default)')
   .option('-f, --full', 'Force full re-index')
   .option('-c, --collection <name>', 'Index specific collection')
-  .action((options) => {
+  .option('--dry-run', 'Show which files would be added, updated, removed or skipped, and why')
+  .action(async (options) => {
     try {
+      await loadTokenizers(options.collection);
+
+      if (options.dryRun) {
+        const plan = planIndex({ collectionName: options.collection, full: options.full });
+        if (plan.error) {
+          console.error(`✗ ${plan.error}`);
+          process.exit(1);
+        }
+
+        console.log('Dry run (nothing is written)\n');
+        for (const col of plan.collections) {
+          const show = filePath => relative(col.basePath, filePath) || filePath;
+          console.log(`${col.name}: ${col.add.length} to add, ${col.update.length} to update, ${col.remove.length} to remove, ${col.skipped.length} skipped, ${col.unchanged} unchanged`);
+          for (const filePath of col.add) console.log(`  + ${show(filePath)}`);
+          for (const filePath of col.update) console.log(`  ~ ${show(filePath)}`);
+          for (const filePath of col.remove) console.log(`  - ${show(filePath)}`);
+          for (const { filePath, reason } of col.skipped) console.log(`  skip ${show(filePath)} (${reason})`);
+          console.log('');
+        }
+        return;
+      }
+
       console.log('Indexing collections...');
       const result = indexCollections({
         collectionName: options.collection,
@@ -93,11 +299,12 @@ program
       console.log(`  Total files: ${result.totalFiles}`);
       console.log(`  Indexed: ${result.indexed}`);
       console.log(`  Skipped (unchanged): ${result.skipped}`);
-      console.log(`  Removed (deleted files): ${result.removed}`);
-      console.log(`  Total chunks: ${result.totalChunks}\n`);
+      console.log(`  Removed (deleted or excluded files): ${result.removed}`);
+      console.log(`  New chunks: ${result.totalChunks}`);
+      console.log(`  Reused chunks (unchanged text): ${result.reusedChunks}\n`);
 
       for (const col of result.collections) {
-        console.log(`  ${col.name}: ${col.indexed} indexed, ${col.skipped} skipped, ${col.removed} removed, ${col.chunks} chunks`);
+        console.log(`  ${col.name}: ${col.indexed} indexed, ${col.skipped} skipped, ${col.removed} removed, ${col.chunks} new chunks, ${col.reused} reused${col.rechunked ? ' (re-chunked)' : ''}${col.oversized ? ` (${col.oversized} re-chunked for the new tokenizer)` : ''}`);
       }
     } catch (error) {
       console.error(`✗ Error: ${error.message}`);
@@ -110,38 +317,58 @@ program
   .command('embed')
   .description('Generate embeddings for indexed chunks')
   .option('-b, --batch-size <size>', 'Batch size for embedding generation', '100')
+  .option('-c, --collection <name>', 'Embed specific collection')
+  .option('--reembed-stale', 'Re-embed vectors produced by a different model or dimension')
   .action(async (options) => {
     try {
       const batchSize = parseInt(options.batchSize, 10) || 100;
-      let totalEmbedded = 0;
 
       console.log('Generating embeddings...');
 
-      while (true) {
-        const chunks = getUnembbeddedChunks(batchSize);
-
-        if (chunks.length === 0) {
-          break;
+      const result = await embedCollections({
+        collectionName: options.collection,
+        batchSize,
+        reembedStale: options.reembedStale,
+        onBatch: ({ collection, config, count, total, stale }) => {
+          console.log(`Processing batch of ${count} ${stale ? 'stale ' : ''}chunks from ${collection} (${config.provider} / ${config.model})...`);
+          console.log(`  ${total} embeddings generated`);
         }
+      });
 
-        console.log(`Processing batch of ${chunks.length} chunks...`);
-
-        const texts = chunks.map(c => c.chunk_text);
-        const embeddings = await generateEmbeddings(texts);
-
-        const chunkEmbeddings = chunks.map((chunk, i) => ({
-          chunkId: chunk.id,
-          embedding: float32ArrayToBuffer(embeddings[i]),
-          model: 'text-embedding-3-small'
-        }));
-
-        storeEmbeddings(chunkEmbeddings);
-        totalEmbedded += chunks.length;
-
-        console.log(`  ${totalEmbedded} embeddings generated`);
+      console.log(`\n✓ Embedding complete: ${result.totalEmbedded + result.totalReembedded} total embeddings`);
+      if (result.totalReembedded > 0) {
+        console.log(`  Re-embedded (stale): ${result.totalReembedded}`);
+      }
+      if (result.totalStale > 0) {
+        console.log(`\n⚠️  ${result.totalStale} stale embeddings remain (model or dimension changed). They are excluded from vector search.`);
+        console.log('  Run: ddsearch embed --reembed-stale');
       }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Watch command
+program
+  .command('watch')
+  .description('Watch collections and index changes continuously')
+  .option('-c, --collection <name>', 'Watch specific collection')
+  .option('--debounce <ms>', 'Debounce window in milliseconds', '500')
+  .option('--no-embed', 'Index only; skip embedding new chunks')
+  .action((options) => {
+    try {
+      const watcher = watchCollections({
+        collectionName: options.collection,
+        debounceMs: parseInt(options.debounce, 10) || 500,
+        embed: options.embed
+      });
+      console.log('Watching for changes. Press Ctrl+C to stop.');
 
-      console.log(`\n✓ Embedding complete: ${totalEmbedded} total embeddings`);
+      process.on('SIGINT', async () => {
+        await watcher.close();
+        process.exit(0);
+      });
     } catch (error) {
       console.error(`✗ Error: ${error.message}`);
       process.exit(1);
@@ -154,16 +381,36 @@ program
   .description('Search indexed content')
   .option('-m, --mode <mode>', 'Search mode: bm25, vector, hybrid', 'hybrid')
   .option('-l, --limit <limit>', 'Maximum results', '10')
-  .option('-s, --min-score <score>', 'Minimum score threshold', '0')
+  .option('-s, --min-score <score>', 'Minimum score threshold (0-1, for every mode and fusion)', '0')
   .option('-c, --collection <name>', 'Filter by collection')
   .option('-j, --json', 'Output as JSON')
   .option('-f, --files', 'Show unique files only')
+  .option('--include-stale', 'Score stale embeddings in their original model instead of excluding them')
+  .option('--probes <n>', 'ANN lists to scan per collection (higher = better recall, slower)', '16')
+  .option('--exact', 'Skip ANN indexes and scan every vector')
+  .option('--fusion <strategy>', `Hybrid fusion: ${FUSION_STRATEGIES.join(', ')} (default: collection or linear)`)
+  .option('--rrf-k <k>', 'RRF k constant (default: 60)', parseFloat)
+  .option('--bm25-weight <weight>', 'BM25 weight in hybrid fusion (default: 0.4)', parseFloat)
+  .option('--vector-weight <weight>', 'Vector weight in hybrid fusion (default: 0.6)', parseFloat)
+  .option('--normalization <method>', `Score normalization for linear fusion: ${NORMALIZATIONS.join(', ')}`)
+  .option('--authority-weight <weight>', 'Boost well-linked files in hybrid search (default: 0, off)', parseFloat)
+  .option('--tag <tag>', 'Only files tagged <tag> in frontmatter (repeatable)', collect)
+  .option('--where <key=value>', 'Only files whose frontmatter field matches (repeatable)', collect)
+  .option('--after <date>', 'Only files with a frontmatter date on or after YYYY-MM-DD')
+  .option('--before <date>', 'Only files with a frontmatter date on or before YYYY-MM-DD')
   .action(async (query, options) => {
     try {
       if (!['bm25', 'vector', 'hybrid'].includes(options.mode)) {
         throw new Error('Invalid search mode. Use bm25, vector, or hybrid.');
       }
 
+      const metadata = normalizeMetadataFilters({
+        tags: options.tag,
+        where: options.where,
+        after: options.after,
+        before: options.before
+      });
+
       const limit = Math.max(1, Math.min(100, parseInt(options.limit, 10) || 10));
       const minScore = Math.max(0, parseFloat(options.minScore) || 0);
 
@@ -171,7 +418,17 @@ program
         mode: options.mode,
         limit,
         minScore,
-        collectionName: options.collection
+        collectionName: options.collection,
+        includeStale: options.includeStale,
+        probes: Math.max(1, parseInt(options.probes, 10) || 16),
+        exact: options.exact,
+        fusion: options.fusion,
+        rrfK: options.rrfK,
+        bm25Weight: options.bm25Weight,
+        vectorWeight: options.vectorWeight,
+        normalization: options.normalization,
+        authorityWeight: options.authorityWeight,
+        metadata
       });
 
       if (options.json) {
@@ -194,12 +451,16 @@ program
       for (const result of results) {
         console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
         console.log(`Score: ${result.score.toFixed(3)} | ${result.filePath}:${result.startLine}-${result.endLine}`);
-        console.log(`Collection: ${result.collection}`);
+        console.log(`Collection: ${result.collection}${result.stale ? ' (stale embedding)' : ''}`);
+        if (result.title) {
+          console.log(`Title: ${result.title}`);
+        }
+        if (result.headingPath) {
+          console.log(`Section: ${result.headingPath}`);
+        }
         console.log('');
 
-        // Show snippet (first 200 chars)
-        const snippet = result.text.substring(0, 200).replace(/\n/g, ' ');
-        console.log(snippet + (result.text.length > 200 ? '...' : ''));
+        console.log(renderSnippet(result));
         console.log('');
       }
     } catch (error) {
@@ -228,6 +489,59 @@ program
     }
   });
 
+// Link graph
+program
+  .command('links <file>')
+  .description('Show outgoing links of an indexed file')
+  .option('-j, --json', 'Output as JSON')
+  .action((file, options) => {
+    try {
+      const result = getLinks(file);
+      if (!result) {
+        throw new Error(`File is not indexed: ${file}`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      console.log(`\nLinks from ${result.path} (${result.links.length}):\n`);
+      for (const link of result.links) {
+        console.log(`  ${link.line}: ${link.path ?? `${link.target} (unresolved)`}`);
+      }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('backlinks <file>')
+  .description('Show indexed files that link to a file')
+  .option('-j, --json', 'Output as JSON')
+  .action((file, options) => {
+    try {
+      const result = getBacklinks(file);
+      if (!result) {
+        throw new Error(`File is not indexed: ${file}`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      console.log(`\nBacklinks to ${result.path} (${result.backlinks.length}):\n`);
+      for (const link of result.backlinks) {
+        console.log(`  ${link.path}:${link.line}`);
+      }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Stats command
 program
   .command('stats')
@@ -246,30 +560,312 @@ program
     `).get();
 
     console.log('\nIndex Statistics:\n');
+    console.log(`Database: ${getDatabasePath()}`);
     console.log(`Collections: ${collections.length}`);
     console.log(`Total files: ${totals.total_files}`);
     console.log(`Total chunks: ${totals.total_chunks}`);
     console.log(`Total embeddings: ${totals.total_embeddings}`);
+
+    const byChunker = db.prepare(`
+      SELECT chunker, COUNT(*) as count FROM chunks GROUP BY chunker ORDER BY count DESC
+    `).all();
+    if (byChunker.length > 0) {
+      console.log(`Chunks by format: ${byChunker.map(row => `${row.chunker ?? 'unknown'} ${row.count}`).join(', ')}`);
+    }
     console.log('');
 
     if (collections.length > 0) {
       console.log('By Collection:\n');
       for (const col of collections) {
         console.log(`  ${col.name}: ${col.file_count} files, ${col.chunk_count} chunks, ${col.embedded_count} embedded`);
+        const storage = getStorageStats(col.id);
+        if (storage.vectors > 0) {
+          const percent = storage.float32Bytes > 0 ? (100 * storage.savedBytes / storage.float32Bytes).toFixed(0) : 0;
+          console.log(`    Vectors: ${formatBytes(storage.bytes)} (${col.quantization}: ${QUANTIZATION_STORAGE[col.quantization]}), saved ${formatBytes(storage.savedBytes)} (${percent}%) vs float32`);
+        }
+        const ann = getAnnIndex(col.id);
+        console.log(ann
+          ? `    ANN: ${ann.list_count} lists over ${ann.vector_count} vectors (${ann.embedding_space})`
+          : '    ANN: none (exact scan)');
       }
     }
   });
 
+// Profiles
+program
+  .command('profiles')
+  .description('List named indexes (use with --profile <name>)')
+  .action(() => {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+      console.log('No profiles found');
+      return;
+    }
+    for (const name of profiles) {
+      console.log(`${resolveDatabasePath({ profile: name }) === getDatabasePath() ? '*' : ' '} ${name}`);
+    }
+  });
+
+// API tokens
+const tokenCmd = program.command('token').description('Manage API tokens for the HTTP server');
+
+tokenCmd
+  .command('create <name>')
+  .description('Create a token (shown once); the server requires tokens once one exists')
+  .option('-c, --collection <name>', 'Limit the token to a collection (repeatable, default: all)', collect)
+  .option('-p, --permission <permission>', `Grant ${PERMISSIONS.join(', ')} (repeatable, default: ${DEFAULT_PERMISSIONS.join(', ')})`, collect)
+  .action((name, options) => {
+    try {
+      const result = createToken(name, {
+        collections: options.collection ?? [],
+        permissions: options.permission ?? DEFAULT_PERMISSIONS
+      });
+      console.log(`✓ Token "${result.name}" created`);
+      console.log(`  Permissions: ${result.permissions.join(', ')}`);
+      console.log(`  Collections: ${result.collections ? result.collections.join(', ') : 'all'}`);
+      console.log('\nCopy it now, it is not stored and cannot be shown again:\n');
+      console.log(`  ${result.token}\n`);
+      console.log('Send it as: Authorization: Bearer <token>');
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+tokenCmd
+  .command('list')
+  .description('List tokens')
+  .action(() => {
+    const tokens = listTokens();
+    if (tokens.length === 0) {
+      console.log('No tokens found (the HTTP server is open to anyone who can reach it)');
+      return;
+    }
+
+    console.log('\nTokens:\n');
+    for (const token of tokens) {
+      console.log(`${token.name} (${token.prefix}...)`);
+      console.log(`  Permissions: ${token.permissions.join(', ')}`);
+      console.log(`  Collections: ${token.collections ? token.collections.join(', ') || '(none left)' : 'all'}`);
+      console.log(`  Created: ${new Date(token.createdAt * 1000).toISOString()}`);
+      console.log(`  Last used: ${token.lastUsedAt ? new Date(token.lastUsedAt * 1000).toISOString() : 'never'}`);
+      console.log('');
+    }
+  });
+
+tokenCmd
+  .command('revoke <name>')
+  .description('Revoke a token')
+  .action((name) => {
+    try {
+      revokeToken(name);
+      console.log(`✓ Token "${name}" revoked`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export / import
+program
+  .command('export <dir>')
+  .description('Write collections, chunks and embeddings to a portable archive directory')
+  .option('-c, --collection <name>', 'Export specific collection (repeatable, default: all)', collect)
+  .action((dir, options) => {
+    try {
+      const manifest = exportIndex(dir, { collectionNames: options.collection });
+      for (const col of manifest.collections) {
+        console.log(`  ${col.name}: ${col.files} files, ${col.chunks} chunks, ${col.embeddings} embeddings`);
+      }
+      console.log(`✓ Exported ${manifest.collections.length} collection(s) to ${dir}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('import <dir>')
+  .description('Load an archive written by ddsearch export')
+  .option('-c, --collection <name>', 'Import specific collection (repeatable, default: all)', collect)
+  .option('--root <dir>', 'Move the collections\' base paths under this directory')
+  .action(async (dir, options) => {
+    try {
+      const result = await importIndex(dir, { collectionNames: options.collection, root: options.root });
+      for (const col of result.collections) {
+        console.log(`  ${col.name}${col.created ? '' : ' (existing)'}: ${col.files} files imported, ${col.unchanged} unchanged, ${col.chunks} new chunks, ${col.reused} already present, ${col.embeddings} embeddings`);
+        console.log(`    Path: ${col.basePath}`);
+        if (col.skippedEmbeddings > 0) {
+          const config = resolveEmbeddingConfig(getCollection(col.name));
+          console.log(`    Skipped ${col.skippedEmbeddings} embeddings not made with ${config.provider} / ${config.model} at the collection's vector size; run ddsearch embed to fill them in`);
+        }
+      }
+      console.log(`✓ Imported ${result.collections.length} collection(s) from ${dir}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Backups
+program
+  .command('backup')
+  .description('Back up the database (online; safe while serving or indexing)')
+  .option('-k, --keep <n>', `Number of backups to keep (default: ${DEFAULT_BACKUP_KEEP})`, Number)
+  .option('-l, --list', 'List existing backups instead of creating one')
+  .action(async (options) => {
+    try {
+      const dbPath = getDatabasePath();
+
+      if (options.list) {
+        const backups = listBackups(dbPath);
+        if (backups.length === 0) {
+          console.log(`No backups found in ${getBackupDir(dbPath)}`);
+          return;
+        }
+        for (const backup of backups) {
+          console.log(`  ${backup.createdAt.toISOString()}  ${formatBytes(backup.size).padStart(9)}  ${backup.path}`);
+        }
+        return;
+      }
+
+      const result = await createBackup(db, dbPath, { keep: options.keep ?? DEFAULT_BACKUP_KEEP });
+      console.log(`✓ Backed up ${dbPath} to ${result.path} (${formatBytes(result.size)})`);
+      if (result.removed.length > 0) {
+        console.log(`  Removed ${result.removed.length} older backup(s)`);
+      }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Schema migrations
+program
+  .command('migrate')
+  .description('Apply pending schema migrations')
+  .option('--status', 'Show the schema version and pending migrations without applying them')
+  .action((options) => {
+    try {
+      const version = getSchemaVersion(db);
+
+      if (options.status) {
+        console.log(`Database: ${getDatabasePath()}`);
+        console.log(`Schema version: ${version} (latest: ${SCHEMA_VERSION})\n`);
+        for (const migration of MIGRATIONS) {
+          const state = migration.version <= version ? '✓' : '…';
+          console.log(`  ${state} ${migration.version}  ${migration.description}${migration.version > version ? ' (pending)' : ''}`);
+        }
+        return;
+      }
+
+      const applied = migrate(db);
+      if (applied.length === 0) {
+        console.log(`✓ Schema is up to date (version ${version})`);
+        return;
+      }
+      for (const migration of applied) {
+        console.log(`✓ ${migration.version}  ${migration.description}`);
+      }
+      console.log(`✓ Migrated schema from version ${version} to ${SCHEMA_VERSION}`);
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Quantization
+program
+  .command('quantize <mode>')
+  .description(`Change vector storage for collections: ${QUANTIZATION_MODES.join(', ')}`)
+  .option('-c, --collection <name>', 'Quantize specific collection')
+  .action((mode, options) => {
+    try {
+      const collections = getCollections(options.collection);
+      if (collections.length === 0) {
+        throw new Error('No collections found');
+      }
+
+      for (const collection of collections) {
+        const before = getStorageStats(collection.id);
+        const result = setCollectionQuantization(collection.id, mode);
+        const after = getStorageStats(collection.id);
+        console.log(`✓ ${collection.name}: ${result.converted} vectors re-encoded as ${mode} (${formatBytes(before.bytes)} → ${formatBytes(after.bytes)})`);
+      }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ANN index management
+const annCmd = program.command('ann').description('Manage approximate nearest-neighbour indexes');
+
+annCmd
+  .command('build')
+  .description(`Build or rebuild ANN indexes (automatic during embed above ${ANN_MIN_VECTORS} vectors)`)
+  .option('-c, --collection <name>', 'Build for specific collection')
+  .option('--lists <n>', 'Number of IVF lists (default: sqrt of vector count)')
+  .option('--force', `Build even below ${ANN_MIN_VECTORS} vectors`)
+  .action(async (options) => {
+    try {
+      for (const collection of getCollections(options.collection)) {
+        if (!collection.embedding_dimensions) {
+          console.log(`  ${collection.name}: not embedded yet, skipped`);
+          continue;
+        }
+
+        const config = resolveEmbeddingConfig(collection);
+        const result = await buildAnnIndex(collection.id, config, collection.embedding_dimensions, {
+          lists: options.lists ? parseInt(options.lists, 10) : null,
+          force: options.force
+        });
+
+        console.log(result.built
+          ? `✓ ${collection.name}: ${result.lists} lists over ${result.vectors} vectors`
+          : `  ${collection.name}: ${result.vectors} vectors, below threshold (exact scan)`);
+      }
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+annCmd
+  .command('drop')
+  .description('Drop ANN indexes and fall back to exact scans')
+  .option('-c, --collection <name>', 'Drop for specific collection')
+  .action((options) => {
+    for (const collection of getCollections(options.collection)) {
+      dropAnnIndex(collection.id);
+      console.log(`✓ ${collection.name}: ANN index dropped`);
+    }
+  });
+
 // Server command
 program
   .command('serve')
   .description('Start HTTP server')
   .option('-p, --port <port>', 'Server port', '3077')
   .option('-H, --host <host>', 'Bind host', '127.0.0.1')
+  .option('-w, --watch', 'Also watch collections and index changes continuously')
+  .option('--debounce <ms>', 'Watch debounce window in milliseconds', '500')
+  .option('--no-embed', 'Watch without embedding new chunks')
+  .option('--backup-interval <minutes>', 'Back up the database every <minutes>', Number)
+  .option('--backup-keep <n>', `Number of scheduled backups to keep (default: ${DEFAULT_BACKUP_KEEP})`, Number)
   .action(async (options) => {
     try {
       const port = parseInt(options.port, 10) || 3077;
-      await createServer(port, options.host);
+      await createServer(port, options.host, {
+        backupInterval: options.backupInterval,
+        backupKeep: options.backupKeep
+      });
+      if (options.watch) {
+        watchCollections({
+          debounceMs: parseInt(options.debounce, 10) || 500,
+          embed: options.embed
+        });
+      }
       console.log(`Server running. Press Ctrl+C to stop.`);
     } catch (error) {
       console.error(`✗ Error: ${error.message}`);
@@ -277,4 +873,17 @@ program
     }
   });
 
+// MCP server
+program
+  .command('mcp')
+  .description('Serve search, file access and indexing to agents over the Model Context Protocol (stdio)')
+  .action(async () => {
+    try {
+      await startMcpServer();
+    } catch (error) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program.parse();
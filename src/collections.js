@@ -1,31 +1,73 @@
 #!/usr/bin/env node
 import db from './db.js';
-import { resolve, sep } from 'path';
+import { listProviders, resolveEmbeddingConfig, embeddingConfigKey } from './embeddings.js';
+import { QUANTIZATION_MODES } from './quantize.js';
+import { validateFusionConfig } from './fusion.js';
+import { resolveChunkingConfig } from './chunker.js';
+import { formatGlobList } from './discovery.js';
+import { resolve, join, relative, sep } from 'path';
 import { existsSync, statSync, realpathSync } from 'fs';
 
 /**
  * Add a new collection
+ * Options: { embeddingProvider, embeddingModel, embeddingBaseUrl } (null = global default),
+ * { quantization } ('none', 'int8' or 'binary'),
+ * { fusion, rrfK, bm25Weight, vectorWeight, normalization, authorityWeight } (hybrid search defaults),
+ * { chunkSize, minChunkSize, overlap, overlapUnit } (null = DEFAULT_CHUNKING),
+ * { exclude, useGitignore, maxFileSize } (file selection, see discoverFiles).
+ * `globMask` is one include glob or an array of them.
  */
-export function addCollection(name, basePath, globMask = '**/*.md') {
-  const absolutePath = resolve(basePath);
+export function addCollection(name, basePath, globMask = '**/*.md', options = {}) {
+  const {
+    embeddingProvider = null,
+    embeddingModel = null,
+    embeddingBaseUrl = null,
+    quantization = 'none',
+    fusion = null,
+    rrfK = null,
+    bm25Weight = null,
+    vectorWeight = null,
+    normalization = null,
+    authorityWeight = null,
+    chunkSize = null,
+    minChunkSize = null,
+    overlap = null,
+    overlapUnit = null,
+    exclude = [],
+    useGitignore = false,
+    maxFileSize = null
+  } = options;
 
-  if (!existsSync(absolutePath)) {
-    throw new Error(`Base path does not exist: ${absolutePath}`);
+  const absolutePath = resolveBasePath(basePath);
+
+  if (embeddingProvider && !listProviders().includes(embeddingProvider)) {
+    throw new Error(`Unknown embedding provider: ${embeddingProvider}. Use one of: ${listProviders().join(', ')}`);
   }
 
-  const stats = statSync(absolutePath);
-  if (!stats.isDirectory()) {
-    throw new Error(`Base path is not a directory: ${absolutePath}`);
+  if (!QUANTIZATION_MODES.includes(quantization)) {
+    throw new Error(`Invalid quantization: ${quantization}. Use one of: ${QUANTIZATION_MODES.join(', ')}`);
   }
 
+  validateFusionConfig({ fusion, rrfK, bm25Weight, vectorWeight, normalization, authorityWeight });
+  resolveChunkingConfig(null, { chunkSize, minChunkSize, overlap, overlapUnit });
+  validateFileSelection({ globMask, maxFileSize });
+
   const stmt = db.prepare(`
-    INSERT INTO collections (name, base_path, glob_mask)
-    VALUES (?, ?, ?)
+    INSERT INTO collections (
+      name, base_path, glob_mask, embedding_provider, embedding_model, embedding_base_url, quantization,
+      fusion, rrf_k, bm25_weight, vector_weight, normalization, authority_weight,
+      chunk_size, min_chunk_size, chunk_overlap, chunk_overlap_unit, exclude, use_gitignore, max_file_size
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   try {
-    stmt.run(name, absolutePath, globMask);
-    return { name, basePath: absolutePath, globMask };
+    stmt.run(
+      name, absolutePath, formatGlobList(globMask), embeddingProvider, embeddingModel, embeddingBaseUrl, quantization,
+      fusion, rrfK, bm25Weight, vectorWeight, normalization, authorityWeight,
+      chunkSize, minChunkSize, overlap, overlapUnit, formatGlobList(exclude), useGitignore ? 1 : 0, maxFileSize
+    );
+    return { name, basePath: absolutePath, globMask, embeddingProvider, embeddingModel, embeddingBaseUrl, quantization };
   } catch (error) {
     if (error.message.includes('UNIQUE constraint failed')) {
       throw new Error(`Collection "${name}" already exists`);
@@ -34,6 +76,180 @@ export function addCollection(name, basePath, globMask = '**/*.md') {
   }
 }
 
+/**
+ * Absolute path of a collection root, which must be an existing directory
+ */
+function resolveBasePath(basePath) {
+  const absolutePath = resolve(basePath);
+
+  if (!existsSync(absolutePath)) {
+    throw new Error(`Base path does not exist: ${absolutePath}`);
+  }
+
+  const stats = statSync(absolutePath);
+  if (!stats.isDirectory()) {
+    throw new Error(`Base path is not a directory: ${absolutePath}`);
+  }
+
+  return absolutePath;
+}
+
+/**
+ * Throw on invalid include masks or size cap
+ */
+function validateFileSelection({ globMask, maxFileSize }) {
+  if (globMask !== undefined && [].concat(globMask).filter(Boolean).length === 0) {
+    throw new Error('At least one include mask is required');
+  }
+  if (maxFileSize != null && !(Number.isInteger(maxFileSize) && maxFileSize > 0)) {
+    throw new Error('maxFileSize must be a positive number of bytes');
+  }
+}
+
+// updateCollection option -> collections column, with how it is stored
+const UPDATABLE_COLUMNS = {
+  rename: { column: 'name' },
+  basePath: { column: 'base_path', store: resolveBasePath },
+  globMask: { column: 'glob_mask', store: formatGlobList },
+  chunkSize: { column: 'chunk_size' },
+  minChunkSize: { column: 'min_chunk_size' },
+  overlap: { column: 'chunk_overlap' },
+  overlapUnit: { column: 'chunk_overlap_unit' },
+  exclude: { column: 'exclude', store: formatGlobList },
+  useGitignore: { column: 'use_gitignore', store: value => (value ? 1 : 0) },
+  maxFileSize: { column: 'max_file_size' },
+  embeddingProvider: { column: 'embedding_provider' },
+  embeddingModel: { column: 'embedding_model' },
+  embeddingBaseUrl: { column: 'embedding_base_url' }
+};
+
+const EMBEDDING_OPTIONS = ['embeddingProvider', 'embeddingModel', 'embeddingBaseUrl'];
+
+/**
+ * Throw unless an embedding config can embed: a known provider, and a base
+ * URL and model for openai-compatible
+ */
+function validateEmbeddingConfig(collection) {
+  const config = resolveEmbeddingConfig(collection);
+  if (config.provider === 'openai-compatible' && !config.baseUrl) {
+    throw new Error('openai-compatible provider requires a base URL');
+  }
+  if (!config.model) {
+    throw new Error(`${config.provider} provider requires a model`);
+  }
+  return config;
+}
+
+/**
+ * Change a collection's settings: { rename } (new name), { basePath } (the
+ * folder moved; see moveFiles), chunking ({ chunkSize, minChunkSize,
+ * overlap, overlapUnit }) and file selection ({ globMask, exclude,
+ * useGitignore, maxFileSize }) and embeddings ({ embeddingProvider,
+ * embeddingModel, embeddingBaseUrl }); undefined = keep, null = back to the
+ * default. If the effective chunking changes, the collection is marked to
+ * be re-chunked on the next index; file selection applies on the next
+ * index as well. A new provider starts from its default model and no base
+ * URL unless those are given too. If the effective model changes, existing
+ * vectors become stale until `embed --reembed-stale` replaces them.
+ * Returns { name, collection, chunking, rechunk, moved, embeddings, stale }
+ * where `name` is the (possibly new) name, `moved` is null unless the base
+ * path changed, `embeddings` is the effective embedding config (null
+ * unless an embedding setting was given) and `stale` whether the model changed.
+ */
+export function updateCollection(name, updates = {}) {
+  const collection = getCollection(name);
+  if (!collection) {
+    throw new Error(`Collection "${name}" not found`);
+  }
+
+  const changes = Object.entries(UPDATABLE_COLUMNS).filter(([key]) => updates[key] !== undefined);
+  if (changes.length === 0) {
+    throw new Error('Nothing to update');
+  }
+  validateFileSelection({ globMask: updates.globMask, maxFileSize: updates.maxFileSize });
+
+  if (updates.rename !== undefined) {
+    if (typeof updates.rename !== 'string' || !updates.rename.trim()) {
+      throw new Error('Collection name cannot be empty');
+    }
+    if (updates.rename !== name && getCollection(updates.rename)) {
+      throw new Error(`Collection "${updates.rename}" already exists`);
+    }
+  }
+
+  if (updates.embeddingProvider != null && updates.embeddingProvider !== collection.embedding_provider) {
+    for (const key of EMBEDDING_OPTIONS.slice(1)) {
+      if (updates[key] === undefined) changes.push([key, UPDATABLE_COLUMNS[key]]);
+    }
+  }
+
+  const values = changes.map(([key, { store }]) => (store ? store(updates[key] ?? null) : updates[key] ?? null));
+  const updated = { ...collection };
+  changes.forEach(([, { column }], i) => { updated[column] = values[i]; });
+
+  // Vectors of another model are stale from now on (see embed --reembed-stale)
+  let embeddings = null;
+  let stale = false;
+  if (changes.some(([key]) => EMBEDDING_OPTIONS.includes(key))) {
+    const previous = resolveEmbeddingConfig(collection);
+    embeddings = validateEmbeddingConfig(updated);
+    stale = embeddingConfigKey(previous) !== embeddingConfigKey(embeddings);
+  }
+
+  const before = resolveChunkingConfig(collection);
+  const chunking = resolveChunkingConfig(updated);
+  const rechunk = JSON.stringify(before) !== JSON.stringify(chunking);
+
+  const move = updated.base_path !== collection.base_path
+    ? planMove(collection.id, collection.base_path, updated.base_path)
+    : null;
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE collections
+      SET ${changes.map(([, { column }]) => `${column} = ?`).join(', ')}, needs_rechunk = needs_rechunk OR ?
+      WHERE id = ?
+    `).run(...values, rechunk ? 1 : 0, collection.id);
+
+    if (move) moveFiles(collection.id, move.files);
+  })();
+
+  return { name: updated.name, collection: getCollection(updated.name), chunking, rechunk, moved: move?.summary ?? null, embeddings, stale };
+}
+
+/**
+ * New paths of a collection's indexed files under a new base path. Files
+ * aren't read here: the next index compares content hashes anyway.
+ * Returns { files: [{ id, path }], summary: { files, missing } }.
+ */
+function planMove(collectionId, fromPath, toPath) {
+  const rows = db.prepare('SELECT id, file_path FROM file_metadata WHERE collection_id = ?').all(collectionId);
+  const summary = { files: rows.length, missing: 0 };
+
+  const files = rows.map(row => {
+    const path = join(toPath, relative(fromPath, row.file_path));
+    if (!existsSync(path)) summary.missing++;
+    return { id: row.id, path };
+  });
+
+  return { files, summary };
+}
+
+/**
+ * Rewrite stored file paths after a move. Rows (and their chunks and
+ * embeddings) stay as they are: the next index skips unchanged files,
+ * re-chunks changed ones keeping embeddings of unchanged text, and drops
+ * missing ones.
+ */
+function moveFiles(collectionId, files) {
+  // Park every path first so a new path never collides with an old one
+  // that hasn't been rewritten yet
+  db.prepare("UPDATE file_metadata SET file_path = 'moving:' || id WHERE collection_id = ?").run(collectionId);
+
+  const update = db.prepare('UPDATE file_metadata SET file_path = ? WHERE id = ?');
+  for (const file of files) update.run(file.path, file.id);
+}
+
 /**
  * Remove a collection and all its indexed data
  */
@@ -60,6 +276,24 @@ export function listCollections() {
       c.name,
       c.base_path,
       c.glob_mask,
+      c.embedding_provider,
+      c.embedding_model,
+      c.embedding_base_url,
+      c.quantization,
+      c.fusion,
+      c.rrf_k,
+      c.bm25_weight,
+      c.vector_weight,
+      c.normalization,
+      c.authority_weight,
+      c.chunk_size,
+      c.min_chunk_size,
+      c.chunk_overlap,
+      c.chunk_overlap_unit,
+      c.needs_rechunk,
+      c.exclude,
+      c.use_gitignore,
+      c.max_file_size,
       c.created_at,
       COUNT(DISTINCT fm.id) as file_count,
       COUNT(ch.id) as chunk_count,
@@ -92,22 +326,39 @@ export function getCollections(nameFilter = null) {
 }
 
 /**
- * Resolve a file path and ensure it belongs to a collection
+ * Collections (limited to `collectionIds`, if given) whose base path
+ * contains a file, innermost first
  */
-export function resolveFileInCollections(filePath) {
-  const collections = getCollections();
-  if (collections.length === 0) return null;
-
-  if (!existsSync(filePath)) return null;
+function collectionsContaining(filePath, collectionIds) {
+  if (!existsSync(filePath)) return [];
 
   const resolvedFile = realpathSync(filePath);
+  return getCollections()
+    .filter(collection => collectionIds === null || collectionIds.includes(collection.id))
+    .filter(collection => existsSync(collection.base_path))
+    .map(collection => ({ collection, basePath: realpathSync(collection.base_path) }))
+    .filter(({ basePath }) => resolvedFile === basePath || resolvedFile.startsWith(basePath + sep))
+    .sort((a, b) => b.basePath.length - a.basePath.length)
+    .map(({ collection }) => ({ collection, resolvedPath: resolvedFile }));
+}
 
-  for (const collection of collections) {
-    const basePath = realpathSync(collection.base_path);
-    if (resolvedFile === basePath || resolvedFile.startsWith(basePath + sep)) {
-      return { collection, resolvedPath: resolvedFile };
-    }
-  }
+/**
+ * Resolve a file path and ensure it belongs to a collection; with nested
+ * collections, the innermost one among `collectionIds` (all if null)
+ */
+export function resolveFileInCollections(filePath, collectionIds = null) {
+  return collectionsContaining(filePath, collectionIds)[0] ?? null;
+}
 
-  return null;
+/**
+ * Like resolveFileInCollections, but only for files the index knows about
+ * (in file_metadata), not anything else that happens to sit under a base
+ * path: the innermost of `collectionIds` (all if null) that indexed it
+ */
+export function resolveIndexedFile(filePath, collectionIds = null) {
+  const indexed = db.prepare(`
+    SELECT 1 FROM file_metadata WHERE collection_id = ? AND file_path IN (?, ?)
+  `);
+  return collectionsContaining(filePath, collectionIds)
+    .find(({ collection, resolvedPath }) => indexed.get(collection.id, resolve(filePath), resolvedPath)) ?? null;
 }
@@ -1,147 +1,207 @@
 #!/usr/bin/env node
 import Database from 'better-sqlite3';
-import { join } from 'path';
+import { join, dirname, resolve } from 'path';
 import { homedir } from 'os';
-import { existsSync, mkdirSync, renameSync } from 'fs';
+import { existsSync, mkdirSync, renameSync, readdirSync, copyFileSync } from 'fs';
+import { checkSchemaVersion, migrate } from './migrations.js';
+import { findHealthyBackup, salvageRows, countRows } from './backup.js';
 
 const DB_DIR = join(homedir(), '.ddsearch');
-const DB_PATH = join(DB_DIR, 'ddsearch.db');
+const DEFAULT_DB_PATH = join(DB_DIR, 'ddsearch.db');
+const PROFILES_DIR = join(DB_DIR, 'profiles');
+
+// The open connection; see openDatabase
+let current = null;
+let currentPath = null;
+
+/**
+ * Work out which database file to use: an explicit path wins, then a named
+ * profile (~/.ddsearch/profiles/<name>.db), then the DDSEARCH_DB and
+ * DDSEARCH_PROFILE env vars, then ~/.ddsearch/ddsearch.db
+ */
+export function resolveDatabasePath(options = {}) {
+  const { path = null, profile = null } = options;
+
+  if (path && profile) {
+    throw new Error('Use either a database path or a profile, not both');
+  }
+  if (path) return resolve(path);
+  if (profile) return profilePath(profile);
+  if (process.env.DDSEARCH_DB) return resolve(process.env.DDSEARCH_DB);
+  if (process.env.DDSEARCH_PROFILE) return profilePath(process.env.DDSEARCH_PROFILE);
+  return DEFAULT_DB_PATH;
+}
+
+function profilePath(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid profile name: ${name}. Use letters, digits, - and _`);
+  }
+  return join(PROFILES_DIR, `${name}.db`);
+}
 
-// Ensure DB directory exists
-if (!existsSync(DB_DIR)) {
-  mkdirSync(DB_DIR, { recursive: true });
+/**
+ * Names of the profiles that have a database
+ */
+export function listProfiles() {
+  if (!existsSync(PROFILES_DIR)) return [];
+  return readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.db'))
+    .map(file => file.slice(0, -3))
+    .sort();
 }
 
-function openDatabase() {
+function isCorruptionError(error) {
+  return /database disk image is malformed|file is not a database/.test(error.message);
+}
+
+/**
+ * Move a corrupt database (and its WAL files) aside, then put back the
+ * newest healthy backup, or else whatever rows can be salvaged, or else
+ * an empty database. Reports what was recovered.
+ */
+function recoverDatabase(path, corruptDb = null) {
   try {
-    return new Database(DB_PATH);
+    corruptDb?.close();
   } catch (error) {
-    if (error.message.includes('database disk image is malformed')) {
-      const corruptPath = `${DB_PATH}.corrupt-${Date.now()}`;
-      renameSync(DB_PATH, corruptPath);
-      console.warn(`⚠️  Database corruption detected. Backed up to ${corruptPath}. Recreating a fresh database.`);
-      return new Database(DB_PATH);
-    }
-    throw error;
+    // ignore
+  }
+
+  const corruptPath = `${path}.corrupt-${Date.now()}`;
+  renameSync(path, corruptPath);
+  for (const suffix of ['-wal', '-shm']) {
+    if (existsSync(`${path}${suffix}`)) renameSync(`${path}${suffix}`, `${corruptPath}${suffix}`);
   }
+  console.warn(`⚠️  Database corruption detected. Moved the damaged file to ${corruptPath}.`);
+
+  const describe = counts => `${counts.collections} collections, ${counts.files} files, ${counts.chunks} chunks, ${counts.embeddings} embeddings`;
+
+  const backup = findHealthyBackup(path);
+  if (backup) {
+    copyFileSync(backup.path, path);
+    const connection = new Database(path);
+    console.warn(`   Restored the backup of ${backup.createdAt.toISOString()} (${backup.path}): ${describe(countRows(connection))}.`);
+    console.warn('   Run ddsearch index to pick up changes made since.');
+    return connection;
+  }
+
+  const connection = new Database(path);
+  migrate(connection);
+  const salvaged = salvageRows(corruptPath, connection);
+  if (salvaged && salvaged.collections > 0) {
+    console.warn(`   No healthy backup found. Salvaged ${describe(salvaged)}.`);
+    console.warn('   Run ddsearch index to re-chunk and fill in what was lost, then ddsearch embed.');
+  } else {
+    console.warn('   No healthy backup found and nothing could be salvaged. Starting with a fresh database.');
+  }
+  return connection;
 }
 
-function recoverDatabase(currentDb) {
-  const corruptPath = `${DB_PATH}.corrupt-${Date.now()}`;
+function openFile(path) {
   try {
-    currentDb.close();
+    return new Database(path);
   } catch (error) {
-    // ignore
+    if (isCorruptionError(error)) return recoverDatabase(path);
+    throw error;
   }
-  renameSync(DB_PATH, corruptPath);
-  console.warn(`⚠️  Database corruption detected. Backed up to ${corruptPath}. Recreating a fresh database.`);
-  return new Database(DB_PATH);
 }
 
-function verifyIntegrity(currentDb) {
+function verifyIntegrity(currentDb, path) {
   try {
-    const result = currentDb.pragma('quick_check');
-    if (Array.isArray(result) && result[0]?.quick_check !== 'ok') {
-      return recoverDatabase(currentDb);
+    if (currentDb.pragma('quick_check', { simple: true }) !== 'ok') {
+      return recoverDatabase(path, currentDb);
     }
   } catch (error) {
-    if (error.message.includes('database disk image is malformed')) {
-      return recoverDatabase(currentDb);
-    }
+    if (isCorruptionError(error)) return recoverDatabase(path, currentDb);
     throw error;
   }
   return currentDb;
 }
 
-// Initialize database with WAL mode
-export let db = openDatabase();
+/**
+ * Open (creating if needed) the database chosen by resolveDatabasePath and
+ * make it the one every module uses. The previously open database is
+ * closed. Pending schema migrations are applied unless `migrate: false`.
+ * Returns the better-sqlite3 connection.
+ */
+export function openDatabase(options = {}) {
+  const { migrate: applyMigrations = true } = options;
+  const path = resolveDatabasePath(options);
+  if (current && currentPath === path) return current;
+
+  closeDatabase();
+
+  // Ensure DB directory exists
+  if (!existsSync(dirname(path))) {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  const connection = verifyIntegrity(openFile(path), path);
+
+  // CRITICAL: Enable WAL mode to avoid blocking the event loop
+  const walMode = connection.pragma('journal_mode = WAL');
+  if (Array.isArray(walMode) && walMode[0]?.journal_mode !== 'wal') {
+    console.warn(`⚠️  Failed to enable WAL mode (current: ${walMode[0]?.journal_mode})`);
+  }
+
+  connection.pragma('synchronous = NORMAL');
+  connection.pragma('cache_size = -64000'); // 64MB cache
+  connection.pragma('busy_timeout = 5000');
+
+  // REGEXP operator (used by query filters); patterns are compiled once
+  const regexCache = new Map();
+  connection.function('regexp', { deterministic: true }, (pattern, value) => {
+    if (value === null) return 0;
+    let regex = regexCache.get(pattern);
+    if (!regex) {
+      regex = new RegExp(pattern, 'm');
+      regexCache.set(pattern, regex);
+    }
+    return regex.test(value) ? 1 : 0;
+  });
+
+  try {
+    if (applyMigrations) {
+      migrate(connection);
+    } else {
+      checkSchemaVersion(connection);
+    }
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
 
-db = verifyIntegrity(db);
+  current = connection;
+  currentPath = path;
 
-// CRITICAL: Enable WAL mode to avoid blocking the event loop
-const walMode = db.pragma('journal_mode = WAL');
-if (Array.isArray(walMode) && walMode[0]?.journal_mode !== 'wal') {
-  console.warn(`⚠️  Failed to enable WAL mode (current: ${walMode[0]?.journal_mode})`);
+  return connection;
 }
 
-db.pragma('synchronous = NORMAL');
-db.pragma('cache_size = -64000'); // 64MB cache
-db.pragma('busy_timeout = 5000');
-
-// Initialize schema
-export function initSchema() {
-  db.exec(`
-    -- Collections table
-    CREATE TABLE IF NOT EXISTS collections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL,
-      base_path TEXT NOT NULL,
-      glob_mask TEXT NOT NULL,
-      created_at INTEGER NOT NULL DEFAULT (unixepoch())
-    );
-
-    -- File metadata table (for incremental indexing)
-    CREATE TABLE IF NOT EXISTS file_metadata (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      collection_id INTEGER NOT NULL,
-      file_path TEXT NOT NULL,
-      file_hash TEXT NOT NULL,
-      indexed_at INTEGER NOT NULL DEFAULT (unixepoch()),
-      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
-      UNIQUE(collection_id, file_path)
-    );
-
-    -- Chunks table (stores chunk text and metadata)
-    CREATE TABLE IF NOT EXISTS chunks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      file_metadata_id INTEGER NOT NULL,
-      chunk_index INTEGER NOT NULL,
-      chunk_text TEXT NOT NULL,
-      start_line INTEGER NOT NULL,
-      end_line INTEGER NOT NULL,
-      token_count INTEGER NOT NULL,
-      FOREIGN KEY (file_metadata_id) REFERENCES file_metadata(id) ON DELETE CASCADE
-    );
-
-    -- FTS5 virtual table for BM25 keyword search
-    CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
-      chunk_text,
-      content=chunks,
-      content_rowid=id,
-      tokenize='porter unicode61'
-    );
-
-    -- Triggers to keep FTS5 in sync
-    CREATE TRIGGER IF NOT EXISTS chunks_ai AFTER INSERT ON chunks BEGIN
-      INSERT INTO chunks_fts(rowid, chunk_text) VALUES (new.id, new.chunk_text);
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS chunks_ad AFTER DELETE ON chunks BEGIN
-      DELETE FROM chunks_fts WHERE rowid = old.id;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS chunks_au AFTER UPDATE ON chunks BEGIN
-      DELETE FROM chunks_fts WHERE rowid = old.id;
-      INSERT INTO chunks_fts(rowid, chunk_text) VALUES (new.id, new.chunk_text);
-    END;
-
-    -- Embeddings table (stores vector embeddings as BLOBs)
-    CREATE TABLE IF NOT EXISTS embeddings (
-      chunk_id INTEGER PRIMARY KEY,
-      embedding BLOB NOT NULL,
-      embedding_model TEXT NOT NULL DEFAULT 'text-embedding-3-small',
-      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
-      FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE CASCADE
-    );
-
-    -- Indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_file_metadata_collection ON file_metadata(collection_id);
-    CREATE INDEX IF NOT EXISTS idx_chunks_file_metadata ON chunks(file_metadata_id);
-    CREATE INDEX IF NOT EXISTS idx_embeddings_chunk ON embeddings(chunk_id);
-  `);
+/**
+ * Close the open database, if any
+ */
+export function closeDatabase() {
+  if (current) {
+    current.close();
+    current = null;
+    currentPath = null;
+  }
+}
+
+/**
+ * Path of the open database (null before the first query)
+ */
+export function getDatabasePath() {
+  return currentPath;
 }
 
-// Initialize on import
-initSchema();
+// What modules import: forwards to the open connection, opening the
+// default database (resolveDatabasePath()) on first use
+const db = new Proxy({}, {
+  get(target, property) {
+    const connection = current ?? openDatabase();
+    const value = connection[property];
+    return typeof value === 'function' ? value.bind(connection) : value;
+  }
+});
 
 export default db;
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join, relative, dirname, sep, posix } from 'path';
+import fg from 'fast-glob';
+import picomatch from 'picomatch';
+import { formatBytes } from './utils.js';
+
+export const IGNORE_FILE = '.ddsearchignore';
+
+/**
+ * Collection glob lists (include masks, excludes) are stored as a single
+ * glob or a JSON array
+ */
+export function parseGlobList(value) {
+  if (value == null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return [value];
+    }
+  }
+  return [value];
+}
+
+/**
+ * Inverse of parseGlobList: one glob as is, several as JSON
+ */
+export function formatGlobList(globs) {
+  const list = [].concat(globs ?? []).filter(Boolean);
+  if (list.length === 0) return null;
+  return list.length === 1 ? list[0] : JSON.stringify(list);
+}
+
+/**
+ * Parse a .gitignore-style file (`file`, relative to the collection root)
+ * into rules scoped to its directory. Later rules win; `!` re-includes.
+ */
+function parseIgnoreFile(base, file) {
+  const dir = posix.dirname(file) === '.' ? '' : posix.dirname(file);
+
+  return readFileSync(join(base, file), 'utf-8').split('\n').flatMap((raw, i) => {
+    let pattern = raw.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return [];
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return [];
+
+    // A pattern with a slash is relative to the ignore file's directory;
+    // otherwise it matches at any depth
+    const glob = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+
+    const options = { dot: true };
+    const matchSelf = dirOnly ? () => false : picomatch(glob, options);
+    const matchInside = picomatch(`${glob}/**`, options);
+
+    return [{
+      dir,
+      glob,
+      negate,
+      source: `${file}:${i + 1}`,
+      test: path => matchSelf(path) || matchInside(path)
+    }];
+  });
+}
+
+/**
+ * fast-glob `ignore` globs that prune the directories ignore rules leave
+ * out, so scans don't walk them. Rules followed by a `!` rule are left to
+ * the filter, as the re-include could apply inside them.
+ */
+function pruneGlobs(rules) {
+  const lastNegated = rules.findLastIndex(rule => rule.negate);
+  return rules.slice(lastNegated + 1)
+    .map(rule => (rule.dir ? `${fg.escapePath(rule.dir)}/${rule.glob}/**` : `${rule.glob}/**`));
+}
+
+/**
+ * Build the file filter of a collection: include masks, exclude globs,
+ * .gitignore files (when use_gitignore is set), the root .ddsearchignore
+ * and the size cap.
+ * Like git, .gitignore files inside directories the root .gitignore or
+ * .ddsearchignore leave out are not read.
+ * Returns { masks, excludes, prune, skipReason(filePath) } where prune
+ * holds globs of ignored directories (see pruneGlobs) and skipReason gives
+ * why a file would not be indexed, or null if it would be.
+ */
+export function createFileFilter(collection) {
+  const base = collection.base_path;
+  const masks = parseGlobList(collection.glob_mask);
+  const excludes = parseGlobList(collection.exclude);
+
+  const isIncluded = picomatch(masks, { dot: false });
+  const excludeMatchers = excludes.map(glob => ({ glob, test: picomatch(glob, { dot: true }) }));
+
+  const readIgnoreFile = file => (existsSync(join(base, file)) ? parseIgnoreFile(base, file) : []);
+  const ignoreFileRules = readIgnoreFile(IGNORE_FILE);
+
+  const rules = [];
+  if (collection.use_gitignore) {
+    const rootRules = readIgnoreFile('.gitignore');
+    const nestedFiles = fg.sync('*/**/.gitignore', {
+      cwd: base,
+      dot: true,
+      onlyFiles: true,
+      ignore: ['**/.git/**', ...excludes, ...pruneGlobs([...rootRules, ...ignoreFileRules])]
+    }).sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+    rules.push(...rootRules);
+    for (const file of nestedFiles) {
+      rules.push(...parseIgnoreFile(base, file));
+    }
+  }
+  rules.push(...ignoreFileRules);
+
+  const ignoredBy = (relativePath) => {
+    let match = null;
+    for (const rule of rules) {
+      if (rule.dir && !relativePath.startsWith(`${rule.dir}/`)) continue;
+      const path = rule.dir ? relativePath.slice(rule.dir.length + 1) : relativePath;
+      if (rule.test(path)) match = rule.negate ? null : rule;
+    }
+    return match;
+  };
+
+  return {
+    masks,
+    excludes,
+    prune: pruneGlobs(rules),
+
+    skipReason(filePath) {
+      const relativePath = relative(base, filePath).split(sep).join('/');
+
+      if (!isIncluded(relativePath)) return 'not matched by mask';
+
+      const exclude = excludeMatchers.find(matcher => matcher.test(relativePath));
+      if (exclude) return `excluded by ${exclude.glob}`;
+
+      const rule = ignoredBy(relativePath);
+      if (rule) return `ignored by ${rule.source}`;
+
+      if (collection.max_file_size && existsSync(filePath)) {
+        const { size } = statSync(filePath);
+        if (size > collection.max_file_size) {
+          return `${formatBytes(size)}, over the ${formatBytes(collection.max_file_size)} limit`;
+        }
+      }
+
+      return null;
+    }
+  };
+}
+
+/**
+ * Find the files of a collection to index.
+ * Returns { files, skipped: [{ filePath, reason }] }. Excluded and ignored
+ * directories are pruned from the scan, so their files are only listed in
+ * `skipped` with `explain` (used by index --dry-run).
+ */
+export function discoverFiles(collection, options = {}) {
+  const { explain = false } = options;
+  const filter = createFileFilter(collection);
+
+  const candidates = fg.sync(filter.masks, {
+    cwd: collection.base_path,
+    absolute: true,
+    onlyFiles: true,
+    dot: false,
+    ignore: explain ? [] : [...filter.excludes, ...filter.prune]
+  });
+
+  const files = [];
+  const skipped = [];
+  for (const filePath of candidates.sort()) {
+    const reason = filter.skipReason(filePath);
+    if (reason) {
+      skipped.push({ filePath, reason });
+    } else {
+      files.push(filePath);
+    }
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Whether a path is an ignore file that affects a collection's file set
+ */
+export function isIgnoreFile(collection, filePath) {
+  const name = filePath.split(sep).pop();
+  return (name === IGNORE_FILE && dirname(filePath) === collection.base_path)
+    || (name === '.gitignore' && Boolean(collection.use_gitignore));
+}
@@ -1,11 +1,18 @@
 #!/usr/bin/env node
 import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import { homedir } from 'os';
 
-const EMBEDDING_MODEL = 'text-embedding-3-small';
 const BATCH_SIZE = 100;
 
+const DEFAULT_PROVIDER = 'openai';
+
+const DEFAULT_MODELS = {
+  'openai': 'text-embedding-3-small',
+  'openai-compatible': null,
+  'local': 'Xenova/all-MiniLM-L6-v2'
+};
+
 /**
  * Get OpenAI API key from env or secrets
  */
@@ -18,7 +25,7 @@ function getApiKey() {
   // Try secrets directory
   const secretsDir = join(homedir(), '.openclaw', 'secrets');
   const keyFiles = ['openai-api-key.txt', 'openai.txt'];
-  
+
   for (const filename of keyFiles) {
     const path = join(secretsDir, filename);
     if (existsSync(path)) {
@@ -29,18 +36,164 @@ function getApiKey() {
   throw new Error('OpenAI API key not found. Set OPENAI_API_KEY env var or create ~/.openclaw/secrets/openai-api-key.txt');
 }
 
+/**
+ * POST a batch to an OpenAI-style /embeddings endpoint
+ */
+async function requestEmbeddings(baseUrl, apiKey, model, batch) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/embeddings`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      input: batch
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Embedding API error (${baseUrl}): ${response.status} ${error}`);
+  }
+
+  const data = await response.json();
+
+  // Extract embeddings and convert to Float32Array
+  return data.data.map(item => new Float32Array(item.embedding));
+}
+
+const localPipelines = new Map();
+
+/**
+ * Import @huggingface/transformers, which the local provider (models and
+ * their tokenizers) runs on. Models are downloaded from the Hugging Face
+ * Hub unless DDSEARCH_LOCAL_MODEL_PATH names a directory holding them
+ * (`<dir>/<model>/`) or DDSEARCH_OFFLINE=1; then only models on disk
+ * (in that directory or the download cache) are used.
+ */
+export async function loadTransformers() {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch (error) {
+    throw new Error('Local embedding provider requires @huggingface/transformers. Install it with: npm install @huggingface/transformers');
+  }
+
+  const modelPath = process.env.DDSEARCH_LOCAL_MODEL_PATH;
+  if (modelPath) {
+    transformers.env.localModelPath = resolve(modelPath);
+    transformers.env.allowLocalModels = true;
+  }
+  if (modelPath || process.env.DDSEARCH_OFFLINE === '1') {
+    transformers.env.allowRemoteModels = false;
+  }
+  return transformers;
+}
+
+/**
+ * Load (and cache) an in-process feature-extraction pipeline
+ */
+async function getLocalPipeline(model) {
+  if (!localPipelines.has(model)) {
+    const transformers = await loadTransformers();
+    localPipelines.set(model, transformers.pipeline('feature-extraction', model));
+  }
+  return localPipelines.get(model);
+}
+
+/**
+ * Embedding providers. Each takes a batch of texts and the resolved
+ * config, and returns one Float32Array per text.
+ */
+const providers = {
+  'openai': {
+    async embed(batch, config) {
+      return requestEmbeddings('https://api.openai.com/v1', getApiKey(), config.model, batch);
+    }
+  },
+
+  'openai-compatible': {
+    async embed(batch, config) {
+      if (!config.baseUrl) {
+        throw new Error('openai-compatible provider requires a base URL. Set DDSEARCH_EMBED_BASE_URL or use --base-url');
+      }
+      if (!config.model) {
+        throw new Error('openai-compatible provider requires a model. Set DDSEARCH_EMBED_MODEL or use --model');
+      }
+      return requestEmbeddings(config.baseUrl, process.env.DDSEARCH_EMBED_API_KEY || null, config.model, batch);
+    }
+  },
+
+  'local': {
+    async embed(batch, config) {
+      const extractor = await getLocalPipeline(config.model);
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      return output.tolist().map(vector => new Float32Array(vector));
+    }
+  }
+};
+
+/**
+ * List the names of the available embedding providers
+ */
+export function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Resolve the embedding configuration for a collection.
+ * Collection settings win, then DDSEARCH_EMBED_* env vars, then defaults.
+ */
+export function resolveEmbeddingConfig(collection = null) {
+  const provider = collection?.embedding_provider
+    || process.env.DDSEARCH_EMBED_PROVIDER
+    || DEFAULT_PROVIDER;
+
+  if (!providers[provider]) {
+    throw new Error(`Unknown embedding provider: ${provider}. Use one of: ${listProviders().join(', ')}`);
+  }
+
+  // Only fall back to global model/base URL when the provider is the global one
+  const usesGlobal = !collection?.embedding_provider
+    || collection.embedding_provider === (process.env.DDSEARCH_EMBED_PROVIDER || DEFAULT_PROVIDER);
+
+  const model = collection?.embedding_model
+    || (usesGlobal ? process.env.DDSEARCH_EMBED_MODEL : null)
+    || DEFAULT_MODELS[provider];
+
+  const baseUrl = collection?.embedding_base_url
+    || (usesGlobal ? process.env.DDSEARCH_EMBED_BASE_URL : null)
+    || null;
+
+  return { provider, model, baseUrl };
+}
+
+/**
+ * Key identifying which vector space a config produces
+ */
+export function embeddingConfigKey(config) {
+  return `${config.provider}:${config.model}`;
+}
+
 /**
  * Generate embeddings for a batch of texts
  * Returns array of Float32Array embeddings
  */
-export async function generateEmbeddings(texts) {
+export async function generateEmbeddings(texts, config = resolveEmbeddingConfig()) {
   if (!Array.isArray(texts) || texts.length === 0) {
     return [];
   }
 
-  const apiKey = getApiKey();
+  const provider = providers[config.provider];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${config.provider}`);
+  }
+
   const batches = [];
-  
+
   // Split into batches
   for (let i = 0; i < texts.length; i += BATCH_SIZE) {
     batches.push(texts.slice(i, i + BATCH_SIZE));
@@ -50,31 +203,11 @@ export async function generateEmbeddings(texts) {
 
   for (const batch of batches) {
     try {
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: EMBEDDING_MODEL,
-          input: batch
-        })
-      });
-
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`OpenAI API error: ${response.status} ${error}`);
-      }
-
-      const data = await response.json();
-      
-      // Extract embeddings and convert to Float32Array
-      const embeddings = data.data.map(item => new Float32Array(item.embedding));
+      const embeddings = await provider.embed(batch, config);
       allEmbeddings.push(...embeddings);
-      
+
       // Rate limiting courtesy delay
-      if (batches.length > 1) {
+      if (batches.length > 1 && config.provider !== 'local') {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
     } catch (error) {
@@ -89,7 +222,7 @@ export async function generateEmbeddings(texts) {
 /**
  * Generate embedding for a single query
  */
-export async function generateQueryEmbedding(query) {
-  const embeddings = await generateEmbeddings([query]);
+export async function generateQueryEmbedding(query, config = resolveEmbeddingConfig()) {
+  const embeddings = await generateEmbeddings([query], config);
   return embeddings[0];
 }
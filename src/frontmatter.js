@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:$|[T ])/;
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+function parseInlineList(raw) {
+  const inner = raw.trim().slice(1, -1).trim();
+  if (!inner) return [];
+  return inner.split(',').map(parseScalar).filter(Boolean);
+}
+
+/**
+ * Split YAML frontmatter from a markdown document.
+ * Supports the flat subset notes use: `key: value` scalars, inline lists
+ * (`tags: [a, b]`) and block lists (`- a`). Nested maps are skipped.
+ * Returns { data, body, bodyStartLine }; data is {} when there is no
+ * (well-formed) frontmatter and body is then the whole content.
+ */
+export function parseFrontmatter(content) {
+  const none = { data: {}, body: content, bodyStartLine: 1 };
+  const lines = content.split('\n');
+  if (lines[0]?.trimEnd() !== '---') return none;
+
+  const end = lines.findIndex((line, i) => i > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) return none;
+
+  const data = {};
+  let listKey = null;
+
+  for (const line of lines.slice(1, end)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1] ?? item[2]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, raw] = pair;
+    listKey = null;
+    if (raw.trim() === '') {
+      // Either a block list or a nested map; only lists are kept
+      data[key] = [];
+      listKey = key;
+    } else if (raw.trim().startsWith('[') && raw.trim().endsWith(']')) {
+      data[key] = parseInlineList(raw);
+    } else {
+      data[key] = parseScalar(raw);
+    }
+  }
+
+  return {
+    data,
+    body: lines.slice(end + 1).join('\n'),
+    bodyStartLine: end + 2
+  };
+}
+
+/**
+ * The fields search filters on: title, tags (always a list) and date
+ * (YYYY-MM-DD, or null when missing or unparseable)
+ */
+export function extractMetadata(data) {
+  const title = typeof data.title === 'string' && data.title ? data.title : null;
+
+  let tags = data.tags ?? data.tag ?? [];
+  if (typeof tags === 'string') tags = tags.split(',');
+  tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+
+  const date = typeof data.date === 'string' ? normalizeDate(data.date) : null;
+
+  return { title, tags, date };
+}
+
+/**
+ * Normalize an ISO date or timestamp to YYYY-MM-DD; null if invalid
+ */
+export function normalizeDate(value) {
+  const match = String(value).trim().match(DATE_PATTERN);
+  if (!match || Number.isNaN(Date.parse(match[1]))) return null;
+  return match[1];
+}
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+import { normalizeScore } from './utils.js';
+
+export const FUSION_STRATEGIES = ['linear', 'rrf'];
+export const NORMALIZATIONS = ['max', 'minmax', 'zscore'];
+
+export const DEFAULT_FUSION = {
+  fusion: 'linear',
+  rrfK: 60,
+  bm25Weight: 0.4,
+  vectorWeight: 0.6,
+  normalization: 'max',
+  authorityWeight: 0
+};
+
+/**
+ * Resolve hybrid fusion settings: explicit overrides win, then the
+ * collection's stored defaults, then DEFAULT_FUSION
+ */
+export function resolveFusionConfig(overrides = {}, collection = null) {
+  const pick = (key, column) => overrides[key] ?? collection?.[column] ?? DEFAULT_FUSION[key];
+
+  const config = {
+    fusion: pick('fusion', 'fusion'),
+    rrfK: Number(pick('rrfK', 'rrf_k')),
+    bm25Weight: Number(pick('bm25Weight', 'bm25_weight')),
+    vectorWeight: Number(pick('vectorWeight', 'vector_weight')),
+    normalization: pick('normalization', 'normalization'),
+    authorityWeight: Number(pick('authorityWeight', 'authority_weight'))
+  };
+
+  validateFusionConfig(config);
+  return config;
+}
+
+/**
+ * Throw on an invalid (partial) fusion config
+ */
+export function validateFusionConfig(config) {
+  if (config.fusion != null && !FUSION_STRATEGIES.includes(config.fusion)) {
+    throw new Error(`Invalid fusion strategy: ${config.fusion}. Use one of: ${FUSION_STRATEGIES.join(', ')}`);
+  }
+  if (config.normalization != null && !NORMALIZATIONS.includes(config.normalization)) {
+    throw new Error(`Invalid normalization: ${config.normalization}. Use one of: ${NORMALIZATIONS.join(', ')}`);
+  }
+  if (config.rrfK != null && !(Number.isFinite(config.rrfK) && config.rrfK > 0)) {
+    throw new Error('RRF k must be a positive number');
+  }
+  for (const key of ['bm25Weight', 'vectorWeight', 'authorityWeight']) {
+    if (config[key] != null && !(Number.isFinite(config[key]) && config[key] >= 0)) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  }
+}
+
+/**
+ * Normalize one result list's scores. `max` keeps the per-search scores
+ * (BM25 divided by the best hit, cosine mapped to 0-1); `minmax` and
+ * `zscore` rescale the raw scores of this list.
+ */
+function normalizeList(results, normalization, rawValue) {
+  if (results.length === 0 || normalization === 'max') {
+    return results.map(r => r.score);
+  }
+
+  const values = results.map(rawValue);
+
+  if (normalization === 'minmax') {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values.map(v => (max === min ? 1 : normalizeScore(v, min, max)));
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return values.map(v => (std === 0 ? 0 : (v - mean) / std));
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26,
+ * accurate to about 1e-7)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Map a fused score onto 0-1 without changing the order, so one minScore
+ * means the same under every strategy: divided by the best possible score
+ * (a rank-1 hit in both lists for rrf, a perfect one for linear), and for
+ * z-scores, whose blend is unbounded, through the normal distribution the
+ * blend of two standard scores follows
+ */
+function scaleFusedScore(score, config) {
+  const totalWeight = config.bm25Weight + config.vectorWeight;
+  if (totalWeight === 0) return 0;
+
+  if (config.fusion === 'rrf') {
+    return score / (totalWeight / (config.rrfK + 1));
+  }
+  if (config.normalization === 'zscore') {
+    return normalCdf(score / Math.hypot(config.bm25Weight, config.vectorWeight));
+  }
+  return score / totalWeight;
+}
+
+/**
+ * Fuse BM25 and vector result lists into one list sorted by combined score
+ * (0-1, see scaleFusedScore)
+ */
+export function fuseResults(bm25Results, vectorResults, config) {
+  const scoreMap = new Map();
+
+  const add = (results, key, componentScores) => {
+    results.forEach((result, rank) => {
+      if (!scoreMap.has(result.chunkId)) {
+        scoreMap.set(result.chunkId, { ...result, bm25: null, vector: null });
+      }
+      scoreMap.get(result.chunkId)[key] = { score: componentScores[rank], rank: rank + 1 };
+    });
+  };
+
+  // BM25 raw scores are negative (lower is better)
+  const bm25Scores = normalizeList(bm25Results, config.normalization, r => -r.rawScore);
+  const vectorScores = normalizeList(vectorResults, config.normalization, r => r.rawScore);
+  add(bm25Results, 'bm25', bm25Scores);
+  add(vectorResults, 'vector', vectorScores);
+
+  // A result missing from one list counts as that list's lowest score
+  // (z-scores are centred on 0, so 0 would rank it as average)
+  const floor = (scores) => (config.normalization === 'zscore' && scores.length > 0 ? Math.min(...scores) : 0);
+  const bm25Floor = floor(bm25Scores);
+  const vectorFloor = floor(vectorScores);
+
+  const combined = Array.from(scoreMap.values()).map(({ bm25, vector, ...result }) => {
+    let score;
+    if (config.fusion === 'rrf') {
+      score = (bm25 ? config.bm25Weight / (config.rrfK + bm25.rank) : 0)
+        + (vector ? config.vectorWeight / (config.rrfK + vector.rank) : 0);
+    } else {
+      score = (bm25 ? bm25.score : bm25Floor) * config.bm25Weight
+        + (vector ? vector.score : vectorFloor) * config.vectorWeight;
+    }
+
+    return {
+      ...result,
+      bm25Score: bm25 ? bm25.score : 0,
+      vectorScore: vector ? vector.score : 0,
+      score: scaleFusedScore(score, config),
+      rawScore: {
+        bm25: bm25 ? bm25.score : 0,
+        vector: vector ? vector.score : 0,
+        bm25Rank: bm25 ? bm25.rank : null,
+        vectorRank: vector ? vector.rank : null
+      }
+    };
+  });
+
+  combined.sort((a, b) => b.score - a.score);
+  return combined;
+}
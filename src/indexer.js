@@ -1,24 +1,17 @@
 #!/usr/bin/env node
 import db from './db.js';
 import { getCollections } from './collections.js';
-import { chunkFile } from './chunker.js';
+import { chunkFile, detectChunker, resolveChunkingConfig } from './chunker.js';
+import { parseFrontmatter, extractMetadata } from './frontmatter.js';
+import { extractLinks, storeLinks, updateLinkGraph } from './links.js';
 import { hashContent, isProbablyBinary } from './utils.js';
+import { generateEmbeddings, resolveEmbeddingConfig, embeddingConfigKey } from './embeddings.js';
+import { getTokenizer, loadTokenizer, fitsTokenLimit } from './tokenizer.js';
+import { updateAnnIndex } from './ann.js';
+import { encodeEmbedding } from './quantize.js';
+import { discoverFiles, createFileFilter } from './discovery.js';
 import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import fg from 'fast-glob';
-
-/**
- * Discover files in a collection
- */
-function discoverFiles(collection) {
-  const pattern = join(collection.base_path, collection.glob_mask);
-  const files = fg.sync(pattern, {
-    absolute: true,
-    onlyFiles: true,
-    dot: false
-  });
-  return files;
-}
+import { sep } from 'path';
 
 /**
  * Read file safely as UTF-8, skipping binary files
@@ -32,9 +25,10 @@ function readFileSafe(filePath) {
 }
 
 /**
- * Index a single file
+ * Index a single file with the collection's chunking settings (including
+ * the tokenizer of its embedding model)
  */
-function indexFile(collectionId, filePath, forceReindex = false) {
+function indexFile(collectionId, filePath, forceReindex = false, chunking = resolveChunkingConfig()) {
   if (!existsSync(filePath)) {
     console.warn(`File not found: ${filePath}`);
     return { indexed: false, reason: 'not_found' };
@@ -68,42 +62,224 @@ function indexFile(collectionId, filePath, forceReindex = false) {
     return { indexed: false, reason: 'unchanged' };
   }
 
-  // If file exists but hash changed, delete old data
+  // Frontmatter becomes file metadata and is not indexed as body text;
+  // only markdown has frontmatter and links
+  const chunker = detectChunker(filePath, content);
+  const isMarkdown = chunker === 'markdown';
+  const { data, body, bodyStartLine } = isMarkdown
+    ? parseFrontmatter(content)
+    : { data: {}, body: content, bodyStartLine: 1 };
+  const { title, tags, date } = extractMetadata(data);
+  const metadata = [title, JSON.stringify(tags), date, JSON.stringify(data)];
+
+  // If file exists but hash changed, keep the row so unchanged chunks
+  // (and their embeddings) survive
+  let fileMetadataId;
   if (existing) {
-    db.prepare('DELETE FROM file_metadata WHERE id = ?').run(existing.id);
+    db.prepare(`
+      UPDATE file_metadata
+      SET file_hash = ?, title = ?, tags = ?, doc_date = ?, frontmatter = ?, indexed_at = unixepoch()
+      WHERE id = ?
+    `).run(contentHash, ...metadata, existing.id);
+    fileMetadataId = existing.id;
+  } else {
+    const fileMetadata = db.prepare(`
+      INSERT INTO file_metadata (collection_id, file_path, file_hash, title, tags, doc_date, frontmatter)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(collectionId, filePath, contentHash, ...metadata);
+    fileMetadataId = fileMetadata.lastInsertRowid;
+  }
+
+  // Chunk the file
+  let chunks;
+  try {
+    chunks = chunkFile(filePath, body, { ...chunking, startLine: bodyStartLine, chunker });
+  } catch (error) {
+    console.warn(`Failed to chunk file: ${filePath} (${error.message})`);
+    chunks = chunkFile(filePath, body, { ...chunking, startLine: bodyStartLine, chunker: 'text' });
   }
+  const { inserted, reused } = syncChunks(fileMetadataId, chunks, title);
+  storeLinks(fileMetadataId, isMarkdown ? extractLinks(content) : []);
 
-  // Insert new file metadata
-  const fileMetadata = db.prepare(`
-    INSERT INTO file_metadata (collection_id, file_path, file_hash)
-    VALUES (?, ?, ?)
-  `).run(collectionId, filePath, contentHash);
+  return { indexed: true, chunks: inserted, reused };
+}
 
-  const fileMetadataId = fileMetadata.lastInsertRowid;
+/**
+ * Reconcile a file's stored chunks with a fresh chunking. Chunks whose text
+ * hash already exists are kept (with their embeddings) and only moved;
+ * new text is inserted and chunks that disappeared are deleted.
+ * `title` is the document title, copied onto each chunk for FTS.
+ * Returns { inserted, reused, ids } with the row id of each chunk.
+ */
+export function syncChunks(fileMetadataId, chunks, title = null) {
+  const existingChunks = db.prepare(`
+    SELECT id, chunk_text, chunk_hash, chunk_index, start_line, end_line, token_count, heading_path, title, chunker
+    FROM chunks WHERE file_metadata_id = ?
+    ORDER BY chunk_index
+  `).all(fileMetadataId);
 
-  // Chunk the file
-  const chunks = chunkFile(filePath, content);
+  const byHash = new Map();
+  for (const row of existingChunks) {
+    // Rows indexed before chunk hashing get their hash computed on the fly
+    const hash = row.chunk_hash ?? hashContent(row.chunk_text);
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(row);
+  }
 
-  // Insert chunks
   const insertChunk = db.prepare(`
-    INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count, chunk_hash, heading_path, title, chunker)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  const updateChunk = db.prepare(`
+    UPDATE chunks SET chunk_index = ?, start_line = ?, end_line = ?, token_count = ?, chunk_hash = ?, heading_path = ?, title = ?, chunker = ?
+    WHERE id = ?
+  `);
+
+  let inserted = 0;
+  let reused = 0;
+  const ids = [];
 
-  let insertedChunks = 0;
   for (const chunk of chunks) {
-    insertChunk.run(
+    const hash = hashContent(chunk.text);
+    const match = byHash.get(hash)?.shift();
+
+    if (match) {
+      const moved = match.chunk_index !== chunk.chunkIndex
+        || match.start_line !== chunk.startLine
+        || match.end_line !== chunk.endLine
+        || match.token_count !== chunk.tokenCount
+        || match.chunk_hash !== hash
+        || match.heading_path !== chunk.headingPath
+        || match.title !== title
+        || match.chunker !== chunk.chunker;
+      if (moved) {
+        updateChunk.run(chunk.chunkIndex, chunk.startLine, chunk.endLine, chunk.tokenCount, hash, chunk.headingPath, title, chunk.chunker, match.id);
+      }
+      ids.push(match.id);
+      reused++;
+      continue;
+    }
+
+    const { lastInsertRowid } = insertChunk.run(
       fileMetadataId,
       chunk.chunkIndex,
       chunk.text,
       chunk.startLine,
       chunk.endLine,
-      chunk.tokenCount
+      chunk.tokenCount,
+      hash,
+      chunk.headingPath,
+      title,
+      chunk.chunker
     );
-    insertedChunks++;
+    ids.push(lastInsertRowid);
+    inserted++;
   }
 
-  return { indexed: true, chunks: insertedChunks };
+  // Whatever wasn't matched no longer exists in the file
+  const deleteChunk = db.prepare('DELETE FROM chunks WHERE id = ?');
+  for (const leftovers of byHash.values()) {
+    for (const row of leftovers) deleteChunk.run(row.id);
+  }
+
+  return { inserted, reused, ids };
+}
+
+// Files per transaction; background indexing yields between batches
+const INDEX_BATCH_SIZE = 100;
+
+/**
+ * Files of a collection with a chunk over the tokenizer's input limit
+ */
+function findOversizedFiles(collectionId, tokenizer) {
+  const files = new Set();
+  const chunks = db.prepare(`
+    SELECT fm.file_path, c.chunk_text
+    FROM chunks c
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+  `).iterate(collectionId);
+
+  for (const chunk of chunks) {
+    if (!files.has(chunk.file_path) && !fitsTokenLimit(chunk.chunk_text, tokenizer)) {
+      files.add(chunk.file_path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Index one collection in steps of INDEX_BATCH_SIZE files, each in its own
+ * transaction, yielding { done, total } files after each step. Returns the
+ * collection's result. Stopping early (return()) still refreshes the link
+ * graph for what was indexed; an interrupted re-chunk resumes next time.
+ */
+function* indexCollectionSteps(collection, full = false) {
+  const { files } = discoverFiles(collection);
+  const tokenizer = getTokenizer(resolveEmbeddingConfig(collection));
+  const chunking = { ...resolveChunkingConfig(collection), tokenizer };
+  // Changed chunking settings re-chunk every file; a different tokenizer
+  // (embedding model) only the files with chunks over its limit. Unchanged
+  // text keeps its embeddings.
+  const rechunk = Boolean(collection.needs_rechunk);
+  const tokenizerChanged = collection.chunk_tokenizer !== tokenizer.name;
+  const oversized = tokenizerChanged && !rechunk ? findOversizedFiles(collection.id, tokenizer) : new Set();
+  const fileSet = new Set(files);
+  const result = {
+    name: collection.name,
+    files: files.length,
+    indexed: 0,
+    skipped: 0,
+    removed: 0,
+    chunks: 0,
+    reused: 0,
+    rechunked: rechunk,
+    oversized: oversized.size
+  };
+
+  try {
+    // Remove deleted files from the index
+    db.transaction(() => {
+      const existingFiles = db.prepare(`
+        SELECT id, file_path FROM file_metadata WHERE collection_id = ?
+      `).all(collection.id);
+
+      for (const existing of existingFiles) {
+        if (!fileSet.has(existing.file_path)) {
+          db.prepare('DELETE FROM file_metadata WHERE id = ?').run(existing.id);
+          result.removed++;
+        }
+      }
+    })();
+
+    const indexBatch = db.transaction((batch) => {
+      for (const file of batch) {
+        const fileResult = indexFile(collection.id, file, full || rechunk || oversized.has(file), chunking);
+        if (fileResult.indexed) {
+          result.indexed++;
+          result.chunks += fileResult.chunks || 0;
+          result.reused += fileResult.reused || 0;
+        } else {
+          result.skipped++;
+        }
+      }
+    });
+
+    for (let i = 0; i < files.length; i += INDEX_BATCH_SIZE) {
+      indexBatch(files.slice(i, i + INDEX_BATCH_SIZE));
+      yield { done: Math.min(i + INDEX_BATCH_SIZE, files.length), total: files.length };
+    }
+
+    if (rechunk || tokenizerChanged) {
+      db.prepare('UPDATE collections SET needs_rechunk = 0, chunk_tokenizer = ? WHERE id = ?').run(tokenizer.name, collection.id);
+    }
+  } finally {
+    if (result.indexed > 0 || result.removed > 0) {
+      updateLinkGraph(collection);
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -121,91 +297,383 @@ export function indexCollections(options = {}) {
     collections: [],
     totalFiles: 0,
     totalChunks: 0,
+    reusedChunks: 0,
     indexed: 0,
     skipped: 0,
     removed: 0
   };
 
   for (const collection of collections) {
-    const files = discoverFiles(collection);
-    const fileSet = new Set(files);
-    let collectionIndexed = 0;
-    let collectionSkipped = 0;
-    let collectionChunks = 0;
-    let collectionRemoved = 0;
+    const steps = indexCollectionSteps(collection, full);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    const collectionResult = step.value;
 
-    const tx = db.transaction(() => {
-      // Remove deleted files from the index
-      const existingFiles = db.prepare(`
-        SELECT id, file_path FROM file_metadata WHERE collection_id = ?
-      `).all(collection.id);
+    results.collections.push(collectionResult);
+    results.totalFiles += collectionResult.files;
+    results.indexed += collectionResult.indexed;
+    results.skipped += collectionResult.skipped;
+    results.removed += collectionResult.removed;
+    results.totalChunks += collectionResult.chunks;
+    results.reusedChunks += collectionResult.reused;
+  }
 
-      for (const existing of existingFiles) {
-        if (!fileSet.has(existing.file_path)) {
-          db.prepare('DELETE FROM file_metadata WHERE id = ?').run(existing.id);
-          collectionRemoved++;
-        }
-      }
+  return results;
+}
 
-      for (const file of files) {
-        const result = indexFile(collection.id, file, full);
-        if (result.indexed) {
-          collectionIndexed++;
-          collectionChunks += result.chunks || 0;
-        } else {
-          collectionSkipped++;
-        }
+/**
+ * Load the tokenizers of the collections' embedding models (see
+ * loadTokenizer). Indexing is synchronous and can't load them itself, so
+ * callers load them first; otherwise local models are counted with BPE.
+ */
+export async function loadTokenizers(collectionName = null) {
+  for (const collection of getCollections(collectionName)) {
+    await loadTokenizer(resolveEmbeddingConfig(collection));
+  }
+}
+
+/**
+ * Index one collection without holding the event loop: yields to it after
+ * every batch of files, reports { done, total } files to onProgress and
+ * stops after the current batch once `signal` aborts (throwing its reason).
+ * Returns the collection's result, as in indexCollections().collections.
+ */
+export async function indexCollectionInBackground(collection, options = {}) {
+  const { full = false, signal = null, onProgress = () => {} } = options;
+  await loadTokenizer(resolveEmbeddingConfig(collection));
+  const steps = indexCollectionSteps(collection, full);
+
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const step = steps.next();
+      if (step.done) return step.value;
+      onProgress(step.value);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } finally {
+    steps.return();
+  }
+}
+
+/**
+ * What indexCollections would do, without writing anything (index --dry-run).
+ * Returns { collections: [{ name, basePath, add, update, remove, skipped, unchanged }] }
+ * with file paths in add/update/remove, { filePath, reason } in skipped and
+ * a count of unchanged files.
+ */
+export function planIndex(options = {}) {
+  const { collectionName = null, full = false } = options;
+  const collections = getCollections(collectionName);
+
+  if (collections.length === 0) {
+    return { error: 'No collections found' };
+  }
+
+  const results = { collections: [] };
+
+  for (const collection of collections) {
+    const { files, skipped } = discoverFiles(collection, { explain: true });
+    const tokenizer = getTokenizer(resolveEmbeddingConfig(collection));
+    const rechunk = full || Boolean(collection.needs_rechunk);
+    const oversized = !rechunk && collection.chunk_tokenizer !== tokenizer.name ? findOversizedFiles(collection.id, tokenizer) : new Set();
+
+    const indexed = new Map(db.prepare(`
+      SELECT file_path, file_hash FROM file_metadata WHERE collection_id = ?
+    `).all(collection.id).map(row => [row.file_path, row.file_hash]));
+
+    const plan = { name: collection.name, basePath: collection.base_path, add: [], update: [], remove: [], skipped, unchanged: 0 };
+
+    for (const filePath of files) {
+      let result;
+      try {
+        result = readFileSafe(filePath);
+      } catch (error) {
+        skipped.push({ filePath, reason: `unreadable (${error.message})` });
+        continue;
+      }
+      if (result.binary) {
+        skipped.push({ filePath, reason: 'binary' });
+        if (indexed.has(filePath)) plan.remove.push(filePath);
+        continue;
       }
-    });
 
-    tx();
+      if (!indexed.has(filePath)) {
+        plan.add.push(filePath);
+      } else if (rechunk || oversized.has(filePath) || indexed.get(filePath) !== hashContent(result.content)) {
+        plan.update.push(filePath);
+      } else {
+        plan.unchanged++;
+      }
+    }
 
-    results.collections.push({
-      name: collection.name,
-      files: files.length,
-      indexed: collectionIndexed,
-      skipped: collectionSkipped,
-      removed: collectionRemoved,
-      chunks: collectionChunks
-    });
+    const fileSet = new Set(files);
+    for (const filePath of indexed.keys()) {
+      if (!fileSet.has(filePath)) plan.remove.push(filePath);
+    }
 
-    results.totalFiles += files.length;
-    results.indexed += collectionIndexed;
-    results.skipped += collectionSkipped;
-    results.removed += collectionRemoved;
-    results.totalChunks += collectionChunks;
+    results.collections.push(plan);
   }
 
   return results;
 }
 
 /**
- * Get chunks that don't have embeddings yet
+ * Re-index specific files of a collection (used by watch mode).
+ * Files that no longer exist, or that the collection's masks, excludes,
+ * ignore files or size cap now leave out, are removed from the index.
  */
-export function getUnembbeddedChunks(limit = 1000) {
-  return db.prepare(`
-    SELECT c.id, c.chunk_text
+export function indexPaths(collection, filePaths) {
+  const result = { indexed: 0, skipped: 0, removed: 0, chunks: 0, reused: 0 };
+  const chunking = { ...resolveChunkingConfig(collection), tokenizer: getTokenizer(resolveEmbeddingConfig(collection)) };
+  const filter = createFileFilter(collection);
+
+  const tx = db.transaction(() => {
+    for (const filePath of filePaths) {
+      if (!existsSync(filePath) || filter.skipReason(filePath)) {
+        const removed = db.prepare(`
+          DELETE FROM file_metadata WHERE collection_id = ? AND file_path = ?
+        `).run(collection.id, filePath);
+        result.removed += removed.changes;
+        continue;
+      }
+
+      const fileResult = indexFile(collection.id, filePath, false, chunking);
+      if (fileResult.indexed) {
+        result.indexed++;
+        result.chunks += fileResult.chunks || 0;
+        result.reused += fileResult.reused || 0;
+      } else {
+        result.skipped++;
+      }
+    }
+  });
+
+  tx();
+
+  if (result.indexed > 0 || result.removed > 0) {
+    updateLinkGraph(collection, { authority: false });
+  }
+  return result;
+}
+
+/**
+ * Whether any indexed file of a collection lives under a directory
+ */
+export function hasIndexedFilesUnder(collectionId, dirPath) {
+  const prefix = dirPath.endsWith(sep) ? dirPath : dirPath + sep;
+  return Boolean(db.prepare(`
+    SELECT 1 FROM file_metadata
+    WHERE collection_id = ? AND substr(file_path, 1, ?) = ?
+    LIMIT 1
+  `).get(collectionId, prefix.length, prefix));
+}
+
+/**
+ * Get chunks that don't have embeddings yet, optionally for one collection
+ */
+export function getUnembbeddedChunks(limit = 1000, collectionId = null) {
+  let sql = `
+    SELECT c.id, c.chunk_text, c.start_line, c.end_line, fm.collection_id, fm.file_path
     FROM chunks c
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
     LEFT JOIN embeddings e ON e.chunk_id = c.id
     WHERE e.chunk_id IS NULL
+  `;
+  const params = [];
+
+  if (collectionId !== null) {
+    sql += ' AND fm.collection_id = ?';
+    params.push(collectionId);
+  }
+
+  sql += ' LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Get embedded chunks whose vectors don't match the collection's active
+ * embedding config (different provider/model, or a different dimension)
+ */
+export function getStaleChunks(limit, collectionId, config, dimensions = null) {
+  return db.prepare(`
+    SELECT c.id, c.chunk_text, c.start_line, c.end_line, fm.collection_id, fm.file_path
+    FROM chunks c
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    JOIN embeddings e ON e.chunk_id = c.id
+    WHERE fm.collection_id = ?
+      AND (
+        e.embedding_provider != ?
+        OR e.embedding_model != ?
+        OR (? IS NOT NULL AND e.dimensions != ?)
+      )
     LIMIT ?
-  `).all(limit);
+  `).all(collectionId, config.provider, config.model, dimensions, dimensions, limit);
+}
+
+/**
+ * Count stale embeddings in a collection (see getStaleChunks)
+ */
+export function countStaleEmbeddings(collectionId, config, dimensions = null) {
+  return db.prepare(`
+    SELECT COUNT(*) as count
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+      AND (
+        e.embedding_provider != ?
+        OR e.embedding_model != ?
+        OR (? IS NOT NULL AND e.dimensions != ?)
+      )
+  `).get(collectionId, config.provider, config.model, dimensions, dimensions).count;
+}
+
+/**
+ * Whether a collection has any stored embeddings
+ */
+function hasEmbeddings(collectionId) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+    LIMIT 1
+  `).get(collectionId));
 }
 
 /**
- * Store embeddings for chunks
+ * Record the embedding space (provider:model) and vector size a collection
+ * is currently embedded with
  */
-export function storeEmbeddings(chunkEmbeddings) {
+export function setEmbeddingSpace(collectionId, space, dimensions) {
+  db.prepare(`
+    UPDATE collections SET embedding_space = ?, embedding_dimensions = ? WHERE id = ?
+  `).run(space, dimensions, collectionId);
+}
+
+/**
+ * Store embeddings for chunks, encoded for the collection's quantization
+ */
+export function storeEmbeddings(chunkEmbeddings, quantization = 'none') {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO embeddings (chunk_id, embedding, embedding_model)
-    VALUES (?, ?, ?)
+    INSERT OR REPLACE INTO embeddings (chunk_id, embedding, embedding_q, embedding_model, embedding_provider, dimensions)
+    VALUES (?, ?, ?, ?, ?, ?)
   `);
 
   const insert = db.transaction((embeddings) => {
-    for (const { chunkId, embedding, model } of embeddings) {
-      stmt.run(chunkId, embedding, model);
+    for (const { chunkId, vector, model, provider } of embeddings) {
+      const { embedding, embeddingQ } = encodeEmbedding(vector, quantization);
+      stmt.run(chunkId, embedding, embeddingQ, model, provider, vector.length);
     }
   });
 
   insert(chunkEmbeddings);
 }
+
+/**
+ * Embed unembedded chunks for each collection with its active provider/model.
+ * With reembedStale, also replaces stale vectors batch by batch; old vectors
+ * stay searchable (flagged as stale) until their replacement is written.
+ * The collection's ANN index is updated afterwards, reporting to
+ * onAnnProgress. An aborted `signal` stops before the next batch (or at the
+ * next ANN checkpoint); batches already stored are kept.
+ */
+export async function embedCollections(options = {}) {
+  const {
+    collectionName = null,
+    batchSize = 100,
+    reembedStale = false,
+    onBatch = () => {},
+    onAnnProgress = () => {},
+    signal = null
+  } = options;
+
+  const results = {
+    collections: [],
+    totalEmbedded: 0,
+    totalReembedded: 0,
+    totalStale: 0
+  };
+
+  for (const collection of getCollections(collectionName)) {
+    const config = resolveEmbeddingConfig(collection);
+    const tokenizer = await loadTokenizer(config);
+    const space = embeddingConfigKey(config);
+    let dimensions = collection.embedding_space === space ? collection.embedding_dimensions : null;
+    let embedded = 0;
+    let reembedded = 0;
+
+    // Chunks stored before the model's limit applied are truncated rather
+    // than failing the whole batch
+    const embeddingInput = (chunk) => {
+      if (fitsTokenLimit(chunk.chunk_text, tokenizer)) return chunk.chunk_text;
+      console.warn(`⚠️  ${chunk.file_path}:${chunk.start_line}-${chunk.end_line}: chunk exceeds the ${tokenizer.maxTokens}-token embedding limit, truncated (re-index to split it)`);
+      return tokenizer.split(chunk.chunk_text)[0];
+    };
+
+    const embedBatch = async (chunks) => {
+      const embeddings = await generateEmbeddings(chunks.map(embeddingInput), config);
+
+      const size = embeddings[0]?.length ?? null;
+      if (size && size !== dimensions) {
+        dimensions = size;
+        setEmbeddingSpace(collection.id, space, dimensions);
+      }
+
+      storeEmbeddings(chunks.map((chunk, i) => ({
+        chunkId: chunk.id,
+        vector: embeddings[i],
+        model: config.model,
+        provider: config.provider
+      })), collection.quantization);
+    };
+
+    while (true) {
+      signal?.throwIfAborted();
+      const chunks = getUnembbeddedChunks(batchSize, collection.id);
+      if (chunks.length === 0) break;
+
+      await embedBatch(chunks);
+      embedded += chunks.length;
+      results.totalEmbedded += chunks.length;
+      onBatch({ collection: collection.name, config, count: chunks.length, total: results.totalEmbedded + results.totalReembedded, stale: false });
+    }
+
+    if (reembedStale) {
+      // With no recorded vector size, vectors from the same provider/model
+      // can only be checked against a probe. Other stale vectors need no
+      // probe: the first re-embedded batch records the size (embedBatch).
+      if (dimensions === null && countStaleEmbeddings(collection.id, config) === 0 && hasEmbeddings(collection.id)) {
+        const [probe] = await generateEmbeddings(['dimension probe'], config);
+        if (probe) {
+          dimensions = probe.length;
+          setEmbeddingSpace(collection.id, space, dimensions);
+        }
+      }
+
+      while (true) {
+        signal?.throwIfAborted();
+        const chunks = getStaleChunks(batchSize, collection.id, config, dimensions);
+        if (chunks.length === 0) break;
+
+        await embedBatch(chunks);
+        reembedded += chunks.length;
+        results.totalReembedded += chunks.length;
+        onBatch({ collection: collection.name, config, count: chunks.length, total: results.totalEmbedded + results.totalReembedded, stale: true });
+      }
+    }
+
+    const stale = countStaleEmbeddings(collection.id, config, dimensions);
+    const ann = await updateAnnIndex(collection.id, config, dimensions, {
+      signal,
+      onProgress: (progress) => onAnnProgress({ collection: collection.name, ...progress })
+    });
+    results.totalStale += stale;
+    results.collections.push({ name: collection.name, config, embedded, reembedded, stale, ann });
+  }
+
+  return results;
+}
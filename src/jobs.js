@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+import { getCollections, removeCollection } from './collections.js';
+import { indexCollectionInBackground, embedCollections } from './indexer.js';
+
+const MAX_FINISHED_JOBS = 100;
+
+const jobs = new Map();
+const queue = [];
+let nextId = 1;
+let running = null;
+let writer = Promise.resolve();
+
+/**
+ * Run a task after every write task queued before it has finished. Jobs
+ * and watch mode go through here so only one of them writes at a time.
+ */
+export function runExclusive(task) {
+  const run = writer.then(task);
+  writer = run.catch(() => {});
+  return run;
+}
+
+// Job type -> async run(job, signal), returning the job's result. Progress
+// goes to job.progress; runs stop at the next checkpoint once signal aborts.
+const JOB_TYPES = {
+  async index(job, signal) {
+    const collections = getCollections(job.collection);
+    if (collections.length === 0) {
+      throw new Error('No collections found');
+    }
+
+    const result = { indexed: 0, skipped: 0, removed: 0, chunks: 0, reused: 0, collections: [] };
+    job.progress = { collections: collections.length, done: 0, current: null, files: null };
+
+    // Batches of files at a time, yielding in between so the server stays
+    // responsive and cancellation can land
+    for (const collection of collections) {
+      job.progress.current = collection.name;
+      job.progress.files = null;
+
+      const collectionResult = await indexCollectionInBackground(collection, {
+        full: job.options.full,
+        signal,
+        onProgress: (files) => { job.progress.files = files; }
+      });
+      result.indexed += collectionResult.indexed;
+      result.skipped += collectionResult.skipped;
+      result.removed += collectionResult.removed;
+      result.chunks += collectionResult.chunks;
+      result.reused += collectionResult.reused;
+      result.collections.push(collectionResult);
+
+      job.progress.done++;
+    }
+
+    job.progress.current = null;
+    job.progress.files = null;
+    return result;
+  },
+
+  async embed(job, signal) {
+    job.progress = { embedded: 0, current: null };
+
+    const result = await embedCollections({
+      collectionName: job.collection,
+      batchSize: job.options.batchSize,
+      reembedStale: job.options.reembedStale,
+      signal,
+      onBatch: ({ collection, total }) => {
+        job.progress = { embedded: total, current: collection };
+      },
+      onAnnProgress: ({ collection, phase, done, total }) => {
+        job.progress.current = collection;
+        job.progress.ann = { phase, done, total };
+      }
+    });
+
+    job.progress.current = null;
+    delete job.progress.ann;
+    return {
+      embedded: result.totalEmbedded,
+      reembedded: result.totalReembedded,
+      stale: result.totalStale,
+      collections: result.collections.map(({ name, embedded, reembedded, stale }) => ({ name, embedded, reembedded, stale }))
+    };
+  },
+
+  async remove(job) {
+    return removeCollection(job.collection);
+  }
+};
+
+export const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+/**
+ * Public view of a job
+ */
+export function describeJob(job) {
+  const { controller, key, ...rest } = job;
+  return rest;
+}
+
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt !== null);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+async function runNext() {
+  if (running || queue.length === 0) return;
+
+  // Off the queue but waiting for the writer (e.g. a watch-mode flush)
+  const job = queue.shift();
+  job.status = 'starting';
+  running = job;
+
+  await runExclusive(async () => {
+    if (job.controller.signal.aborted) {
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    try {
+      job.result = await JOB_TYPES[job.type](job, job.controller.signal);
+      job.status = 'succeeded';
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+    }
+    job.finishedAt = Date.now();
+  });
+
+  running = null;
+  pruneFinished();
+  runNext();
+}
+
+/**
+ * Queue a background job: 'index' ({ full }), 'embed' ({ batchSize,
+ * reembedStale }) or 'remove', for one collection or (null) all of them.
+ * Jobs run one at a time. A request already covered by a queued job of the
+ * same type and options (for the same collection, or for all) returns that
+ * job instead of queueing another.
+ * Returns { job, coalesced }.
+ */
+export function enqueueJob(type, collection = null, options = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}. Use one of: ${JOB_TYPE_NAMES.join(', ')}`);
+  }
+
+  const key = JSON.stringify([type, options]);
+  const queued = queue.find(job => job.key === key && (job.collection === null || job.collection === collection));
+  if (queued) {
+    return { job: queued, coalesced: true };
+  }
+
+  const job = {
+    id: String(nextId++),
+    type,
+    collection,
+    options,
+    status: 'queued',
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    key,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  setImmediate(runNext);
+
+  return { job, coalesced: false };
+}
+
+/**
+ * Get a job by id (null if unknown or pruned)
+ */
+export function getJob(id) {
+  return jobs.get(String(id)) ?? null;
+}
+
+/**
+ * Jobs still known, newest first
+ */
+export function listJobs() {
+  return [...jobs.values()].reverse();
+}
+
+/**
+ * Cancel a job: a queued one is dropped, a starting one never runs, a
+ * running one stops at its next checkpoint (after the current batch of files or embeddings); work already
+ * committed stays. Throws if the job already finished.
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) {
+    throw new Error(`Job ${id} not found`);
+  }
+  if (job.finishedAt !== null) {
+    throw new Error(`Job ${id} already ${job.status}`);
+  }
+
+  const position = queue.indexOf(job);
+  if (position !== -1) {
+    queue.splice(position, 1);
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+  } else {
+    job.controller.abort();
+  }
+  return job;
+}
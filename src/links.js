@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+import db from './db.js';
+import { dirname, resolve, relative, basename, extname, sep } from 'path';
+import { existsSync, realpathSync } from 'fs';
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 30;
+
+/**
+ * Normalize a markdown link destination to a local path, or null for
+ * external URLs and in-page anchors
+ */
+function markdownTarget(destination) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(destination) || destination.startsWith('//') || destination.startsWith('#')) {
+    return null;
+  }
+
+  const path = destination.replace(/[#?].*$/, '');
+  if (!path) return null;
+
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Extract outgoing links from markdown: [[wiki links]] (with optional
+ * #heading or |alias) and relative [text](path) links. External URLs,
+ * in-page anchors and anything inside code are skipped.
+ * Returns [{ target, kind: 'wiki' | 'markdown', line }]
+ */
+export function extractLinks(content) {
+  const links = [];
+  let inFence = false;
+
+  content.split('\n').forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const text = line.replace(/`[^`]*`/g, '');
+
+    for (const match of text.matchAll(/\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\]/g)) {
+      links.push({ target: match[1].trim(), kind: 'wiki', line: i + 1 });
+    }
+
+    for (const match of text.matchAll(/\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+      const target = markdownTarget(match[1]);
+      if (target) links.push({ target, kind: 'markdown', line: i + 1 });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Replace the stored outgoing links of a file (resolved later by resolveLinks)
+ */
+export function storeLinks(fileMetadataId, links) {
+  db.prepare('DELETE FROM links WHERE file_metadata_id = ?').run(fileMetadataId);
+
+  const insert = db.prepare('INSERT INTO links (file_metadata_id, target, kind, line) VALUES (?, ?, ?, ?)');
+  for (const link of links) {
+    insert.run(fileMetadataId, link.target, link.kind, link.line);
+  }
+}
+
+function stripExtension(path) {
+  const ext = extname(path);
+  return ext ? path.slice(0, -ext.length) : path;
+}
+
+/**
+ * Resolve every link of a collection against the collection's indexed files.
+ * Markdown links resolve relative to the linking file (or the collection
+ * root for /paths); wiki links match a file name or collection-relative
+ * path, with or without extension, preferring the linking file's directory.
+ * Returns the number of resolved links.
+ */
+export function resolveLinks(collection) {
+  const files = db.prepare('SELECT id, file_path FROM file_metadata WHERE collection_id = ?').all(collection.id);
+
+  const byPath = new Map(files.map(file => [file.file_path, file]));
+  const byName = new Map();
+  const addName = (key, file) => {
+    const normalized = key.toLowerCase();
+    if (!byName.has(normalized)) byName.set(normalized, []);
+    if (!byName.get(normalized).includes(file)) byName.get(normalized).push(file);
+  };
+
+  for (const file of files) {
+    const relativePath = relative(collection.base_path, file.file_path).split(sep).join('/');
+    addName(relativePath, file);
+    addName(stripExtension(relativePath), file);
+    addName(basename(relativePath), file);
+    addName(stripExtension(basename(relativePath)), file);
+  }
+
+  const resolveWiki = (target, sourcePath) => {
+    const candidates = byName.get(target.replace(/\\/g, '/').replace(/^\//, '').toLowerCase());
+    if (!candidates) return null;
+
+    const sourceDir = dirname(sourcePath);
+    return candidates.find(file => dirname(file.file_path) === sourceDir)
+      ?? [...candidates].sort((a, b) => a.file_path.length - b.file_path.length)[0];
+  };
+
+  const resolveMarkdown = (target, sourcePath) => {
+    const path = target.startsWith('/')
+      ? resolve(collection.base_path, `.${target}`)
+      : resolve(dirname(sourcePath), target);
+    return byPath.get(path) ?? byPath.get(`${path}.md`) ?? null;
+  };
+
+  const links = db.prepare(`
+    SELECT l.id, l.target, l.kind, l.target_file_id, fm.file_path as source_path
+    FROM links l
+    JOIN file_metadata fm ON l.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+  `).all(collection.id);
+
+  const update = db.prepare('UPDATE links SET target_file_id = ? WHERE id = ?');
+  let resolved = 0;
+
+  db.transaction(() => {
+    for (const link of links) {
+      const file = link.kind === 'wiki'
+        ? resolveWiki(link.target, link.source_path)
+        : resolveMarkdown(link.target, link.source_path);
+      const targetId = file?.id ?? null;
+
+      if (targetId !== link.target_file_id) update.run(targetId, link.id);
+      if (targetId !== null) resolved++;
+    }
+  })();
+
+  return resolved;
+}
+
+/**
+ * PageRank over a collection's resolved links, scaled so the most linked-to
+ * file scores 1. Stored as file_metadata.authority.
+ */
+export function computeAuthority(collectionId) {
+  const files = db.prepare('SELECT id FROM file_metadata WHERE collection_id = ?').all(collectionId);
+  if (files.length === 0) return;
+
+  const index = new Map(files.map((file, i) => [file.id, i]));
+  const outgoing = files.map(() => []);
+
+  const edges = db.prepare(`
+    SELECT DISTINCT l.file_metadata_id as source, l.target_file_id as target
+    FROM links l
+    JOIN file_metadata fm ON l.file_metadata_id = fm.id
+    WHERE fm.collection_id = ? AND l.target_file_id IS NOT NULL AND l.target_file_id != l.file_metadata_id
+  `).all(collectionId);
+  for (const edge of edges) {
+    if (index.has(edge.target)) outgoing[index.get(edge.source)].push(index.get(edge.target));
+  }
+
+  const n = files.length;
+  let rank = new Float64Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+    const next = new Float64Array(n);
+
+    // Files without outgoing links spread their rank over every file
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (outgoing[i].length === 0) {
+        dangling += rank[i];
+      } else {
+        for (const j of outgoing[i]) next[j] += rank[i] / outgoing[i].length;
+      }
+    }
+
+    const base = (1 - PAGERANK_DAMPING) / n + (PAGERANK_DAMPING * dangling) / n;
+    for (let i = 0; i < n; i++) next[i] = base + PAGERANK_DAMPING * next[i];
+    rank = next;
+  }
+
+  // Not Math.max(...rank): spreading a large collection overflows the stack
+  let max = 0;
+  for (const value of rank) if (value > max) max = value;
+  const update = db.prepare('UPDATE file_metadata SET authority = ? WHERE id = ?');
+  db.transaction(() => {
+    files.forEach((file, i) => update.run(max > 0 ? rank[i] / max : 0, file.id));
+  })();
+}
+
+/**
+ * Re-resolve a collection's links and recompute authority (after indexing).
+ * { authority: false } only resolves links: watch mode skips PageRank over
+ * the whole collection on every flush and leaves it to the next index.
+ */
+export function updateLinkGraph(collection, options = {}) {
+  const { authority = true } = options;
+  const resolved = resolveLinks(collection);
+  if (authority) computeAuthority(collection.id);
+  return resolved;
+}
+
+/**
+ * Look up an indexed file by path (as given, or its real path)
+ */
+function findIndexedFile(filePath) {
+  const select = db.prepare(`
+    SELECT fm.id, fm.file_path, col.name as collection_name
+    FROM file_metadata fm
+    JOIN collections col ON fm.collection_id = col.id
+    WHERE fm.file_path = ?
+  `);
+
+  const absolutePath = resolve(filePath);
+  return select.get(absolutePath)
+    ?? (existsSync(absolutePath) ? select.get(realpathSync(absolutePath)) : undefined)
+    ?? null;
+}
+
+/**
+ * Outgoing links of an indexed file; `path` is null for unresolved targets.
+ * Returns null if the file is not indexed.
+ */
+export function getLinks(filePath) {
+  const file = findIndexedFile(filePath);
+  if (!file) return null;
+
+  const links = db.prepare(`
+    SELECT l.target, l.kind, l.line, target.file_path as path
+    FROM links l
+    LEFT JOIN file_metadata target ON l.target_file_id = target.id
+    WHERE l.file_metadata_id = ?
+    ORDER BY l.line, l.id
+  `).all(file.id);
+
+  return { path: file.file_path, collection: file.collection_name, links };
+}
+
+/**
+ * Files linking to an indexed file. Returns null if the file is not indexed.
+ */
+export function getBacklinks(filePath) {
+  const file = findIndexedFile(filePath);
+  if (!file) return null;
+
+  const backlinks = db.prepare(`
+    SELECT source.file_path as path, l.target, l.kind, l.line
+    FROM links l
+    JOIN file_metadata source ON l.file_metadata_id = source.id
+    WHERE l.target_file_id = ?
+    ORDER BY source.file_path, l.line
+  `).all(file.id);
+
+  return { path: file.file_path, collection: file.collection_name, backlinks };
+}
+
+/**
+ * Multiply each result's score by (1 + weight * authority) / (1 + weight)
+ * and re-sort
+ */
+export function boostByAuthority(results, weight) {
+  if (results.length === 0 || !(weight > 0)) return results;
+
+  const rows = db.prepare(`
+    SELECT c.id, fm.authority
+    FROM chunks c
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE c.id IN (${results.map(() => '?').join(', ')})
+  `).all(...results.map(r => r.chunkId));
+  const authority = new Map(rows.map(row => [row.id, row.authority ?? 0]));
+
+  for (const result of results) {
+    result.authority = authority.get(result.chunkId) ?? 0;
+    result.score *= (1 + weight * result.authority) / (1 + weight);
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+import db from './db.js';
+import { listCollections, getCollection, resolveFileInCollections } from './collections.js';
+import { indexCollections, loadTokenizers } from './indexer.js';
+import { search } from './search.js';
+import { runExclusive } from './jobs.js';
+import { readFileSync } from 'fs';
+import { createInterface } from 'readline';
+
+// Model Context Protocol over stdio: newline-delimited JSON-RPC 2.0 on
+// stdin/stdout. Anything else written to stdout would corrupt the stream,
+// so logging goes to stderr.
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'ddsearch', version: '1.0.0' };
+const RESOURCE_PREFIX = 'ddsearch://collections/';
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Errors carrying a JSON-RPC error code; anything else is an internal error
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { rpcCode: code });
+}
+
+const text = value => ({ content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) }] });
+
+function requireCollection(name) {
+  if (name == null) return null;
+  if (!getCollection(name)) throw new Error(`Collection "${name}" not found`);
+  return name;
+}
+
+// Tool name -> { description, inputSchema, run(args) }. run returns the
+// tool result; thrown errors become results with isError set.
+const TOOLS = {
+  search: {
+    description: 'Search indexed documents. Returns matching chunks with file path, line range, section and score.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query (supports "phrases", OR, -exclusions and field:value filters)' },
+        mode: { type: 'string', enum: ['hybrid', 'bm25', 'vector'], description: 'Search mode (default: hybrid)' },
+        collection: { type: 'string', description: 'Only search this collection' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum results (default: 10)' }
+      },
+      required: ['query']
+    },
+    async run({ query, mode = 'hybrid', collection = null, limit = 10 }) {
+      if (!query || typeof query !== 'string') {
+        throw new Error('query is required');
+      }
+      if (!['bm25', 'vector', 'hybrid'].includes(mode)) {
+        throw new Error(`Invalid mode: ${mode}. Use one of: hybrid, bm25, vector`);
+      }
+
+      const results = await search(query, {
+        mode,
+        limit: Math.max(1, Math.min(100, parseInt(limit, 10) || 10)),
+        collectionName: requireCollection(collection)
+      });
+      return text(results.map(result => ({
+        collection: result.collection,
+        path: result.filePath,
+        title: result.title,
+        section: result.headingPath,
+        lines: [result.startLine, result.endLine],
+        score: result.score,
+        text: result.text
+      })));
+    }
+  },
+
+  get_file: {
+    description: 'Read a file inside a collection, optionally only a range of lines (1-based, inclusive).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, as returned by search' },
+        startLine: { type: 'integer', minimum: 1, description: 'First line to return' },
+        endLine: { type: 'integer', minimum: 1, description: 'Last line to return' }
+      },
+      required: ['path']
+    },
+    run({ path, startLine = null, endLine = null }) {
+      if (!path || typeof path !== 'string') {
+        throw new Error('path is required');
+      }
+      const resolved = resolveFileInCollections(path);
+      if (!resolved) {
+        throw new Error(`File is not within any collection: ${path}`);
+      }
+
+      const content = readFileSync(resolved.resolvedPath, 'utf-8');
+      if (startLine === null && endLine === null) return text(content);
+
+      const lines = content.split('\n');
+      const first = Math.max(1, startLine ?? 1);
+      const last = Math.min(lines.length, endLine ?? lines.length);
+      if (first > last) {
+        throw new Error(`Invalid line range ${first}-${last} (file has ${lines.length} lines)`);
+      }
+      return text(lines.slice(first - 1, last).join('\n'));
+    }
+  },
+
+  list_collections: {
+    description: 'List collections with their base path, file mask and file, chunk and embedding counts.',
+    inputSchema: { type: 'object', properties: {} },
+    run() {
+      return text(listCollections().map(collection => ({
+        name: collection.name,
+        path: collection.base_path,
+        mask: collection.glob_mask,
+        files: collection.file_count,
+        chunks: collection.chunk_count,
+        embedded: collection.embedded_count
+      })));
+    }
+  },
+
+  index: {
+    description: 'Incrementally index a collection (or all of them): only new, changed and deleted files are processed. Does not embed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: { type: 'string', description: 'Only index this collection' }
+      }
+    },
+    async run({ collection = null }) {
+      const collectionName = requireCollection(collection);
+      const result = await runExclusive(async () => {
+        await loadTokenizers(collectionName);
+        return indexCollections({ collectionName });
+      });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      return text({
+        indexed: result.indexed,
+        skipped: result.skipped,
+        removed: result.removed,
+        chunks: result.totalChunks,
+        reused: result.reusedChunks
+      });
+    }
+  }
+};
+
+function collectionUri(name) {
+  return `${RESOURCE_PREFIX}${encodeURIComponent(name)}`;
+}
+
+/**
+ * A collection resource: its settings and counts plus the indexed files
+ */
+function readCollectionResource(uri) {
+  const name = uri.startsWith(RESOURCE_PREFIX) ? decodeURIComponent(uri.slice(RESOURCE_PREFIX.length)) : null;
+  const collection = name !== null && listCollections().find(c => c.name === name);
+  if (!collection) {
+    throw rpcError(INVALID_PARAMS, `Resource not found: ${uri}`);
+  }
+
+  const files = db.prepare(`
+    SELECT fm.file_path AS path, fm.title, COUNT(c.id) AS chunks
+    FROM file_metadata fm
+    LEFT JOIN chunks c ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+    GROUP BY fm.id
+    ORDER BY fm.file_path
+  `).all(collection.id);
+
+  return {
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify({
+      name: collection.name,
+      path: collection.base_path,
+      mask: collection.glob_mask,
+      chunks: collection.chunk_count,
+      embedded: collection.embedded_count,
+      files
+    }, null, 2)
+  };
+}
+
+// JSON-RPC method -> handler(params)
+const METHODS = {
+  initialize(params) {
+    const requested = params?.protocolVersion;
+    return {
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: SERVER_INFO,
+      instructions: 'Search local document collections with ddsearch. Use search to find relevant chunks, then get_file with the returned path and lines for more context.'
+    };
+  },
+
+  ping() {
+    return {};
+  },
+
+  'tools/list'() {
+    return {
+      tools: Object.entries(TOOLS).map(([name, { description, inputSchema }]) => ({ name, description, inputSchema }))
+    };
+  },
+
+  async 'tools/call'(params) {
+    const tool = Object.hasOwn(TOOLS, params?.name ?? '') ? TOOLS[params.name] : null;
+    if (!tool) {
+      throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+    }
+    try {
+      return await tool.run(params.arguments ?? {});
+    } catch (error) {
+      return { ...text(error.message), isError: true };
+    }
+  },
+
+  'resources/list'() {
+    return {
+      resources: listCollections().map(collection => ({
+        uri: collectionUri(collection.name),
+        name: collection.name,
+        description: `${collection.file_count} files in ${collection.base_path}`,
+        mimeType: 'application/json'
+      }))
+    };
+  },
+
+  'resources/read'(params) {
+    if (typeof params?.uri !== 'string') {
+      throw rpcError(INVALID_PARAMS, 'uri is required');
+    }
+    return { contents: [readCollectionResource(params.uri)] };
+  }
+};
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+async function handleMessage(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return send({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // Responses to requests we never send are ignored
+    if (message && typeof message === 'object' && 'id' in message && !('method' in message)) return;
+    return send({ id: message?.id ?? null, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+  }
+
+  const { id, method, params } = message;
+  const isNotification = !('id' in message);
+  const handler = Object.hasOwn(METHODS, method) ? METHODS[method] : null;
+
+  if (isNotification) return;
+  if (!handler) {
+    return send({ id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${method}` } });
+  }
+
+  try {
+    send({ id, result: await handler(params) });
+  } catch (error) {
+    send({ id, error: { code: error.rpcCode ?? INTERNAL_ERROR, message: error.message } });
+  }
+}
+
+/**
+ * Serve MCP on stdin/stdout until stdin closes. Tools: search, get_file,
+ * list_collections and index; collections are listed as resources.
+ */
+export function startMcpServer() {
+  // Keep stray console.log output out of the protocol stream
+  console.log = console.error;
+
+  // Messages are handled in order, one at a time
+  let pending = Promise.resolve();
+  const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    if (line.trim()) pending = pending.then(() => handleMessage(line));
+  });
+
+  return new Promise(resolve => lines.on('close', () => pending.then(resolve)));
+}
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+import { decodeVector, float32ArrayToInt8Buffer } from './utils.js';
+
+function hasColumn(connection, table, column) {
+  return connection.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Add a column to an existing table if it is missing
+ */
+function ensureColumn(connection, table, column, definition) {
+  if (!hasColumn(connection, table, column)) {
+    connection.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// FTS5 table for BM25 keyword search. Heading breadcrumbs and the document
+// title are separate columns so search can weight them above body text.
+const FTS_COLUMNS = ['chunk_text', 'heading_path', 'title'];
+
+const FTS_SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+    ${FTS_COLUMNS.join(',\n    ')},
+    content=chunks,
+    content_rowid=id,
+    tokenize='porter unicode61'
+  );
+
+  -- Triggers to keep FTS5 in sync
+  CREATE TRIGGER IF NOT EXISTS chunks_ai AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts(rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES (new.id, ${FTS_COLUMNS.map(c => `new.${c}`).join(', ')});
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS chunks_ad AFTER DELETE ON chunks BEGIN
+    INSERT INTO chunks_fts(chunks_fts, rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES ('delete', old.id, ${FTS_COLUMNS.map(c => `old.${c}`).join(', ')});
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS chunks_au AFTER UPDATE ON chunks BEGIN
+    INSERT INTO chunks_fts(chunks_fts, rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES ('delete', old.id, ${FTS_COLUMNS.map(c => `old.${c}`).join(', ')});
+    INSERT INTO chunks_fts(rowid, ${FTS_COLUMNS.join(', ')})
+    VALUES (new.id, ${FTS_COLUMNS.map(c => `new.${c}`).join(', ')});
+  END;
+`;
+
+/**
+ * Schema as of the first versioned release. Also upgrades databases created
+ * before versioning (user_version 0), which may lack any of the later
+ * columns, so every statement here is idempotent.
+ */
+function baseline(connection) {
+  connection.exec(`
+    -- Collections table
+    CREATE TABLE IF NOT EXISTS collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      base_path TEXT NOT NULL,
+      glob_mask TEXT NOT NULL,
+      embedding_provider TEXT,
+      embedding_model TEXT,
+      embedding_base_url TEXT,
+      embedding_space TEXT,
+      embedding_dimensions INTEGER,
+      quantization TEXT NOT NULL DEFAULT 'none',
+      fusion TEXT,
+      rrf_k REAL,
+      bm25_weight REAL,
+      vector_weight REAL,
+      normalization TEXT,
+      authority_weight REAL,
+      chunk_size INTEGER,
+      min_chunk_size INTEGER,
+      chunk_overlap INTEGER,
+      chunk_overlap_unit TEXT,
+      needs_rechunk INTEGER NOT NULL DEFAULT 0,
+      chunk_tokenizer TEXT,
+      exclude TEXT,
+      use_gitignore INTEGER NOT NULL DEFAULT 0,
+      max_file_size INTEGER,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    -- File metadata table (for incremental indexing)
+    CREATE TABLE IF NOT EXISTS file_metadata (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection_id INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      file_hash TEXT NOT NULL,
+      title TEXT,
+      tags TEXT,
+      doc_date TEXT,
+      frontmatter TEXT,
+      authority REAL,
+      indexed_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+      UNIQUE(collection_id, file_path)
+    );
+
+    -- Chunks table (stores chunk text and metadata)
+    CREATE TABLE IF NOT EXISTS chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_metadata_id INTEGER NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      chunk_text TEXT NOT NULL,
+      start_line INTEGER NOT NULL,
+      end_line INTEGER NOT NULL,
+      token_count INTEGER NOT NULL,
+      chunk_hash TEXT,
+      heading_path TEXT,
+      title TEXT,
+      chunker TEXT,
+      FOREIGN KEY (file_metadata_id) REFERENCES file_metadata(id) ON DELETE CASCADE
+    );
+
+    -- Embeddings table (stores vector embeddings as BLOBs)
+    CREATE TABLE IF NOT EXISTS embeddings (
+      chunk_id INTEGER PRIMARY KEY,
+      embedding BLOB NOT NULL,
+      embedding_model TEXT NOT NULL DEFAULT 'text-embedding-3-small',
+      embedding_provider TEXT NOT NULL DEFAULT 'openai',
+      dimensions INTEGER,
+      ann_list INTEGER,
+      embedding_q BLOB,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE CASCADE
+    );
+
+    -- ANN (IVF) index per collection: one row per index, one centroid per list
+    CREATE TABLE IF NOT EXISTS ann_indexes (
+      collection_id INTEGER PRIMARY KEY,
+      embedding_space TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      list_count INTEGER NOT NULL,
+      vector_count INTEGER NOT NULL,
+      built_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS ann_centroids (
+      collection_id INTEGER NOT NULL,
+      list_id INTEGER NOT NULL,
+      centroid BLOB NOT NULL,
+      PRIMARY KEY (collection_id, list_id),
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+    );
+
+    -- Outgoing links per file; target_file_id is set once resolved
+    CREATE TABLE IF NOT EXISTS links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_metadata_id INTEGER NOT NULL,
+      target TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      line INTEGER NOT NULL,
+      target_file_id INTEGER,
+      FOREIGN KEY (file_metadata_id) REFERENCES file_metadata(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_file_id) REFERENCES file_metadata(id) ON DELETE SET NULL
+    );
+
+    -- Indexes for performance
+    CREATE INDEX IF NOT EXISTS idx_file_metadata_collection ON file_metadata(collection_id);
+    CREATE INDEX IF NOT EXISTS idx_chunks_file_metadata ON chunks(file_metadata_id);
+    CREATE INDEX IF NOT EXISTS idx_embeddings_chunk ON embeddings(chunk_id);
+    CREATE INDEX IF NOT EXISTS idx_links_file_metadata ON links(file_metadata_id);
+    CREATE INDEX IF NOT EXISTS idx_links_target ON links(target_file_id);
+  `);
+
+  // Columns added after the initial schema
+  ensureColumn(connection, 'collections', 'embedding_provider', 'TEXT');
+  ensureColumn(connection, 'collections', 'embedding_model', 'TEXT');
+  ensureColumn(connection, 'collections', 'embedding_base_url', 'TEXT');
+  ensureColumn(connection, 'embeddings', 'embedding_provider', "TEXT NOT NULL DEFAULT 'openai'");
+  ensureColumn(connection, 'collections', 'embedding_space', 'TEXT');
+  ensureColumn(connection, 'collections', 'embedding_dimensions', 'INTEGER');
+  ensureColumn(connection, 'embeddings', 'dimensions', 'INTEGER');
+  ensureColumn(connection, 'embeddings', 'ann_list', 'INTEGER');
+  connection.exec('CREATE INDEX IF NOT EXISTS idx_embeddings_ann_list ON embeddings(ann_list)');
+  ensureColumn(connection, 'collections', 'quantization', "TEXT NOT NULL DEFAULT 'none'");
+  ensureColumn(connection, 'embeddings', 'embedding_q', 'BLOB');
+  ensureColumn(connection, 'chunks', 'chunk_hash', 'TEXT');
+  ensureColumn(connection, 'collections', 'fusion', 'TEXT');
+  ensureColumn(connection, 'collections', 'rrf_k', 'REAL');
+  ensureColumn(connection, 'collections', 'bm25_weight', 'REAL');
+  ensureColumn(connection, 'collections', 'vector_weight', 'REAL');
+  ensureColumn(connection, 'collections', 'normalization', 'TEXT');
+  ensureColumn(connection, 'chunks', 'heading_path', 'TEXT');
+  ensureColumn(connection, 'file_metadata', 'title', 'TEXT');
+  ensureColumn(connection, 'file_metadata', 'tags', 'TEXT');
+  ensureColumn(connection, 'file_metadata', 'doc_date', 'TEXT');
+  ensureColumn(connection, 'file_metadata', 'frontmatter', 'TEXT');
+  ensureColumn(connection, 'chunks', 'title', 'TEXT');
+  ensureColumn(connection, 'file_metadata', 'authority', 'REAL');
+  ensureColumn(connection, 'collections', 'authority_weight', 'REAL');
+  ensureColumn(connection, 'chunks', 'chunker', 'TEXT');
+  ensureColumn(connection, 'collections', 'chunk_size', 'INTEGER');
+  ensureColumn(connection, 'collections', 'min_chunk_size', 'INTEGER');
+  ensureColumn(connection, 'collections', 'chunk_overlap', 'INTEGER');
+  ensureColumn(connection, 'collections', 'chunk_overlap_unit', 'TEXT');
+  ensureColumn(connection, 'collections', 'needs_rechunk', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn(connection, 'collections', 'chunk_tokenizer', 'TEXT');
+  ensureColumn(connection, 'collections', 'exclude', 'TEXT');
+  ensureColumn(connection, 'collections', 'use_gitignore', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn(connection, 'collections', 'max_file_size', 'INTEGER');
+
+  // Older FTS tables lack newer columns: recreate them and rebuild from the
+  // chunks table
+  const ftsExists = connection.prepare("SELECT 1 FROM sqlite_master WHERE name = 'chunks_fts'").get();
+  const rebuildFts = ftsExists && !FTS_COLUMNS.every(column => hasColumn(connection, 'chunks_fts', column));
+  if (rebuildFts) {
+    connection.exec(`
+      DROP TRIGGER IF EXISTS chunks_ai;
+      DROP TRIGGER IF EXISTS chunks_ad;
+      DROP TRIGGER IF EXISTS chunks_au;
+      DROP TABLE chunks_fts;
+    `);
+  }
+  connection.exec(FTS_SCHEMA);
+  if (rebuildFts) {
+    connection.exec("INSERT INTO chunks_fts(chunks_fts) VALUES ('rebuild')");
+  }
+
+  // Backfill vector sizes for rows written before dimensions were tracked
+  connection.exec('UPDATE embeddings SET dimensions = length(embedding) / 4 WHERE dimensions IS NULL');
+
+  // Chunks written before format-aware chunking all came from the markdown chunker
+  connection.exec("UPDATE chunks SET chunker = 'markdown' WHERE chunker IS NULL");
+}
+
+/**
+ * API tokens for the HTTP server (see auth.js): only a hash of each token
+ * is stored, with its permissions and the collections it may access
+ */
+function apiTokens(connection) {
+  connection.exec(`
+    CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      token_prefix TEXT NOT NULL,
+      permissions TEXT NOT NULL,
+      all_collections INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      last_used_at INTEGER
+    );
+
+    CREATE TABLE api_token_collections (
+      token_id INTEGER NOT NULL,
+      collection_id INTEGER NOT NULL,
+      PRIMARY KEY (token_id, collection_id),
+      FOREIGN KEY (token_id) REFERENCES api_tokens(id) ON DELETE CASCADE,
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * A version per collection that every write to ann_centroids bumps, so
+ * cached centroids can tell they are stale (built_at only has one-second
+ * resolution)
+ */
+function annVersions(connection) {
+  connection.exec(`
+    CREATE TABLE ann_versions (
+      collection_id INTEGER PRIMARY KEY,
+      version INTEGER NOT NULL
+    );
+
+    CREATE TRIGGER ann_centroids_ai AFTER INSERT ON ann_centroids BEGIN
+      INSERT INTO ann_versions (collection_id, version) VALUES (new.collection_id, 1)
+      ON CONFLICT (collection_id) DO UPDATE SET version = version + 1;
+    END;
+    CREATE TRIGGER ann_centroids_ad AFTER DELETE ON ann_centroids BEGIN
+      INSERT INTO ann_versions (collection_id, version) VALUES (old.collection_id, 1)
+      ON CONFLICT (collection_id) DO UPDATE SET version = version + 1;
+    END;
+    CREATE TRIGGER ann_centroids_au AFTER UPDATE ON ann_centroids BEGIN
+      INSERT INTO ann_versions (collection_id, version) VALUES (new.collection_id, 1)
+      ON CONFLICT (collection_id) DO UPDATE SET version = version + 1;
+    END;
+  `);
+}
+
+/**
+ * int8 collections used to store a float16 copy next to the codes, which
+ * took more space than float16 alone. They now store scaled codes only.
+ */
+function compactInt8(connection) {
+  const select = connection.prepare(`
+    SELECT e.chunk_id, e.embedding, e.dimensions
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    JOIN collections col ON fm.collection_id = col.id
+    WHERE col.quantization = 'int8' AND e.embedding_q IS NOT NULL AND e.chunk_id > ?
+    ORDER BY e.chunk_id
+    LIMIT 1000
+  `);
+  const update = connection.prepare('UPDATE embeddings SET embedding = ?, embedding_q = NULL WHERE chunk_id = ?');
+
+  let lastId = 0;
+  while (true) {
+    const rows = select.all(lastId);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      update.run(float32ArrayToInt8Buffer(decodeVector(row.embedding, row.dimensions, 'float16')), row.chunk_id);
+    }
+    lastId = rows[rows.length - 1].chunk_id;
+  }
+}
+
+// Ordered schema changes. Each runs in a transaction together with the bump
+// of PRAGMA user_version to its version; append new steps, never edit
+// released ones.
+export const MIGRATIONS = [
+  { version: 1, description: 'Baseline schema', up: baseline },
+  { version: 2, description: 'API tokens', up: apiTokens },
+  { version: 3, description: 'ANN centroid versions', up: annVersions },
+  { version: 4, description: 'int8 vectors without a float16 copy', up: compactInt8 }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a database (PRAGMA user_version; 0 before versioning)
+ */
+export function getSchemaVersion(connection) {
+  return connection.pragma('user_version', { simple: true });
+}
+
+/**
+ * Migrations not yet applied to a database
+ */
+export function getPendingMigrations(connection) {
+  const version = getSchemaVersion(connection);
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+/**
+ * Refuse databases written by a newer ddsearch
+ */
+export function checkSchemaVersion(connection) {
+  const version = getSchemaVersion(connection);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${version} is newer than this ddsearch supports (${SCHEMA_VERSION}). Upgrade ddsearch to use it`);
+  }
+}
+
+/**
+ * Apply pending migrations in order. A failing step rolls back on its own,
+ * leaving the database at the previous version. Returns the applied steps.
+ */
+export function migrate(connection) {
+  checkSchemaVersion(connection);
+
+  const pending = getPendingMigrations(connection);
+  for (const migration of pending) {
+    connection.transaction(() => {
+      migration.up(connection);
+      connection.pragma(`user_version = ${migration.version}`);
+    })();
+  }
+  return pending;
+}
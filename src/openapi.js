@@ -0,0 +1,598 @@
+#!/usr/bin/env node
+import { FUSION_STRATEGIES, NORMALIZATIONS } from './fusion.js';
+import { OVERLAP_UNITS } from './chunker.js';
+import { QUANTIZATION_MODES } from './quantize.js';
+import { listProviders } from './embeddings.js';
+
+// Machine-readable `code` of every error response, next to the human
+// readable `error` message
+export const ERROR_CODES = [
+  'INVALID_JSON',
+  'INVALID_REQUEST',
+  'UNAUTHORIZED',
+  'FORBIDDEN',
+  'FILE_NOT_IN_COLLECTION',
+  'NOT_FOUND',
+  'COLLECTION_NOT_FOUND',
+  'FILE_NOT_INDEXED',
+  'JOB_NOT_FOUND',
+  'COLLECTION_EXISTS',
+  'JOB_FINISHED',
+  'PAYLOAD_TOO_LARGE',
+  'INTERNAL_ERROR'
+];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid JSON or request (INVALID_JSON, INVALID_REQUEST)',
+  401: 'Missing or invalid API token (UNAUTHORIZED)',
+  403: 'Token lacks the permission or collection, or an admin operation on a non-loopback server without tokens (FORBIDDEN)',
+  404: 'Not found',
+  409: 'Conflict'
+};
+
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, { description: ERROR_DESCRIPTIONS[status], ...json(ref('Error')) }]));
+}
+
+const pathParameter = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string', minLength: 1 } });
+const filePathQuery = { name: 'path', in: 'query', required: true, description: 'Absolute path of the file', schema: { type: 'string', minLength: 1 } };
+
+const globList = { anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }] };
+const size = { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', minLength: 1 }], description: 'Bytes, or a size like "2mb"' };
+
+const fusionProperties = {
+  fusion: { type: 'string', enum: FUSION_STRATEGIES },
+  rrfK: { type: 'number', exclusiveMinimum: 0 },
+  bm25Weight: { type: 'number', minimum: 0 },
+  vectorWeight: { type: 'number', minimum: 0 },
+  normalization: { type: 'string', enum: NORMALIZATIONS },
+  authorityWeight: { type: 'number', minimum: 0 }
+};
+
+const chunkingProperties = {
+  chunkSize: { type: 'integer', minimum: 1 },
+  minChunkSize: { type: 'integer', minimum: 1 },
+  overlap: { type: 'integer', minimum: 0 },
+  overlapUnit: { type: 'string', enum: OVERLAP_UNITS }
+};
+
+const fileSelectionProperties = {
+  exclude: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string', minLength: 1 } }] },
+  useGitignore: { type: 'boolean' },
+  maxFileSize: size
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', enum: ERROR_CODES },
+      details: {
+        type: 'array',
+        description: 'Each failed check of an INVALID_REQUEST',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    }
+  },
+
+  SearchRequest: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['query'],
+    properties: {
+      query: { type: 'string', minLength: 1 },
+      mode: { type: 'string', enum: ['hybrid', 'bm25', 'vector'], default: 'hybrid' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+      minScore: { type: 'number', minimum: 0, maximum: 1, default: 0, description: 'Scores are 0-1 in every mode; fused scores are rescaled so this means the same for every fusion' },
+      collection: { type: ['string', 'null'], minLength: 1, description: 'Only search this collection (404 if it does not exist)' },
+      includeStale: { type: 'boolean', default: false },
+      probes: { type: 'integer', minimum: 1, default: 16 },
+      exact: { type: 'boolean', default: false },
+      ...fusionProperties,
+      tags: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+      where: {
+        anyOf: [
+          { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+          { type: 'array', items: { type: 'string' }, description: 'key=value pairs' }
+        ]
+      },
+      after: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+      before: { type: 'string', description: 'YYYY-MM-DD, inclusive' }
+    }
+  },
+
+  SearchResult: {
+    type: 'object',
+    properties: {
+      chunkId: { type: 'integer' },
+      text: { type: 'string' },
+      filePath: { type: 'string' },
+      startLine: { type: 'integer' },
+      endLine: { type: 'integer' },
+      headingPath: { type: ['string', 'null'] },
+      title: { type: ['string', 'null'] },
+      collection: { type: 'string' },
+      snippet: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          start: { type: 'integer' },
+          end: { type: 'integer' },
+          highlights: { type: 'array', items: { type: 'object', properties: { start: { type: 'integer' }, end: { type: 'integer' } } } }
+        }
+      },
+      score: { type: 'number' }
+    }
+  },
+
+  SearchResponse: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      mode: { type: 'string' },
+      count: { type: 'integer' },
+      results: { type: 'array', items: ref('SearchResult') }
+    }
+  },
+
+  Collection: {
+    type: 'object',
+    description: 'A collection row with its settings (snake_case columns) and counts',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      base_path: { type: 'string' },
+      glob_mask: { type: 'string' },
+      file_count: { type: 'integer' },
+      chunk_count: { type: 'integer' },
+      embedded_count: { type: 'integer' }
+    }
+  },
+
+  CollectionCreate: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'path'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 },
+      mask: { ...globList, default: '**/*.md' },
+      index: { type: 'boolean', default: false, description: 'Queue an index job for the new collection' },
+      embeddingProvider: { type: 'string', enum: listProviders() },
+      embeddingModel: { type: 'string' },
+      embeddingBaseUrl: { type: 'string' },
+      quantization: { type: 'string', enum: QUANTIZATION_MODES },
+      ...fusionProperties,
+      ...chunkingProperties,
+      ...fileSelectionProperties
+    }
+  },
+
+  CollectionUpdate: {
+    type: 'object',
+    additionalProperties: false,
+    minProperties: 1,
+    description: 'null resets a setting to its default. Tokens limited to some collections cannot change path, mask or exclude.',
+    properties: {
+      rename: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1, description: 'New location of the folder; indexed files move with it' },
+      mask: globList,
+      chunkSize: nullable(chunkingProperties.chunkSize),
+      minChunkSize: nullable(chunkingProperties.minChunkSize),
+      overlap: nullable(chunkingProperties.overlap),
+      overlapUnit: nullable(chunkingProperties.overlapUnit),
+      exclude: { anyOf: [...fileSelectionProperties.exclude.anyOf, { type: 'null' }] },
+      useGitignore: fileSelectionProperties.useGitignore,
+      maxFileSize: { anyOf: [...size.anyOf, { type: 'null' }], description: size.description },
+      embeddingProvider: nullable({ type: 'string', enum: listProviders(), description: 'A new provider starts from its default model and no base URL. Existing vectors go stale.' }),
+      embeddingModel: nullable({ type: 'string', minLength: 1, description: 'Existing vectors go stale' }),
+      embeddingBaseUrl: nullable({ type: 'string', minLength: 1 })
+    }
+  },
+
+  CollectionUpdateResult: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      collection: ref('Collection'),
+      chunking: { type: 'object' },
+      rechunk: { type: 'boolean' },
+      moved: {
+        type: ['object', 'null'],
+        properties: { files: { type: 'integer' }, missing: { type: 'integer' } }
+      },
+      embeddings: {
+        type: ['object', 'null'],
+        description: 'Effective embedding config, when an embedding setting was given',
+        properties: { provider: { type: 'string' }, model: { type: 'string' }, baseUrl: { type: ['string', 'null'] } }
+      },
+      stale: { type: 'boolean', description: 'The model changed: run an embed job with reembedStale' }
+    }
+  },
+
+  IndexRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      collection: { type: ['string', 'null'], minLength: 1, description: 'Default: all collections' },
+      full: { type: 'boolean', default: false }
+    }
+  },
+
+  EmbedRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      collection: { type: ['string', 'null'], minLength: 1, description: 'Default: all collections' },
+      reembedStale: { type: 'boolean', default: false },
+      batchSize: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+    }
+  },
+
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['index', 'embed', 'remove'] },
+      collection: { type: ['string', 'null'] },
+      options: { type: 'object' },
+      status: { type: 'string', enum: ['queued', 'starting', 'running', 'succeeded', 'failed', 'cancelled'] },
+      progress: { type: ['object', 'null'] },
+      result: { type: ['object', 'null'] },
+      error: { type: ['string', 'null'] },
+      createdAt: { type: 'integer' },
+      startedAt: { type: ['integer', 'null'] },
+      finishedAt: { type: ['integer', 'null'] }
+    }
+  },
+
+  JobAccepted: {
+    type: 'object',
+    properties: {
+      job: ref('Job'),
+      coalesced: { type: 'boolean', description: 'An already queued job covered the request' }
+    }
+  },
+
+  LinkList: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      collection: { type: 'string' },
+      links: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+// Operations also carry x-permission (the token permission they need, see
+// auth.js); security: [] marks the ones open without a token
+const paths = {
+  '/health': {
+    get: {
+      summary: 'Health check',
+      security: [],
+      responses: { 200: { description: 'Server is up', ...json({ type: 'object', properties: { status: { type: 'string' }, timestamp: { type: 'integer' } } }) } }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      summary: 'This document',
+      security: [],
+      responses: { 200: { description: 'OpenAPI document', ...json({ type: 'object' }) } }
+    }
+  },
+  '/stats': {
+    get: {
+      summary: 'Index statistics of the collections the token can access',
+      responses: {
+        200: { description: 'Statistics', ...json({ type: 'object', properties: { collections: { type: 'array', items: ref('Collection') }, totals: { type: 'object' } } }) },
+        ...errors(401)
+      }
+    }
+  },
+  '/collections': {
+    get: {
+      summary: 'List collections with file, chunk and embedding counts',
+      responses: {
+        200: { description: 'Collections', ...json({ type: 'object', properties: { collections: { type: 'array', items: ref('Collection') } } }) },
+        ...errors(401)
+      }
+    },
+    post: {
+      summary: 'Add a collection',
+      'x-permission': 'admin',
+      requestBody: { required: true, ...json(ref('CollectionCreate')) },
+      responses: {
+        201: { description: 'Created', ...json({ type: 'object', properties: { collection: ref('Collection'), job: { anyOf: [ref('Job'), { type: 'null' }] } } }) },
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+  '/collections/{name}': {
+    patch: {
+      summary: 'Update, rename or move a collection',
+      'x-permission': 'admin',
+      parameters: [pathParameter('name', 'Collection name')],
+      requestBody: { required: true, ...json(ref('CollectionUpdate')) },
+      responses: {
+        200: { description: 'Updated', ...json(ref('CollectionUpdateResult')) },
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      summary: 'Remove a collection and its index (queued as a job)',
+      'x-permission': 'admin',
+      parameters: [pathParameter('name', 'Collection name')],
+      responses: {
+        202: { description: 'Queued', ...json(ref('JobAccepted')) },
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+  '/index': {
+    post: {
+      summary: 'Queue an incremental (or full) index job',
+      'x-permission': 'admin',
+      requestBody: { required: false, ...json(ref('IndexRequest')) },
+      responses: {
+        202: { description: 'Queued', ...json(ref('JobAccepted')) },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/embed': {
+    post: {
+      summary: 'Queue an embedding job',
+      'x-permission': 'admin',
+      requestBody: { required: false, ...json(ref('EmbedRequest')) },
+      responses: {
+        202: { description: 'Queued', ...json(ref('JobAccepted')) },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/jobs': {
+    get: {
+      summary: 'Recent jobs, newest first',
+      'x-permission': 'admin',
+      responses: {
+        200: { description: 'Jobs', ...json({ type: 'object', properties: { jobs: { type: 'array', items: ref('Job') } } }) },
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/jobs/{id}': {
+    get: {
+      summary: 'Status, progress and result of a job',
+      'x-permission': 'admin',
+      parameters: [pathParameter('id', 'Job id')],
+      responses: {
+        200: { description: 'Job', ...json({ type: 'object', properties: { job: ref('Job') } }) },
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+  '/jobs/{id}/cancel': {
+    post: {
+      summary: 'Drop a queued job or stop a running one',
+      'x-permission': 'admin',
+      parameters: [pathParameter('id', 'Job id')],
+      responses: {
+        200: { description: 'Job', ...json({ type: 'object', properties: { job: ref('Job') } }) },
+        ...errors(401, 403, 404, 409)
+      }
+    }
+  },
+  '/search': {
+    post: {
+      summary: 'Search indexed content',
+      'x-permission': 'search',
+      requestBody: { required: true, ...json(ref('SearchRequest')) },
+      responses: {
+        200: { description: 'Results', ...json(ref('SearchResponse')) },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/file': {
+    get: {
+      summary: 'Content of an indexed file',
+      'x-permission': 'read',
+      parameters: [filePathQuery],
+      responses: {
+        200: { description: 'File', ...json({ type: 'object', properties: { path: { type: 'string' }, content: { type: 'string' } } }) },
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/links': {
+    get: {
+      summary: 'Outgoing links of an indexed file',
+      'x-permission': 'read',
+      parameters: [filePathQuery],
+      responses: {
+        200: { description: 'Links (path is null for unresolved targets)', ...json(ref('LinkList')) },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/backlinks': {
+    get: {
+      summary: 'Indexed files linking to a file',
+      'x-permission': 'read',
+      parameters: [filePathQuery],
+      responses: {
+        200: { description: 'Backlinks', ...json(ref('LinkList')) },
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  }
+};
+
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'ddsearch',
+    version: '1.0.0',
+    description: 'Local-first search over document collections. Once any API token exists, requests need `Authorization: Bearer <token>`. Errors are `{ error, code, details? }`.'
+  },
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+    schemas
+  }
+};
+
+/**
+ * The operation object for a path (in OpenAPI form, /jobs/{id}) and method
+ */
+export function getOperation(path, method) {
+  return paths[path]?.[method] ?? null;
+}
+
+/**
+ * Throw if an operation of the document has no route. `routes` holds the
+ * registered routes as "method path" (e.g. "get /jobs/{id}").
+ */
+export function checkRoutes(routes) {
+  for (const [path, operations] of Object.entries(paths)) {
+    for (const method of Object.keys(operations)) {
+      if (!routes.has(`${method} ${path}`)) {
+        throw new Error(`${method.toUpperCase()} ${path} is in the OpenAPI document but has no route`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a value against the subset of JSON Schema this document uses.
+ * Returns [{ path, message }], empty when the value is valid.
+ */
+export function validateSchema(schema, value, path = '', errors = []) {
+  if (schema.$ref) {
+    return validateSchema(schemas[schema.$ref.split('/').pop()], value, path, errors);
+  }
+  const fail = message => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+    if (!matches) fail(`must be ${schema.anyOf.map(describeType).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors));
+  } else if (typeof value === 'object') {
+    const properties = schema.properties ?? {};
+    const keys = Object.keys(value);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} field${schema.minProperties === 1 ? '' : 's'}`);
+    }
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ path: fieldPath(path, key), message: 'is required' });
+    }
+    for (const key of keys) {
+      if (Object.hasOwn(properties, key)) {
+        validateSchema(properties[key], value[key], fieldPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: fieldPath(path, key), message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(schema.additionalProperties, value[key], fieldPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+const fieldPath = (path, key) => (path ? `${path}.${key}` : key);
+
+function isType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(schema) {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  const type = [].concat(schema.type ?? 'any').join(' or ');
+  return schema.type === 'array' && schema.items?.type ? `array of ${schema.items.type}` : type;
+}
+
+/**
+ * Check a request's path parameters, query string and JSON body against an
+ * operation. Unknown query parameters and body fields are errors.
+ * Returns [{ path, message }] with paths like `body.limit` or `query.path`.
+ */
+export function validateRequest(operation, { params = {}, query = {}, body = {} }) {
+  const errors = [];
+  const parameters = operation.parameters ?? [];
+
+  for (const location of ['path', 'query']) {
+    const values = location === 'path' ? params : query;
+    const declared = parameters.filter(parameter => parameter.in === location);
+
+    for (const parameter of declared) {
+      const value = values[parameter.name];
+      if (value === undefined) {
+        if (parameter.required) errors.push({ path: `${location}.${parameter.name}`, message: 'is required' });
+        continue;
+      }
+      validateSchema(parameter.schema, value, `${location}.${parameter.name}`, errors);
+    }
+    for (const name of Object.keys(values)) {
+      if (!declared.some(parameter => parameter.name === name)) {
+        errors.push({ path: `${location}.${name}`, message: 'is not a known parameter' });
+      }
+    }
+  }
+
+  const bodySchema = operation.requestBody?.content['application/json'].schema;
+  if (bodySchema) {
+    validateSchema(bodySchema, body, 'body', errors);
+  } else if (body && typeof body === 'object' && Object.keys(body).length > 0) {
+    errors.push({ path: 'body', message: 'must be empty' });
+  }
+
+  return errors;
+}
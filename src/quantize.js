@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import db from './db.js';
+import { float32ArrayToBuffer, float32ArrayToFloat16Buffer, float32ArrayToInt8Buffer, decodeVector } from './utils.js';
+
+export const QUANTIZATION_MODES = ['none', 'int8', 'binary'];
+
+// What each mode stores per vector. int8 codes keep their scale and are
+// scored directly; sign bits are too coarse for that, so binary keeps a
+// float16 copy to rescore its best candidates.
+export const QUANTIZATION_STORAGE = {
+  none: 'float32',
+  int8: '1-byte codes + scale, ~75% smaller than float32',
+  binary: '1-bit codes + float16 copy, ~47% smaller than float32'
+};
+
+// Encoding of the embedding BLOB in each mode (see decodeVector)
+const VECTOR_ENCODINGS = { none: 'float32', int8: 'int8', binary: 'float16' };
+
+// How many candidates per requested result the binary pass keeps for rescoring
+const RESCORE_FACTORS = { binary: 10 };
+
+const POPCOUNT = new Uint8Array(256);
+for (let i = 1; i < 256; i++) POPCOUNT[i] = POPCOUNT[i >> 1] + (i & 1);
+
+/**
+ * Quantize to one sign bit per dimension
+ */
+export function quantizeBinary(vector) {
+  const bits = Buffer.alloc(Math.ceil(vector.length / 8));
+  for (let i = 0; i < vector.length; i++) {
+    if (vector[i] > 0) bits[i >> 3] |= 1 << (i & 7);
+  }
+  return bits;
+}
+
+/**
+ * Encoding of the stored vectors of a collection with this quantization
+ */
+export function vectorEncoding(quantization = 'none') {
+  return VECTOR_ENCODINGS[quantization] ?? 'float32';
+}
+
+/**
+ * Encode a vector for storage. Unquantized collections keep float32 and
+ * int8 ones the scaled codes; binary ones store the sign bits for the first
+ * pass plus a float16 copy for rescoring.
+ */
+export function encodeEmbedding(vector, quantization = 'none') {
+  switch (quantization) {
+    case 'int8':
+      return { embedding: float32ArrayToInt8Buffer(vector), embeddingQ: null };
+    case 'binary':
+      return { embedding: float32ArrayToFloat16Buffer(vector), embeddingQ: quantizeBinary(vector) };
+    default:
+      return { embedding: float32ArrayToBuffer(vector), embeddingQ: null };
+  }
+}
+
+/**
+ * Build an approximate similarity function over stored codes for one query.
+ * Returns a value in [-1, 1] comparable to cosine similarity.
+ */
+export function createQuantizedScorer(queryVector, quantization) {
+  if (quantization === 'binary') {
+    const query = quantizeBinary(queryVector);
+    const dimensions = queryVector.length;
+
+    return (code) => {
+      let hamming = 0;
+      for (let i = 0; i < query.length; i++) hamming += POPCOUNT[query[i] ^ code[i]];
+      return 1 - (2 * hamming) / dimensions;
+    };
+  }
+
+  throw new Error(`Unknown quantization: ${quantization}`);
+}
+
+/**
+ * Whether search ranks a mode's codes first and rescores the best candidates
+ */
+export function rescoresCandidates(quantization) {
+  return quantization in RESCORE_FACTORS;
+}
+
+/**
+ * Number of quantized candidates to rescore for a result limit
+ */
+export function rescoreCandidates(quantization, limit) {
+  return limit * (RESCORE_FACTORS[quantization] ?? 1);
+}
+
+/**
+ * Set a collection's quantization and re-encode its stored vectors.
+ * Switching back to 'none' widens the stored vectors to float32 (no precision is recovered).
+ */
+export function setCollectionQuantization(collectionId, quantization) {
+  if (!QUANTIZATION_MODES.includes(quantization)) {
+    throw new Error(`Invalid quantization: ${quantization}. Use one of: ${QUANTIZATION_MODES.join(', ')}`);
+  }
+
+  const select = db.prepare(`
+    SELECT e.chunk_id, e.embedding, e.dimensions
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ? AND e.chunk_id > ?
+    ORDER BY e.chunk_id
+    LIMIT 1000
+  `);
+  const update = db.prepare('UPDATE embeddings SET embedding = ?, embedding_q = ? WHERE chunk_id = ?');
+
+  let converted = 0;
+
+  db.transaction(() => {
+    const { quantization: previous } = db.prepare('SELECT quantization FROM collections WHERE id = ?').get(collectionId);
+    const encoding = vectorEncoding(previous);
+    db.prepare('UPDATE collections SET quantization = ? WHERE id = ?').run(quantization, collectionId);
+
+    let lastId = 0;
+    while (true) {
+      const rows = select.all(collectionId, lastId);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const { embedding, embeddingQ } = encodeEmbedding(decodeVector(row.embedding, row.dimensions, encoding), quantization);
+        update.run(embedding, embeddingQ, row.chunk_id);
+      }
+      converted += rows.length;
+      lastId = rows[rows.length - 1].chunk_id;
+    }
+  })();
+
+  return { quantization, converted };
+}
+
+/**
+ * Vector storage for a collection compared to plain float32 storage
+ */
+export function getStorageStats(collectionId) {
+  const row = db.prepare(`
+    SELECT
+      COUNT(e.chunk_id) as vectors,
+      COALESCE(SUM(length(e.embedding) + COALESCE(length(e.embedding_q), 0)), 0) as bytes,
+      COALESCE(SUM(e.dimensions * 4), 0) as float32_bytes
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    WHERE fm.collection_id = ?
+  `).get(collectionId);
+
+  return {
+    vectors: row.vectors,
+    bytes: row.bytes,
+    float32Bytes: row.float32_bytes,
+    savedBytes: row.float32_bytes - row.bytes
+  };
+}
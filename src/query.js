@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+import picomatch from 'picomatch';
+import { normalizeDate } from './frontmatter.js';
+
+export const QUERY_FIELDS = ['collection', 'path', 'heading'];
+
+/**
+ * Split a query string into raw tokens, keeping quoted runs together
+ * (including field values such as heading:"Getting started")
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    let token = '';
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        const stop = end === -1 ? input.length : end + 1;
+        token += input.slice(i, stop);
+        i = stop;
+      } else {
+        token += input[i++];
+      }
+    }
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+function unquote(value) {
+  return value.replace(/^"/, '').replace(/"$/, '');
+}
+
+function hasWordCharacters(value) {
+  return /[\p{L}\p{N}]/u.test(value);
+}
+
+/**
+ * Turn one raw token into a clause, a filter, or null (nothing searchable)
+ */
+function parseToken(raw) {
+  let token = raw;
+  let negated = false;
+
+  if (token.length > 1 && token.startsWith('-')) {
+    negated = true;
+    token = token.slice(1);
+  }
+
+  const field = token.match(/^([a-z]+):(.+)$/);
+  if (field && QUERY_FIELDS.includes(field[1])) {
+    const value = unquote(field[2]);
+    return value ? { kind: 'filter', field: field[1], value, negated } : null;
+  }
+
+  if (token.startsWith('"')) {
+    const prefix = /"\*$/.test(token);
+    const value = unquote(prefix ? token.slice(0, -1) : token);
+    if (!hasWordCharacters(value)) return null;
+    return { kind: 'clause', clause: { type: 'phrase', value, prefix }, negated };
+  }
+
+  const prefix = token.length > 1 && token.endsWith('*');
+  const value = prefix ? token.slice(0, -1) : token;
+  if (!hasWordCharacters(value)) return null;
+  return { kind: 'clause', clause: { type: 'term', value, prefix }, negated };
+}
+
+/**
+ * Parse the query language:
+ *   "exact phrase"   a OR b   -term   auth*
+ *   collection:notes   path:docs/**   heading:Setup   (prefix any with - to exclude)
+ * Returns { must, not, filters, text }, where `must` holds clauses (or
+ * { type: 'or', options }) that must all match and `text` is the plain
+ * query used for embeddings.
+ */
+export function parseQuery(input = '') {
+  const items = [];
+
+  for (const raw of tokenize(input)) {
+    if (raw === 'OR') {
+      items.push('OR');
+      continue;
+    }
+    const parsed = parseToken(raw);
+    if (parsed) items.push(parsed);
+  }
+
+  const must = [];
+  const not = [];
+  const filters = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item === 'OR') continue;
+
+    if (item.kind === 'filter') {
+      filters.push({ field: item.field, value: item.value, negated: item.negated });
+      continue;
+    }
+
+    if (item.negated) {
+      not.push(item.clause);
+      continue;
+    }
+
+    // Fold "a OR b OR c" into one alternative group
+    const options = [item.clause];
+    while (items[i + 1] === 'OR' && items[i + 2]?.kind === 'clause' && !items[i + 2].negated) {
+      options.push(items[i + 2].clause);
+      i += 2;
+    }
+    must.push(options.length > 1 ? { type: 'or', options } : item.clause);
+  }
+
+  const text = must
+    .flatMap(clause => (clause.type === 'or' ? clause.options : [clause]))
+    .map(clause => clause.value)
+    .join(' ');
+
+  return { must, not, filters, text };
+}
+
+function clauseToFts(clause) {
+  if (clause.type === 'or') {
+    return `(${clause.options.map(clauseToFts).join(' OR ')})`;
+  }
+  const quoted = `"${clause.value.replace(/"/g, '""')}"`;
+  return clause.prefix ? `${quoted}*` : quoted;
+}
+
+/**
+ * Build a safe FTS5 MATCH expression. Returns '' when nothing positive is
+ * searched for (FTS5 cannot evaluate a pure exclusion).
+ */
+export function toFtsExpression(parsed) {
+  if (parsed.must.length === 0) return '';
+
+  const positive = parsed.must.map(clauseToFts).join(' AND ');
+  if (parsed.not.length === 0) return positive;
+
+  const negative = parsed.not.map(clauseToFts).join(' OR ');
+  return `(${positive}) NOT (${negative})`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pathPattern(value) {
+  const glob = value.replace(/^\.\//, '');
+  const source = picomatch.makeRe(glob, { dot: true }).source;
+
+  // A bare directory or file name matches itself and everything below it
+  if (!picomatch.scan(glob).isGlob) {
+    const below = picomatch.makeRe(`${glob.replace(/\/+$/, '')}/**`, { dot: true }).source;
+    return `(?:${source})|(?:${below})`;
+  }
+  return source;
+}
+
+function filterToSql(filter) {
+  switch (filter.field) {
+    case 'collection':
+      return { sql: 'col.name = ?', params: [filter.value] };
+    case 'path':
+      // Relative to the collection root
+      return {
+        sql: 'substr(fm.file_path, length(col.base_path) + 2) REGEXP ?',
+        params: [pathPattern(filter.value)]
+      };
+    case 'heading': {
+      // The chunk's breadcrumb, or a heading inside the chunk
+      const value = escapeRegExp(filter.value.toLowerCase());
+      return {
+        sql: '(lower(c.heading_path) REGEXP ? OR lower(c.chunk_text) REGEXP ?)',
+        params: [value, `^#{1,6}\\s.*${value}`]
+      };
+    }
+    default:
+      throw new Error(`Unknown query field: ${filter.field}`);
+  }
+}
+
+/**
+ * Normalize frontmatter filters given as CLI options or request fields:
+ * `tags` (string or list), `where` ("key=value" strings or a { key: value }
+ * object), `after` / `before` (dates, inclusive).
+ * Returns { tags, where: [{ key, value }], after, before } or null when no
+ * filter is set; throws on malformed input.
+ */
+export function normalizeMetadataFilters(input = {}) {
+  const toList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+  const tags = toList(input.tags).map(tag => String(tag).trim()).filter(Boolean);
+
+  let where = [];
+  if (input.where && typeof input.where === 'object' && !Array.isArray(input.where)) {
+    where = Object.entries(input.where).map(([key, value]) => ({ key, value: String(value) }));
+  } else {
+    where = toList(input.where).map((pair) => {
+      const index = String(pair).indexOf('=');
+      if (index <= 0) {
+        throw new Error(`Invalid where filter: ${pair}. Use key=value`);
+      }
+      return { key: String(pair).slice(0, index).trim(), value: String(pair).slice(index + 1).trim() };
+    });
+  }
+  for (const { key } of where) {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid frontmatter key: ${key}`);
+    }
+  }
+
+  const date = (value, name) => {
+    if (value == null || value === '') return null;
+    const normalized = normalizeDate(value);
+    if (!normalized) {
+      throw new Error(`Invalid ${name} date: ${value}. Use YYYY-MM-DD`);
+    }
+    return normalized;
+  };
+  const after = date(input.after, 'after');
+  const before = date(input.before, 'before');
+
+  if (tags.length === 0 && where.length === 0 && !after && !before) return null;
+  return { tags, where, after, before };
+}
+
+function metadataToSql(metadata) {
+  const conditions = [];
+  const params = [];
+
+  for (const tag of metadata.tags) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(fm.tags) WHERE lower(value) = lower(?))');
+    params.push(tag);
+  }
+  // List values match when any element does
+  for (const { key, value } of metadata.where) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(fm.frontmatter, ?) WHERE lower(CAST(value AS TEXT)) = lower(?))');
+    params.push(`$."${key}"`, value);
+  }
+  if (metadata.after) {
+    conditions.push('fm.doc_date >= ?');
+    params.push(metadata.after);
+  }
+  if (metadata.before) {
+    conditions.push('fm.doc_date <= ?');
+    params.push(metadata.before);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Build SQL conditions for the field filters and exclusions of a parsed
+ * query, plus frontmatter filters (see normalizeMetadataFilters) and an
+ * optional list of allowed collection ids (null = all).
+ * Expects `col`, `fm` and `c` aliases in the surrounding query.
+ * Positive filters on the same field are OR'd; fields are AND'd.
+ * Returns { sql, params } where sql is '' or starts with ' AND '.
+ */
+export function buildFilterClause(parsed, options = {}) {
+  const { excludeTerms = false, metadata = null, collectionIds = null } = options;
+  const conditions = [];
+  const params = [];
+
+  if (collectionIds) {
+    conditions.push(collectionIds.length > 0 ? `fm.collection_id IN (${collectionIds.map(() => '?').join(', ')})` : '0');
+    params.push(...collectionIds);
+  }
+
+  for (const field of QUERY_FIELDS) {
+    const positive = parsed.filters.filter(f => f.field === field && !f.negated).map(filterToSql);
+    if (positive.length > 0) {
+      conditions.push(`(${positive.map(p => p.sql).join(' OR ')})`);
+      params.push(...positive.flatMap(p => p.params));
+    }
+
+    for (const filter of parsed.filters.filter(f => f.field === field && f.negated)) {
+      const { sql, params: filterParams } = filterToSql(filter);
+      conditions.push(`NOT (${sql})`);
+      params.push(...filterParams);
+    }
+  }
+
+  // Vector search has no MATCH of its own, so -term exclusions go through FTS
+  if (excludeTerms && parsed.not.length > 0) {
+    conditions.push('c.id NOT IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?)');
+    params.push(parsed.not.map(clauseToFts).join(' OR '));
+  }
+
+  if (metadata) {
+    const metadataClause = metadataToSql(metadata);
+    conditions.push(...metadataClause.conditions);
+    params.push(...metadataClause.params);
+  }
+
+  return {
+    sql: conditions.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+}
@@ -1,34 +1,38 @@
 #!/usr/bin/env node
 import db from './db.js';
-import { cosineSimilarity, bufferToFloat32Array } from './utils.js';
-import { generateQueryEmbedding } from './embeddings.js';
+import { cosineSimilarity, decodeVector, createTopK } from './utils.js';
+import { generateQueryEmbedding, resolveEmbeddingConfig, embeddingConfigKey } from './embeddings.js';
+import { getProbeLists, DEFAULT_PROBES } from './ann.js';
+import { createQuantizedScorer, rescoresCandidates, rescoreCandidates, vectorEncoding } from './quantize.js';
+import { resolveFusionConfig, fuseResults } from './fusion.js';
+import { getCollection } from './collections.js';
+import { boostByAuthority } from './links.js';
+import { parseQuery, toFtsExpression, buildFilterClause } from './query.js';
+import { HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, parseHighlighted, buildSnippet, sentenceSnippet } from './snippets.js';
+
+// BM25 column weights for chunks_fts: body text, heading breadcrumb, title
+const BM25_WEIGHTS = [1.0, 3.0, 5.0];
 
 function clampLimit(limit, max = 100) {
   const n = Number.isFinite(limit) ? limit : 10;
   return Math.max(1, Math.min(max, Math.floor(n)));
 }
 
-function escapeFtsQuery(query) {
-  const tokens = query
-    .split(/\s+/)
-    .map(t => t.trim())
-    .filter(Boolean)
-    .map(t => t.replace(/"/g, '""'));
-
-  if (tokens.length === 0) return '';
-
-  return tokens.map(t => `"${t}"`).join(' AND ');
+function spaceKey(row) {
+  return `${row.collection_id}|${row.embedding_provider}|${row.embedding_model}|${row.dimensions}`;
 }
 
 /**
- * BM25 keyword search using FTS5
+ * BM25 keyword search using FTS5 (query syntax: see parseQuery)
  */
 export function searchBM25(query, options = {}) {
-  const { collectionName = null } = options;
+  const { collectionName = null, collectionIds = null, metadata = null } = options;
   const limit = clampLimit(options.limit ?? 10);
 
-  const escapedQuery = escapeFtsQuery(query || '');
-  if (!escapedQuery) return [];
+  const parsed = parseQuery(query || '');
+  const ftsExpression = toFtsExpression(parsed);
+  if (!ftsExpression) return [];
+  const filter = buildFilterClause(parsed, { metadata, collectionIds });
 
   let sql = `
     SELECT 
@@ -36,9 +40,12 @@ export function searchBM25(query, options = {}) {
       c.chunk_text,
       c.start_line,
       c.end_line,
+      c.heading_path,
       fm.file_path,
+      fm.title,
       col.name as collection_name,
-      bm25(chunks_fts) as score
+      bm25(chunks_fts, ${BM25_WEIGHTS.join(', ')}) as score,
+      highlight(chunks_fts, 0, ?, ?) as highlighted
     FROM chunks_fts
     JOIN chunks c ON chunks_fts.rowid = c.id
     JOIN file_metadata fm ON c.file_metadata_id = fm.id
@@ -46,14 +53,17 @@ export function searchBM25(query, options = {}) {
     WHERE chunks_fts MATCH ?
   `;
 
-  const params = [escapedQuery];
+  const params = [HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, ftsExpression];
 
   if (collectionName) {
     sql += ' AND col.name = ?';
     params.push(collectionName);
   }
 
-  sql += ' ORDER BY bm25(chunks_fts) LIMIT ?';
+  sql += filter.sql;
+  params.push(...filter.params);
+
+  sql += ' ORDER BY score LIMIT ?';
   params.push(limit);
 
   let results;
@@ -76,19 +86,37 @@ export function searchBM25(query, options = {}) {
     filePath: r.file_path,
     startLine: r.start_line,
     endLine: r.end_line,
+    headingPath: r.heading_path,
+    title: r.title,
     collection: r.collection_name,
+    snippet: buildSnippet(r.chunk_text, parseHighlighted(r.highlighted)),
     score: scores[i] / maxScore,
     rawScore: r.score
   }));
 }
 
 /**
- * Vector semantic search using cosine similarity
+ * Vector semantic search using cosine similarity.
+ * Collections with an ANN index only scan the `probes` nearest lists
+ * (plus unassigned vectors); `exact` forces a full scan.
  */
 export async function searchVector(query, options = {}) {
-  const { collectionName = null } = options;
+  const {
+    collectionName = null,
+    includeStale = false,
+    probes = DEFAULT_PROBES,
+    exact = false,
+    metadata = null,
+    collectionIds: allowedCollectionIds = null
+  } = options;
   const limit = clampLimit(options.limit ?? 10);
 
+  // Field filters and -term exclusions apply here too; only the plain
+  // terms are embedded
+  const parsed = parseQuery(query || '');
+  if (!parsed.text) return [];
+  const filter = buildFilterClause(parsed, { excludeTerms: true, metadata, collectionIds: allowedCollectionIds });
+
   // If no embeddings exist, return early without calling OpenAI
   let countSql = 'SELECT COUNT(*) as count FROM embeddings e';
   const countParams = [];
@@ -99,129 +127,285 @@ export async function searchVector(query, options = {}) {
   const count = db.prepare(countSql).get(...countParams).count;
   if (count === 0) return [];
 
-  // Generate query embedding
-  const queryEmbedding = await generateQueryEmbedding(query);
+  // Find the embedding spaces (provider/model/dimensions) stored per collection.
+  // Rows that don't match their collection's active config are stale: they are
+  // excluded by default, or scored in their own space when includeStale is set.
+  let spacesSql = `
+    SELECT DISTINCT
+      fm.collection_id,
+      e.embedding_provider,
+      e.embedding_model,
+      e.dimensions
+    FROM embeddings e
+    JOIN chunks c ON e.chunk_id = c.id
+    JOIN file_metadata fm ON c.file_metadata_id = fm.id
+    JOIN collections col ON fm.collection_id = col.id
+    WHERE 1 = 1
+  `;
+  const spacesParams = [];
+  if (collectionName) {
+    spacesSql += ' AND col.name = ?';
+    spacesParams.push(collectionName);
+  }
+  const spacesFilter = buildFilterClause(parsed, { metadata, collectionIds: allowedCollectionIds });
+  spacesSql += spacesFilter.sql;
+  spacesParams.push(...spacesFilter.params);
+
+  const collectionsById = new Map(
+    db.prepare('SELECT * FROM collections').all().map(col => [col.id, col])
+  );
+  const queryEmbeddings = new Map();
+  const spaces = new Map();
+  const activeSpaces = new Map();
+  const collectionIds = new Set();
+
+  const getQueryEmbedding = async (config) => {
+    const key = embeddingConfigKey(config);
+    if (!queryEmbeddings.has(key)) {
+      queryEmbeddings.set(key, await generateQueryEmbedding(parsed.text, config));
+    }
+    return queryEmbeddings.get(key);
+  };
+
+  for (const space of db.prepare(spacesSql).all(...spacesParams)) {
+    collectionIds.add(space.collection_id);
+    const active = resolveEmbeddingConfig(collectionsById.get(space.collection_id));
+    const stored = { ...active, provider: space.embedding_provider, model: space.embedding_model };
+    const isActiveModel = embeddingConfigKey(stored) === embeddingConfigKey(active);
+
+    let queryEmbedding = null;
+    if (isActiveModel) {
+      queryEmbedding = await getQueryEmbedding(active);
+    } else if (includeStale) {
+      try {
+        if (stored.provider !== active.provider) stored.baseUrl = null;
+        queryEmbedding = await getQueryEmbedding(stored);
+      } catch (error) {
+        console.warn(`Cannot score stale embeddings from ${embeddingConfigKey(stored)}: ${error.message}`);
+      }
+    }
+
+    // Same model name but a different vector size (e.g. a swapped local model)
+    const dimensionsMatch = queryEmbedding && queryEmbedding.length === space.dimensions;
 
-  // Get all embeddings with metadata (streamed)
-  let sql = `
-    SELECT 
+    spaces.set(spaceKey(space), {
+      queryEmbedding: dimensionsMatch ? queryEmbedding : null,
+      stale: !isActiveModel || !dimensionsMatch
+    });
+
+    if (isActiveModel && dimensionsMatch) {
+      activeSpaces.set(space.collection_id, { space: embeddingConfigKey(active), queryEmbedding });
+    }
+  }
+
+  // Get embeddings with metadata (streamed), one collection at a time
+  const selectColumns = `
       e.chunk_id,
       e.embedding,
       c.chunk_text,
       c.start_line,
       c.end_line,
+      c.heading_path,
+      fm.title,
+      e.embedding_provider,
+      e.embedding_model,
+      e.dimensions,
       fm.file_path,
+      fm.collection_id,
       col.name as collection_name
+  `;
+  const fromClause = `
     FROM embeddings e
     JOIN chunks c ON e.chunk_id = c.id
     JOIN file_metadata fm ON c.file_metadata_id = fm.id
     JOIN collections col ON fm.collection_id = col.id
   `;
 
-  const params = [];
-
-  if (collectionName) {
-    sql += ' WHERE col.name = ?';
-    params.push(collectionName);
-  }
-
-  const top = [];
+  const top = createTopK(limit);
+  let staleExcluded = 0;
 
-  for (const candidate of db.prepare(sql).iterate(...params)) {
-    const embedding = bufferToFloat32Array(candidate.embedding);
-    const similarity = cosineSimilarity(queryEmbedding, embedding);
+  const scoreCandidate = (candidate, space) => {
+    const { quantization } = collectionsById.get(candidate.collection_id);
+    const embedding = decodeVector(candidate.embedding, candidate.dimensions, vectorEncoding(quantization));
+    const similarity = cosineSimilarity(space.queryEmbedding, embedding);
     const normalized = Math.max(0, Math.min(1, (similarity + 1) / 2));
 
+    if (normalized <= top.threshold()) return;
+
     const entry = {
       chunkId: candidate.chunk_id,
       text: candidate.chunk_text,
       filePath: candidate.file_path,
       startLine: candidate.start_line,
       endLine: candidate.end_line,
+      headingPath: candidate.heading_path,
+      title: candidate.title,
       collection: candidate.collection_name,
       score: normalized,
       rawScore: similarity
     };
 
-    if (top.length < limit) {
-      top.push(entry);
-    } else {
-      // Find current min
-      let minIndex = 0;
-      for (let i = 1; i < top.length; i++) {
-        if (top[i].score < top[minIndex].score) minIndex = i;
+    if (space.stale) {
+      entry.stale = true;
+    }
+
+    top.push(entry);
+  };
+
+  for (const collectionId of collectionIds) {
+    let where = `WHERE fm.collection_id = ?${filter.sql}`;
+    const params = [collectionId, ...filter.params];
+
+    const active = activeSpaces.get(collectionId);
+    const lists = active && !exact
+      ? getProbeLists(collectionId, active.space, active.queryEmbedding, probes)
+      : null;
+
+    if (lists) {
+      where += ` AND (e.ann_list IS NULL OR e.ann_list IN (${lists.map(() => '?').join(', ')}))`;
+      params.push(...lists);
+    }
+
+    const quantization = collectionsById.get(collectionId).quantization || 'none';
+
+    if (!rescoresCandidates(quantization)) {
+      for (const candidate of db.prepare(`SELECT ${selectColumns} ${fromClause} ${where}`).iterate(...params)) {
+        const space = spaces.get(spaceKey(candidate));
+        if (!space?.queryEmbedding) {
+          staleExcluded++;
+          continue;
+        }
+        scoreCandidate(candidate, space);
+      }
+      continue;
+    }
+
+    // Binary: rank sign bits first, then rescore the best candidates against
+    // their float vectors. Rows without a code are scored directly.
+    const candidates = createTopK(rescoreCandidates(quantization, limit));
+    const scorers = new Map();
+
+    const firstPass = db.prepare(`
+      SELECT
+        e.chunk_id,
+        e.embedding_q,
+        CASE WHEN e.embedding_q IS NULL THEN e.embedding END as embedding,
+        e.embedding_provider,
+        e.embedding_model,
+        e.dimensions,
+        fm.collection_id
+      ${fromClause}
+      ${where}
+    `);
+
+    for (const row of firstPass.iterate(...params)) {
+      const key = spaceKey(row);
+      const space = spaces.get(key);
+      if (!space?.queryEmbedding) {
+        staleExcluded++;
+        continue;
       }
-      if (entry.score > top[minIndex].score) {
-        top[minIndex] = entry;
+
+      let approximate;
+      if (row.embedding_q) {
+        if (!scorers.has(key)) {
+          scorers.set(key, createQuantizedScorer(space.queryEmbedding, quantization));
+        }
+        approximate = scorers.get(key)(row.embedding_q);
+      } else {
+        approximate = cosineSimilarity(space.queryEmbedding, decodeVector(row.embedding, row.dimensions, vectorEncoding(quantization)));
       }
+
+      candidates.push({ chunkId: row.chunk_id, score: approximate });
+    }
+
+    const ids = candidates.sorted().map(c => c.chunkId);
+    if (ids.length === 0) continue;
+
+    const rescore = db.prepare(`
+      SELECT ${selectColumns} ${fromClause}
+      WHERE e.chunk_id IN (${ids.map(() => '?').join(', ')})
+    `);
+    for (const candidate of rescore.iterate(...ids)) {
+      scoreCandidate(candidate, spaces.get(spaceKey(candidate)));
     }
   }
 
-  top.sort((a, b) => b.score - a.score);
-  return top;
+  if (staleExcluded > 0) {
+    console.warn(`Excluded ${staleExcluded} stale embeddings (model or dimension mismatch). Run: ddsearch embed --reembed-stale`);
+  }
+
+  // Snippets only for the results that made the cut
+  const terms = parsed.text.split(/[^\p{L}\p{N}_]+/u);
+  return top.sorted().map(result => ({ ...result, snippet: sentenceSnippet(result.text, terms) }));
+}
+
+/**
+ * The one collection a search is limited to, by collectionName, a single
+ * `collection:` filter in the query or a one-collection scope; else null
+ */
+function searchedCollection(query, collectionName, collectionIds) {
+  if (collectionName) return getCollection(collectionName) ?? null;
+
+  const names = new Set(parseQuery(query || '').filters
+    .filter(filter => filter.field === 'collection' && !filter.negated)
+    .map(filter => filter.value));
+  if (names.size === 1) return getCollection([...names][0]) ?? null;
+
+  if (collectionIds?.length === 1) {
+    return db.prepare('SELECT * FROM collections WHERE id = ?').get(collectionIds[0]) ?? null;
+  }
+  return null;
 }
 
 /**
- * Hybrid search combining BM25 and vector search
+ * Hybrid search combining BM25 and vector search.
+ * Fusion is a weighted linear blend of normalized scores (max, minmax or
+ * zscore) or weighted Reciprocal Rank Fusion: sum of weight / (k + rank).
+ * A non-zero authorityWeight then scales scores by the files' PageRank.
  */
 export async function searchHybrid(query, options = {}) {
   const { 
     limit = 10, 
     collectionName = null,
-    bm25Weight = 0.4,
-    vectorWeight = 0.6 
+    includeStale = false,
+    probes = DEFAULT_PROBES,
+    exact = false,
+    metadata = null,
+    collectionIds = null
   } = options;
 
+  // Fusion settings: request options, then the defaults of the collection
+  // searched, if there is only one
+  const fusion = resolveFusionConfig({
+    fusion: options.fusion,
+    rrfK: options.rrfK,
+    bm25Weight: options.bm25Weight,
+    vectorWeight: options.vectorWeight,
+    normalization: options.normalization,
+    authorityWeight: options.authorityWeight
+  }, searchedCollection(query, collectionName, collectionIds));
+
   // Run both searches with higher limit for better fusion
-  const bm25Results = searchBM25(query, { limit: limit * 3, collectionName });
+  const bm25Results = searchBM25(query, { limit: limit * 3, collectionName, collectionIds, metadata });
 
   let vectorResults = [];
   try {
-    vectorResults = await searchVector(query, { limit: limit * 3, collectionName });
+    vectorResults = await searchVector(query, { limit: limit * 3, collectionName, collectionIds, includeStale, probes, exact, metadata });
   } catch (error) {
     console.warn(`Vector search unavailable: ${error.message}`);
   }
 
-  // Create a map of chunk scores
-  const scoreMap = new Map();
-
-  // Add BM25 scores
-  bm25Results.forEach(result => {
-    scoreMap.set(result.chunkId, {
-      ...result,
-      bm25Score: result.score,
-      vectorScore: 0
-    });
-  });
-
-  // Add vector scores
-  vectorResults.forEach(result => {
-    if (scoreMap.has(result.chunkId)) {
-      const existing = scoreMap.get(result.chunkId);
-      existing.vectorScore = result.score;
-    } else {
-      scoreMap.set(result.chunkId, {
-        ...result,
-        bm25Score: 0,
-        vectorScore: result.score
-      });
-    }
-  });
-
-  // Calculate combined scores
-  const combined = Array.from(scoreMap.values()).map(result => ({
-    ...result,
-    score: (result.bm25Score * bm25Weight) + (result.vectorScore * vectorWeight),
-    rawScore: { bm25: result.bm25Score, vector: result.vectorScore }
-  }));
+  const combined = fuseResults(bm25Results, vectorResults, fusion);
 
-  // Sort by combined score and limit
-  combined.sort((a, b) => b.score - a.score);
+  // Optional link-graph boost: well-linked files rank higher
+  boostByAuthority(combined, fusion.authorityWeight);
   return combined.slice(0, clampLimit(limit));
 }
 
 /**
- * Main search dispatcher
+ * Main search dispatcher. Besides `collectionName`, `collectionIds` limits
+ * results to a set of collections (an access token's scope).
  */
 export async function search(query, options = {}) {
   const { mode = 'hybrid', minScore = 0 } = options;
@@ -1,23 +1,183 @@
 #!/usr/bin/env node
 import express from 'express';
 import { search } from './search.js';
-import db from './db.js';
-import { listCollections, resolveFileInCollections } from './collections.js';
+import db, { openDatabase, getDatabasePath } from './db.js';
+import { DEFAULT_BACKUP_KEEP, createBackup } from './backup.js';
+import { addCollection, updateCollection, listCollections, getCollection, resolveIndexedFile } from './collections.js';
+import { enqueueJob, getJob, listJobs, cancelJob, describeJob } from './jobs.js';
+import { authenticate, hasTokens, hasPermission, canAccessCollection } from './auth.js';
+import { getStorageStats } from './quantize.js';
+import { validateFusionConfig } from './fusion.js';
+import { normalizeMetadataFilters } from './query.js';
+import { getLinks, getBacklinks } from './links.js';
+import { parseBytes } from './utils.js';
+import { OPENAPI_DOCUMENT, getOperation, checkRoutes, validateRequest } from './openapi.js';
 import { readFileSync } from 'fs';
 
-export function createServer(port = 3077, host = '127.0.0.1') {
+/**
+ * Send an error response: { error, code, details? } (see ERROR_CODES)
+ */
+function sendError(res, status, code, message, details) {
+  return res.status(status).json(details ? { error: message, code, details } : { error: message, code });
+}
+
+/**
+ * Answer an error thrown by the collection functions
+ */
+function sendCollectionError(res, error) {
+  if (error.message.includes('not found')) return sendError(res, 404, 'COLLECTION_NOT_FOUND', error.message);
+  if (error.message.includes('already exists')) return sendError(res, 409, 'COLLECTION_EXISTS', error.message);
+  return sendError(res, 400, 'INVALID_REQUEST', error.message);
+}
+
+/**
+ * Sizes arrive as bytes or as strings like "2mb"
+ */
+function parseSize(value) {
+  return typeof value === 'string' ? parseBytes(value) : value;
+}
+
+/**
+ * Once any API token exists, operations not marked public need a valid
+ * `Authorization: Bearer <token>`; its scope is kept as req.scope
+ * (null while the server is open)
+ */
+function authenticateRequest(req, res, next) {
+  req.scope = null;
+  if (!hasTokens()) return next();
+
+  const match = (req.get('authorization') ?? '').match(/^Bearer\s+(\S+)$/i);
+  const scope = match ? authenticate(match[1]) : null;
+  if (!scope) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'UNAUTHORIZED', 'Missing or invalid API token');
+  }
+  req.scope = scope;
+  next();
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Admin operations on a server reachable from other machines need a token:
+ * without one, anyone who can reach the port could add a collection over
+ * any folder and read it through /file
+ */
+function requireTokensOffLoopback(host) {
+  const loopback = LOOPBACK_HOSTS.includes(host);
+  return (req, res, next) => {
+    if (!loopback && !hasTokens()) {
+      return sendError(res, 403, 'FORBIDDEN', `Collections and jobs can't be changed over ${host} until an API token exists. Create one with: ddsearch token create <name>`);
+    }
+    next();
+  };
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.scope && !hasPermission(req.scope, permission)) {
+      return sendError(res, 403, 'FORBIDDEN', `Token lacks the "${permission}" permission`);
+    }
+    next();
+  };
+}
+
+/**
+ * Reject requests that don't match their operation's parameters and body
+ */
+function validateOperation(operation) {
+  return (req, res, next) => {
+    const details = validateRequest(operation, { params: req.params, query: req.query, body: req.body });
+    if (details.length > 0) {
+      const message = details.map(detail => `${detail.path} ${detail.message}`).join('; ');
+      return sendError(res, 400, 'INVALID_REQUEST', `Invalid request: ${message}`, details);
+    }
+    next();
+  };
+}
+
+/**
+ * Whether the request may touch a collection (row); open servers allow all
+ */
+function canAccess(req, collection) {
+  if (!req.scope || req.scope.collectionIds === null) return true;
+  return Boolean(collection && canAccessCollection(req.scope, collection.id));
+}
+
+function denyCollection(res, name) {
+  return sendError(res, 403, 'FORBIDDEN', `Token has no access to collection "${name}"`);
+}
+
+function collectionNotFound(res, name) {
+  return sendError(res, 404, 'COLLECTION_NOT_FOUND', `Collection "${name}" not found`);
+}
+
+function jobNotFound(res, id) {
+  return sendError(res, 404, 'JOB_NOT_FOUND', `Job ${id} not found`);
+}
+
+/**
+ * Answer a request that queued a job: 202 with the job (an already queued
+ * job the request coalesced into, if any)
+ */
+function sendJob(res, { job, coalesced }) {
+  res.status(202).json({ job: describeJob(job), coalesced });
+}
+
+/**
+ * Start the HTTP API. Options: { db, profile } select the database to serve
+ * (see resolveDatabasePath), which becomes the process-wide database;
+ * without them the already open (or default) database is served.
+ * { backupInterval } (minutes) schedules online backups, keeping the newest
+ * { backupKeep }.
+ */
+export function createServer(port = 3077, host = '127.0.0.1', options = {}) {
+  const { backupInterval = null, backupKeep = DEFAULT_BACKUP_KEEP } = options;
+
+  if (options.db || options.profile) {
+    openDatabase({ path: options.db, profile: options.profile });
+  }
+  if (backupInterval != null && !(backupInterval > 0)) {
+    throw new Error('backupInterval must be a positive number of minutes');
+  }
+
   const app = express();
   app.use(express.json({ limit: '256kb' }));
 
+  // Every route is declared in the OpenAPI document, which decides whether
+  // it needs a token, which permission it needs and what input it accepts
+  const registered = new Set();
+  const route = (method, path, ...handlers) => {
+    const operation = getOperation(path, method);
+    if (!operation) {
+      throw new Error(`${method.toUpperCase()} ${path} is missing from the OpenAPI document`);
+    }
+    const guards = [];
+    if ((operation.security ?? OPENAPI_DOCUMENT.security).length > 0) guards.push(authenticateRequest);
+    if (operation['x-permission'] === 'admin') guards.push(requireTokensOffLoopback(host));
+    if (operation['x-permission']) guards.push(requirePermission(operation['x-permission']));
+    guards.push(validateOperation(operation));
+
+    app[method](path.replace(/\{(\w+)\}/g, ':$1'), ...guards, ...handlers);
+    registered.add(`${method} ${path}`);
+  };
+
   // Health check
-  app.get('/health', (req, res) => {
+  route('get', '/health', (req, res) => {
     res.json({ status: 'ok', timestamp: Date.now() });
   });
 
-  // Stats endpoint
-  app.get('/stats', (req, res) => {
+  route('get', '/openapi.json', (req, res) => {
+    res.json({ ...OPENAPI_DOCUMENT, servers: [{ url: `${req.protocol}://${req.get('host')}` }] });
+  });
+
+  // Stats endpoint (limited to the token's collections)
+  route('get', '/stats', (req, res) => {
+    const ids = req.scope?.collectionIds ?? null;
     const stats = {
-      collections: listCollections(),
+      collections: listCollections()
+        .filter(col => !ids || ids.includes(col.id))
+        .map(col => ({ ...col, storage: getStorageStats(col.id) })),
       totals: db.prepare(`
         SELECT 
           COUNT(DISTINCT c.id) as total_collections,
@@ -28,39 +188,187 @@ export function createServer(port = 3077, host = '127.0.0.1') {
         LEFT JOIN file_metadata fm ON fm.collection_id = c.id
         LEFT JOIN chunks ch ON ch.file_metadata_id = fm.id
         LEFT JOIN embeddings e ON e.chunk_id = ch.id
-      `).get()
+        ${ids ? `WHERE c.id IN (${ids.map(() => '?').join(', ') || 'NULL'})` : ''}
+      `).get(...(ids ?? []))
     };
 
     res.json(stats);
   });
 
+  // Collections
+  route('get', '/collections', (req, res) => {
+    res.json({ collections: listCollections().filter(col => canAccess(req, col)) });
+  });
+
+  // Only tokens covering every collection may add one
+  route('post', '/collections', (req, res) => {
+    const { name, path, mask = '**/*.md', index = false, ...options } = req.body;
+
+    if (req.scope && req.scope.collectionIds !== null) {
+      return sendError(res, 403, 'FORBIDDEN', 'Token is limited to some collections and cannot add new ones');
+    }
+
+    try {
+      addCollection(name, path, mask, { ...options, maxFileSize: parseSize(options.maxFileSize) });
+    } catch (error) {
+      return sendCollectionError(res, error);
+    }
+
+    // With index: true the first index run is queued right away
+    const job = index ? enqueueJob('index', name).job : null;
+    res.status(201).json({ collection: getCollection(name), job: job && describeJob(job) });
+  });
+
+  route('patch', '/collections/{name}', (req, res) => {
+    const { rename, path, mask, maxFileSize, ...settings } = req.body;
+
+    if (!canAccess(req, getCollection(req.params.name))) {
+      return denyCollection(res, req.params.name);
+    }
+    // Pointing a collection elsewhere would let a scoped token read files
+    // outside the collections it was given
+    if (req.scope && req.scope.collectionIds !== null && [path, mask, settings.exclude].some(value => value !== undefined)) {
+      return sendError(res, 403, 'FORBIDDEN', 'Token is limited to some collections and cannot change path, mask or exclude');
+    }
+
+    try {
+      const result = updateCollection(req.params.name, {
+        ...settings,
+        rename,
+        basePath: path,
+        globMask: mask,
+        maxFileSize: parseSize(maxFileSize)
+      });
+      res.json(result);
+    } catch (error) {
+      sendCollectionError(res, error);
+    }
+  });
+
+  // Removal cascades through every chunk and embedding, so it is a job
+  route('delete', '/collections/{name}', (req, res) => {
+    const collection = getCollection(req.params.name);
+    if (!canAccess(req, collection)) {
+      return denyCollection(res, req.params.name);
+    }
+    if (!collection) {
+      return collectionNotFound(res, req.params.name);
+    }
+    sendJob(res, enqueueJob('remove', req.params.name));
+  });
+
+  // Background jobs (admin; scoped tokens must name one of their collections)
+  const checkJobCollection = (req, res, next) => {
+    const { collection = null } = req.body;
+
+    if (collection === null) {
+      if (req.scope && req.scope.collectionIds !== null) {
+        return sendError(res, 403, 'FORBIDDEN', 'Token is limited to some collections; pass a collection');
+      }
+      return next();
+    }
+    const row = getCollection(collection);
+    if (!canAccess(req, row)) return denyCollection(res, collection);
+    if (!row) {
+      return collectionNotFound(res, collection);
+    }
+    next();
+  };
+
+  const canSeeJob = (req, job) => !req.scope
+    || req.scope.collectionIds === null
+    || (job.collection !== null && canAccess(req, getCollection(job.collection)));
+
+  route('post', '/index', checkJobCollection, (req, res) => {
+    const { collection = null, full = false } = req.body;
+    sendJob(res, enqueueJob('index', collection, { full }));
+  });
+
+  route('post', '/embed', checkJobCollection, (req, res) => {
+    const { collection = null, reembedStale = false, batchSize = 100 } = req.body;
+    sendJob(res, enqueueJob('embed', collection, { reembedStale, batchSize }));
+  });
+
+  route('get', '/jobs', (req, res) => {
+    res.json({ jobs: listJobs().filter(job => canSeeJob(req, job)).map(describeJob) });
+  });
+
+  route('get', '/jobs/{id}', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || !canSeeJob(req, job)) {
+      return jobNotFound(res, req.params.id);
+    }
+    res.json({ job: describeJob(job) });
+  });
+
+  route('post', '/jobs/{id}/cancel', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job || !canSeeJob(req, job)) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    try {
+      res.json({ job: describeJob(cancelJob(req.params.id)) });
+    } catch (error) {
+      sendError(res, 409, 'JOB_FINISHED', error.message);
+    }
+  });
+
   // Search endpoint
-  app.post('/search', async (req, res) => {
+  route('post', '/search', async (req, res) => {
     try {
       const {
         query,
         mode = 'hybrid',
         limit = 10,
         minScore = 0,
-        collection = null
-      } = req.body || {};
+        collection = null,
+        includeStale = false,
+        probes = 16,
+        exact = false,
+        fusion,
+        rrfK,
+        bm25Weight,
+        vectorWeight,
+        normalization,
+        authorityWeight,
+        tags,
+        where,
+        after,
+        before
+      } = req.body;
 
-      if (!query || typeof query !== 'string') {
-        return res.status(400).json({ error: 'Query is required' });
+      // A typo in the collection name is an error, not zero results
+      if (collection !== null) {
+        const row = getCollection(collection);
+        if (!canAccess(req, row)) return denyCollection(res, collection);
+        if (!row) return collectionNotFound(res, collection);
       }
 
-      if (!['bm25', 'vector', 'hybrid'].includes(mode)) {
-        return res.status(400).json({ error: 'Invalid mode' });
+      let metadata;
+      try {
+        validateFusionConfig({ fusion, rrfK, bm25Weight, vectorWeight, normalization, authorityWeight });
+        metadata = normalizeMetadataFilters({ tags, where, after, before });
+      } catch (error) {
+        return sendError(res, 400, 'INVALID_REQUEST', error.message);
       }
 
-      const safeLimit = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
-      const safeMinScore = Math.max(0, Number(minScore) || 0);
-
       const results = await search(query, {
         mode,
-        limit: safeLimit,
-        minScore: safeMinScore,
-        collectionName: collection
+        limit,
+        minScore,
+        collectionName: collection,
+        includeStale,
+        probes,
+        exact,
+        fusion,
+        rrfK,
+        bm25Weight,
+        vectorWeight,
+        normalization,
+        authorityWeight,
+        metadata,
+        collectionIds: req.scope?.collectionIds ?? null
       });
 
       res.json({
@@ -71,35 +379,85 @@ export function createServer(port = 3077, host = '127.0.0.1') {
       });
     } catch (error) {
       console.error('Search error:', error);
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, 'INTERNAL_ERROR', error.message);
     }
   });
 
   // Get file content
-  app.get('/file', (req, res) => {
+  route('get', '/file', (req, res) => {
     const { path } = req.query;
 
-    if (!path || typeof path !== 'string') {
-      return res.status(400).json({ error: 'Path parameter is required' });
-    }
-
     try {
-      const resolved = resolveFileInCollections(path);
+      const resolved = resolveIndexedFile(path, req.scope?.collectionIds ?? null);
       if (!resolved) {
-        return res.status(403).json({ error: 'File is not within any collection' });
+        return sendError(res, 403, 'FILE_NOT_IN_COLLECTION', 'File is not indexed in any collection');
+      }
+      if (!canAccess(req, resolved.collection)) {
+        return sendError(res, 403, 'FORBIDDEN', 'File is not within a collection this token can access');
       }
 
       const content = readFileSync(resolved.resolvedPath, 'utf-8');
       res.json({ path: resolved.resolvedPath, content });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, 'INTERNAL_ERROR', error.message);
     }
   });
 
+  // Link graph: outgoing links and backlinks of an indexed file
+  for (const [path, getResult] of [['/links', getLinks], ['/backlinks', getBacklinks]]) {
+    route('get', path, (req, res) => {
+      try {
+        const result = getResult(req.query.path);
+        if (!result || !canAccess(req, getCollection(result.collection))) {
+          return sendError(res, 404, 'FILE_NOT_INDEXED', 'File is not indexed');
+        }
+        res.json(result);
+      } catch (error) {
+        sendError(res, 500, 'INTERNAL_ERROR', error.message);
+      }
+    });
+  }
+
+  // The document and the routes must not drift apart
+  checkRoutes(registered);
+
+  app.use((req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
+  });
+
+  // Body parser failures and anything thrown outside a handler's try
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, 400, 'INVALID_JSON', `Invalid JSON body: ${error.message}`);
+    }
+    if (error.type === 'entity.too.large') {
+      return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+    const status = error.status ?? 500;
+    if (status >= 500) console.error('Request error:', error);
+    sendError(res, status, status < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR', error.message);
+  });
+
   return new Promise((resolve) => {
     const server = app.listen(port, host, () => {
       console.log(`ddsearch server listening on http://${host}:${port}`);
+      if (!LOOPBACK_HOSTS.includes(host) && !hasTokens()) {
+        console.warn(`⚠️  Serving on ${host} without authentication; collection changes and jobs are refused until a token exists. Create one with: ddsearch token create <name>`);
+      }
       resolve(server);
     });
+
+    if (backupInterval) {
+      const timer = setInterval(async () => {
+        try {
+          const backup = await createBackup(db, getDatabasePath(), { keep: backupKeep });
+          console.log(`✓ Backed up to ${backup.path}`);
+        } catch (error) {
+          console.error(`✗ Backup failed: ${error.message}`);
+        }
+      }, backupInterval * 60 * 1000);
+      timer.unref();
+      server.on('close', () => clearInterval(timer));
+    }
   });
 }
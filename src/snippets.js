@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+export const SNIPPET_LENGTH = 200;
+
+// Markers passed to FTS5 highlight(); chunk text never contains them
+export const HIGHLIGHT_OPEN = '\u0001';
+export const HIGHLIGHT_CLOSE = '\u0002';
+
+// Characters of lead-in kept before the first match of a window
+const LEAD_IN = 40;
+
+/**
+ * Recover match offsets from FTS5 highlight() output.
+ * Returns the match spans as offsets into the unmarked chunk text.
+ */
+export function parseHighlighted(highlighted) {
+  const matches = [];
+  let offset = 0;
+  let start = null;
+
+  for (const part of highlighted.split(/([\u0001\u0002])/)) {
+    if (part === HIGHLIGHT_OPEN) {
+      start = offset;
+    } else if (part === HIGHLIGHT_CLOSE) {
+      if (start !== null && offset > start) matches.push({ start, end: offset });
+      start = null;
+    } else {
+      offset += part.length;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Find words in `text` that start with one of the query terms (after
+ * dropping a plural or -ing/-ed ending, roughly what the porter stemmer does)
+ */
+export function findTermMatches(text, terms) {
+  const stems = [...new Set(
+    terms
+      .map(term => term.toLowerCase())
+      .filter(term => /[\p{L}\p{N}]/u.test(term))
+      .map(term => {
+        const stem = term.replace(/(?:ing|ed|es|s)$/, '');
+        return stem.length >= 3 ? stem : term;
+      })
+  )];
+  if (stems.length === 0) return [];
+
+  const matches = [];
+  for (const word of text.matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const lower = word[0].toLowerCase();
+    if (stems.some(stem => lower.startsWith(stem))) {
+      matches.push({ start: word.index, end: word.index + word[0].length });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Split text into trimmed sentence spans (sentence punctuation or line breaks)
+ */
+function sentenceSpans(text) {
+  const spans = [];
+  const push = (start, end) => {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) spans.push({ start, end });
+  };
+
+  const boundary = /[.!?]+(?=\s|$)|\n+/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    push(start, match.index + match[0].length);
+    start = match.index + match[0].length;
+  }
+  push(start, text.length);
+
+  return spans;
+}
+
+function makeSnippet(text, start, end, matches) {
+  return {
+    text: text.slice(start, end),
+    start,
+    end,
+    highlights: matches
+      .filter(m => m.start >= start && m.end <= end)
+      .map(m => ({ start: m.start - start, end: m.end - start }))
+  };
+}
+
+/**
+ * Pick the window of at most `length` characters covering the most matches,
+ * snapped to word boundaries.
+ * Returns { text, start, end, highlights }: `start`/`end` are offsets into
+ * `text`, highlight offsets are relative to the snippet.
+ */
+export function buildSnippet(text, matches = [], length = SNIPPET_LENGTH) {
+  if (text.length <= length) {
+    return makeSnippet(text, 0, text.length, matches);
+  }
+
+  let anchor = 0;
+  let best = 0;
+  for (let i = 0; i < matches.length; i++) {
+    let count = 0;
+    for (let j = i; j < matches.length && matches[j].end <= matches[i].start + length - LEAD_IN; j++) count++;
+    if (count > best) {
+      best = count;
+      anchor = matches[i].start;
+    }
+  }
+
+  let start = Math.max(0, anchor - LEAD_IN);
+  if (start > 0) {
+    const space = text.slice(start, anchor).search(/\s/);
+    start = space === -1 ? anchor : start + space + 1;
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.slice(start, end).search(/\s\S*$/);
+    if (space > length / 2) end = start + space;
+  }
+
+  return makeSnippet(text, start, end, matches);
+}
+
+/**
+ * Snippet for a hit without term positions (vector search): the sentence
+ * sharing the most words with the query, extended with the sentences after
+ * it while they fit. Falls back to the first non-heading sentence.
+ */
+export function sentenceSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const matches = findTermMatches(text, terms);
+  const sentences = sentenceSpans(text);
+  if (sentences.length === 0) return makeSnippet(text, 0, 0, []);
+
+  const countIn = (span) => matches.filter(m => m.start >= span.start && m.end <= span.end).length;
+
+  let bestIndex = -1;
+  let bestCount = 0;
+  sentences.forEach((span, i) => {
+    const count = countIn(span);
+    if (count > bestCount) {
+      bestCount = count;
+      bestIndex = i;
+    }
+  });
+
+  if (bestIndex === -1) {
+    bestIndex = sentences.findIndex(span => !/^#{1,6}\s/.test(text.slice(span.start, span.end)));
+    if (bestIndex === -1) bestIndex = 0;
+  }
+
+  const sentence = sentences[bestIndex];
+  if (sentence.end - sentence.start > length) {
+    const inner = buildSnippet(
+      text.slice(sentence.start, sentence.end),
+      matches
+        .filter(m => m.start >= sentence.start && m.end <= sentence.end)
+        .map(m => ({ start: m.start - sentence.start, end: m.end - sentence.start })),
+      length
+    );
+    return makeSnippet(text, sentence.start + inner.start, sentence.start + inner.end, matches);
+  }
+
+  let end = sentence.end;
+  for (let i = bestIndex + 1; i < sentences.length && sentences[i].end - sentence.start <= length; i++) {
+    end = sentences[i].end;
+  }
+
+  return makeSnippet(text, sentence.start, end, matches);
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import { getEncoding } from 'js-tiktoken';
+import { loadTransformers } from './embeddings.js';
+
+export const DEFAULT_ENCODING = 'cl100k_base';
+
+// Input limits (tokens) of known embedding models, matched by model name.
+// OpenAI's models use cl100k_base. Local models are counted with their own
+// tokenizer once loadTokenizer has loaded it; everything else is counted
+// with cl100k_base, which only approximates other tokenizers (WordPiece
+// models such as MiniLM can need noticeably more tokens for the same text).
+const MODEL_LIMITS = [
+  { pattern: /^text-embedding-(3-small|3-large|ada-002)$/, encoding: 'cl100k_base', maxTokens: 8191 },
+  { pattern: /nomic-embed|jina-embeddings/i, maxTokens: 8192 },
+  { pattern: /minilm|mpnet|bge-|e5-|gte-/i, maxTokens: 512 }
+];
+
+const PROVIDER_LIMITS = {
+  'openai': 8191,
+  'openai-compatible': 8191,
+  'local': 512
+};
+
+const encodings = new Map();
+const tokenizers = new Map();
+// Local model -> its Hugging Face tokenizer, or null when it can't be loaded
+const modelTokenizers = new Map();
+
+function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, getEncoding(name));
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Load the tokenizer of a local model so getTokenizer counts with it.
+ * Without @huggingface/transformers (or the model's files) tokens are
+ * counted with cl100k_base instead, with a warning. Returns getTokenizer(config).
+ */
+export async function loadTokenizer(config) {
+  if (config?.provider === 'local' && config.model && !modelTokenizers.has(config.model)) {
+    try {
+      const { AutoTokenizer } = await loadTransformers();
+      modelTokenizers.set(config.model, await AutoTokenizer.from_pretrained(config.model));
+    } catch (error) {
+      console.warn(`⚠️  Tokenizer of ${config.model} unavailable (${error.message}); counting tokens with ${DEFAULT_ENCODING} instead`);
+      modelTokenizers.set(config.model, null);
+    }
+  }
+  return getTokenizer(config);
+}
+
+/**
+ * Tokenizer for an embedding config ({ provider, model }): the local
+ * model's own tokenizer if loadTokenizer loaded it, otherwise BPE.
+ * DDSEARCH_EMBED_MAX_TOKENS overrides the input limit.
+ * Returns { name, encoding, maxTokens, count(text), split(text, maxTokens) }
+ * where `name` identifies the tokenizer and limit (stored per collection).
+ */
+export function getTokenizer(config = null) {
+  const known = MODEL_LIMITS.find(entry => config?.model && entry.pattern.test(config.model));
+
+  const override = parseInt(process.env.DDSEARCH_EMBED_MAX_TOKENS, 10);
+  const maxTokens = override > 0 ? override : known?.maxTokens ?? PROVIDER_LIMITS[config?.provider] ?? 8191;
+
+  const modelTokenizer = config?.provider === 'local' ? modelTokenizers.get(config.model) : null;
+  if (modelTokenizer) return getModelTokenizer(config.model, modelTokenizer, maxTokens);
+
+  const encodingName = known?.encoding ?? DEFAULT_ENCODING;
+  const name = `${encodingName}/${maxTokens}`;
+  if (tokenizers.has(name)) return tokenizers.get(name);
+
+  // Special-token text ("<|endoftext|>") in documents is plain text
+  const encode = text => loadEncoding(encodingName).encode(text, [], []);
+
+  const tokenizer = {
+    name,
+    encoding: encodingName,
+    maxTokens,
+
+    count(text) {
+      return text ? encode(text).length : 0;
+    },
+
+    /**
+     * Split text into pieces of at most maxTokens tokens
+     */
+    split(text, limit = maxTokens) {
+      const tokens = encode(text);
+      if (tokens.length <= limit) return [text];
+
+      const pieces = [];
+      for (let i = 0; i < tokens.length; i += limit) {
+        pieces.push(loadEncoding(encodingName).decode(tokens.slice(i, i + limit)));
+      }
+      return pieces;
+    }
+  };
+
+  tokenizers.set(name, tokenizer);
+  return tokenizer;
+}
+
+/**
+ * Tokenizer backed by a local model's Hugging Face tokenizer. The special
+ * tokens the model adds to every input ([CLS], [SEP]) come off the limit.
+ */
+function getModelTokenizer(model, modelTokenizer, limit) {
+  const name = `${model}/${limit}`;
+  if (tokenizers.has(name)) return tokenizers.get(name);
+
+  const encode = text => modelTokenizer.encode(text, { add_special_tokens: false });
+  const maxTokens = Math.max(1, limit - modelTokenizer.encode('').length);
+  const count = text => text ? encode(text).length : 0;
+
+  const tokenizer = {
+    name,
+    encoding: model,
+    maxTokens,
+    count,
+
+    /**
+     * Split text into pieces of at most maxTokens tokens. Decoding WordPiece
+     * tokens loses case and spacing, so pieces are cut from the text itself
+     * at the longest prefix that fits.
+     */
+    split(text, pieceLimit = maxTokens) {
+      const pieces = [];
+      let rest = text;
+      while (count(rest) > pieceLimit) {
+        let low = 1;
+        let high = rest.length - 1;
+        while (low < high) {
+          const mid = Math.ceil((low + high) / 2);
+          if (count(rest.slice(0, mid)) <= pieceLimit) low = mid;
+          else high = mid - 1;
+        }
+        pieces.push(rest.slice(0, low));
+        rest = rest.slice(low);
+      }
+      pieces.push(rest);
+      return pieces;
+    }
+  };
+
+  tokenizers.set(name, tokenizer);
+  return tokenizer;
+}
+
+/**
+ * Whether text fits the tokenizer's input limit. Every token covers at
+ * least one UTF-8 byte, so short texts skip tokenization.
+ */
+export function fitsTokenLimit(text, tokenizer) {
+  return Buffer.byteLength(text) <= tokenizer.maxTokens || tokenizer.count(text) <= tokenizer.maxTokens;
+}
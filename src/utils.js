@@ -1,16 +1,14 @@
 #!/usr/bin/env node
 
-/**
- * Estimate token count (simple approximation: 1 token ≈ 4 chars)
- */
-export function estimateTokens(text) {
-  return Math.ceil(text.length / 4);
-}
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
 
 /**
- * Convert Float32Array to Buffer for SQLite BLOB storage
+ * Convert Float32Array to Buffer for SQLite BLOB storage (little-endian)
  */
 export function float32ArrayToBuffer(arr) {
+  if (LITTLE_ENDIAN) {
+    return Buffer.from(Float32Array.from(arr).buffer);
+  }
   const buffer = Buffer.allocUnsafe(arr.length * 4);
   for (let i = 0; i < arr.length; i++) {
     buffer.writeFloatLE(arr[i], i * 4);
@@ -23,12 +21,118 @@ export function float32ArrayToBuffer(arr) {
  */
 export function bufferToFloat32Array(buffer) {
   const arr = new Float32Array(buffer.length / 4);
+  if (LITTLE_ENDIAN) {
+    new Uint8Array(arr.buffer).set(buffer);
+    return arr;
+  }
   for (let i = 0; i < arr.length; i++) {
     arr[i] = buffer.readFloatLE(i * 4);
   }
   return arr;
 }
 
+const f32Scratch = new Float32Array(1);
+const u32Scratch = new Uint32Array(f32Scratch.buffer);
+let halfTable = null;
+
+function toHalf(value) {
+  f32Scratch[0] = value;
+  const x = u32Scratch[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xff) - 127 + 15;
+  const mantissa = x & 0x7fffff;
+
+  if (exp >= 31) {
+    const nan = ((x >>> 23) & 0xff) === 0xff && mantissa !== 0;
+    return sign | 0x7c00 | (nan ? 0x200 : 0);
+  }
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    const m = (mantissa | 0x800000) >> (1 - exp);
+    return sign | ((m + 0x1000) >> 13);
+  }
+  // Adding (not OR-ing) lets a rounding carry spill into the exponent
+  return sign | ((exp << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+function fromHalf(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1f;
+  const fraction = h & 0x3ff;
+  if (exp === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exp === 31) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exp - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Convert Float32Array to a half-precision (float16) Buffer
+ */
+export function float32ArrayToFloat16Buffer(arr) {
+  const buffer = Buffer.allocUnsafe(arr.length * 2);
+  for (let i = 0; i < arr.length; i++) {
+    buffer.writeUInt16LE(toHalf(arr[i]), i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Convert a half-precision (float16) Buffer to Float32Array
+ */
+export function float16BufferToFloat32Array(buffer) {
+  if (!halfTable) {
+    halfTable = new Float32Array(65536);
+    for (let h = 0; h < 65536; h++) halfTable[h] = fromHalf(h);
+  }
+  const arr = new Float32Array(buffer.length / 2);
+  for (let i = 0; i < arr.length; i++) {
+    arr[i] = halfTable[buffer[i * 2] | (buffer[i * 2 + 1] << 8)];
+  }
+  return arr;
+}
+
+/**
+ * Convert Float32Array to signed bytes scaled by the largest component:
+ * a float32 scale (little-endian) followed by one byte per dimension
+ */
+export function float32ArrayToInt8Buffer(arr) {
+  let max = 0;
+  for (let i = 0; i < arr.length; i++) max = Math.max(max, Math.abs(arr[i]));
+
+  const buffer = Buffer.alloc(4 + arr.length);
+  buffer.writeFloatLE(max / 127, 0);
+  if (max > 0) {
+    for (let i = 0; i < arr.length; i++) buffer.writeInt8(Math.round(arr[i] * 127 / max), 4 + i);
+  }
+  return buffer;
+}
+
+/**
+ * Convert an int8 Buffer (see float32ArrayToInt8Buffer) to Float32Array
+ */
+export function int8BufferToFloat32Array(buffer) {
+  const scale = buffer.readFloatLE(0);
+  const arr = new Float32Array(buffer.length - 4);
+  for (let i = 0; i < arr.length; i++) {
+    arr[i] = buffer.readInt8(4 + i) * scale;
+  }
+  return arr;
+}
+
+/**
+ * Decode a stored embedding BLOB in the given encoding ('float32',
+ * 'float16' or 'int8'). Without one, 2 bytes per dimension means float16
+ * and anything else float32.
+ */
+export function decodeVector(buffer, dimensions = null, encoding = null) {
+  if (encoding === 'int8') {
+    return int8BufferToFloat32Array(buffer);
+  }
+  if (encoding === 'float16' || (!encoding && dimensions && buffer.length === dimensions * 2)) {
+    return float16BufferToFloat32Array(buffer);
+  }
+  return bufferToFloat32Array(buffer);
+}
+
 /**
  * Calculate cosine similarity between two vectors
  */
@@ -54,6 +158,58 @@ export function cosineSimilarity(a, b) {
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+/**
+ * Keep the k highest-scoring items seen so far (binary min-heap)
+ */
+export function createTopK(k, getScore = item => item.score) {
+  const heap = [];
+
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+
+  const siftUp = (i) => {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (getScore(heap[i]) >= getScore(heap[parent])) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const siftDown = (i) => {
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && getScore(heap[left]) < getScore(heap[smallest])) smallest = left;
+      if (right < heap.length && getScore(heap[right]) < getScore(heap[smallest])) smallest = right;
+      if (smallest === i) break;
+      swap(i, smallest);
+      i = smallest;
+    }
+  };
+
+  return {
+    push(item) {
+      if (heap.length < k) {
+        heap.push(item);
+        siftUp(heap.length - 1);
+      } else if (k > 0 && getScore(item) > getScore(heap[0])) {
+        heap[0] = item;
+        siftDown(0);
+      }
+    },
+    // Lowest score that would still be kept (or -Infinity while not full)
+    threshold() {
+      return heap.length < k ? -Infinity : getScore(heap[0]);
+    },
+    sorted() {
+      return [...heap].sort((a, b) => getScore(b) - getScore(a));
+    }
+  };
+}
+
 /**
  * Normalize score to 0-1 range
  */
@@ -62,6 +218,32 @@ export function normalizeScore(score, min, max) {
   return (score - min) / (max - min);
 }
 
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = Math.abs(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${bytes < 0 ? '-' : ''}${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Parse a size like "512", "200kb" or "1.5 MB" (binary units) into bytes
+ */
+export function parseBytes(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?|gb?)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${value}. Use e.g. 500kb or 2mb`);
+  }
+  const exponent = { b: 0, k: 1, m: 2, g: 3 }[(match[2] ?? 'b')[0].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * 1024 ** exponent);
+}
+
 /**
  * Detect if a buffer is likely binary
  */
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+import { watch, existsSync, statSync } from 'fs';
+import { join, relative, sep } from 'path';
+import picomatch from 'picomatch';
+import { getCollections } from './collections.js';
+import { indexCollections, indexPaths, embedCollections, hasIndexedFilesUnder, loadTokenizers } from './indexer.js';
+import { parseGlobList, isIgnoreFile } from './discovery.js';
+import { runExclusive } from './jobs.js';
+
+const DEFAULT_DEBOUNCE_MS = 500;
+
+/**
+ * Watch collection directories and keep the index (and embeddings) current.
+ * Bursts of changes are debounced per collection; flushes run one at a time.
+ * The collection list is re-read once per debounce period, so collections
+ * added, moved, re-masked or removed meanwhile (e.g. through the HTTP API)
+ * are picked up; each flush uses the collection's current settings.
+ * Returns { close() }.
+ */
+export function watchCollections(options = {}) {
+  const {
+    collectionName = null,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    embed = true,
+    log = console.log
+  } = options;
+
+  const initial = getCollections(collectionName);
+  if (collectionName && initial.length === 0) {
+    throw new Error(`Collection "${collectionName}" not found`);
+  }
+  // A named collection stays watched across renames
+  const watchedIds = collectionName ? new Set(initial.map(collection => collection.id)) : null;
+  const currentCollections = () => getCollections().filter(collection => !watchedIds || watchedIds.has(collection.id));
+
+  // Collection id -> { collection, watcher, pending, rescan, timer }
+  const states = new Map();
+  let queue = Promise.resolve();
+  let closed = false;
+
+  // Catch up on anything that changed while nobody was watching
+  queue = runExclusive(async () => {
+    await loadTokenizers(collectionName);
+    indexCollections({ collectionName });
+  }).catch((error) => {
+    log(`✗ Indexing failed (${error.message})`);
+  });
+  if (embed) {
+    queue = runExclusive(() => embedCollections({ collectionName })).catch((error) => {
+      log(`⚠️  Embedding failed (${error.message}); run ddsearch embed later`);
+    });
+  }
+
+  const flush = (collectionId) => {
+    const state = states.get(collectionId);
+    if (!state) return;
+    state.timer = null;
+
+    const paths = [...state.pending];
+    const rescan = state.rescan;
+    state.pending.clear();
+    state.rescan = false;
+
+    // Shares the server's single writer with queued jobs
+    queue = runExclusive(async () => {
+      if (closed) return;
+
+      // Settings may have changed since the events were queued
+      const collection = getCollections().find(col => col.id === collectionId);
+      if (!collection) return;
+
+      try {
+        await loadTokenizers(collection.name);
+        let summary;
+        if (rescan) {
+          const result = indexCollections({ collectionName: collection.name });
+          const col = result.collections?.[0] ?? { indexed: 0, removed: 0, chunks: 0 };
+          summary = { indexed: col.indexed, removed: col.removed, chunks: col.chunks };
+        } else {
+          summary = indexPaths(collection, paths);
+        }
+
+        if (summary.indexed === 0 && summary.removed === 0) return;
+
+        let embedded = 0;
+        if (embed && summary.chunks > 0) {
+          try {
+            const result = await embedCollections({ collectionName: collection.name });
+            embedded = result.totalEmbedded;
+          } catch (error) {
+            log(`⚠️  ${collection.name}: embedding failed (${error.message}); run ddsearch embed later`);
+          }
+        }
+
+        log(`✓ ${collection.name}: ${summary.indexed} indexed, ${summary.removed} removed, ${summary.chunks} chunks, ${embedded} embedded`);
+      } catch (error) {
+        log(`✗ ${collection.name}: ${error.message}`);
+      }
+    });
+  };
+
+  const schedule = (state) => {
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => flush(state.collection.id), debounceMs);
+  };
+
+  const startWatching = (collection) => {
+    const masks = parseGlobList(collection.glob_mask);
+    // Excludes, ignore files and the size cap are applied by indexPaths
+    const isMatch = picomatch(masks, { dot: false });
+    const state = { collection, watcher: null, pending: new Set(), rescan: false, timer: null };
+    states.set(collection.id, state);
+
+    state.watcher = watch(collection.base_path, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        state.rescan = true;
+      } else {
+        const filePath = join(collection.base_path, filename.toString());
+        const relativePath = relative(collection.base_path, filePath).split(sep).join('/');
+
+        if (existsSync(filePath) && statSync(filePath).isDirectory()) {
+          // A directory was created, moved or renamed: its files don't emit events of their own
+          state.rescan = true;
+        } else if (isIgnoreFile(collection, filePath)) {
+          // Changed ignore rules can add or drop any file
+          state.rescan = true;
+        } else if (isMatch(relativePath)) {
+          state.pending.add(filePath);
+        } else if (!existsSync(filePath) && hasIndexedFilesUnder(collection.id, filePath)) {
+          // A watched directory was deleted or moved away
+          state.rescan = true;
+        } else {
+          return;
+        }
+      }
+
+      schedule(state);
+    });
+
+    state.watcher.on('error', (error) => log(`✗ ${collection.name}: watcher error (${error.message})`));
+    log(`Watching ${collection.name}: ${collection.base_path} (${masks.join(', ')})`);
+    return state;
+  };
+
+  const stopWatching = (state) => {
+    state.watcher?.close();
+    clearTimeout(state.timer);
+    states.delete(state.collection.id);
+  };
+
+  // A path that can't be watched is retried once the collection moves
+  const tryWatching = (collection) => {
+    try {
+      return startWatching(collection);
+    } catch (error) {
+      log(`✗ ${collection.name}: cannot watch ${collection.base_path} (${error.message})`);
+      states.set(collection.id, { collection, watcher: null, pending: new Set(), rescan: false, timer: null });
+      return null;
+    }
+  };
+
+  // Follow collections created, moved, re-masked or removed since the last look
+  const sync = () => {
+    if (closed) return;
+
+    let collections;
+    try {
+      collections = currentCollections();
+    } catch (error) {
+      log(`✗ Reading collections failed (${error.message})`);
+      return;
+    }
+
+    const seen = new Set();
+    for (const collection of collections) {
+      seen.add(collection.id);
+      const state = states.get(collection.id);
+
+      if (!state) {
+        // Added: index what is there
+        if (tryWatching(collection)) {
+          states.get(collection.id).rescan = true;
+          flush(collection.id);
+        }
+      } else if (state.collection.base_path !== collection.base_path || state.collection.glob_mask !== collection.glob_mask) {
+        stopWatching(state);
+        if (tryWatching(collection)) {
+          states.get(collection.id).rescan = true;
+          flush(collection.id);
+        }
+      } else {
+        state.collection = collection;
+      }
+    }
+
+    for (const state of [...states.values()]) {
+      if (!seen.has(state.collection.id)) {
+        stopWatching(state);
+        log(`Stopped watching ${state.collection.name}: collection removed`);
+      }
+    }
+  };
+
+  for (const collection of initial) {
+    tryWatching(collection);
+  }
+  if (initial.length === 0) {
+    log('No collections yet; new ones are watched as they are added');
+  }
+  const syncTimer = setInterval(sync, debounceMs);
+
+  return {
+    async close() {
+      closed = true;
+      clearInterval(syncTimer);
+      for (const state of [...states.values()]) stopWatching(state);
+      await queue;
+    }
+  };
+}
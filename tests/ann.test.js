@@ -0,0 +1,135 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { buildAnnIndex, updateAnnIndex, getAnnIndex, getProbeLists } from '../src/ann.js';
+import { encodeEmbedding } from '../src/quantize.js';
+import { cosineSimilarity } from '../src/utils.js';
+
+const DIMENSIONS = 32;
+const CLUSTERS = 40;
+const VECTORS = 4000;
+const CONFIG = { provider: 'openai', model: 'test-model' };
+const SPACE = 'openai:test-model';
+
+/**
+ * Small deterministic PRNG, so runs build the same clusters
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296 - 0.5;
+  };
+}
+
+const next = random(42);
+const centres = Array.from({ length: CLUSTERS }, () => Float32Array.from({ length: DIMENSIONS }, next));
+const around = centre => Float32Array.from(centre, value => value + next() * 0.3);
+
+describe('ANN index', () => {
+  let dir;
+  let collectionId;
+  const vectors = new Map();
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-ann-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    collectionId = db.prepare("INSERT INTO collections (name, base_path, glob_mask) VALUES ('notes', '/data/notes', '**/*.md')").run().lastInsertRowid;
+    const fileId = db.prepare("INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (?, '/data/notes/a.md', 'hash')").run(collectionId).lastInsertRowid;
+    const addChunk = db.prepare("INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count) VALUES (?, ?, 'text', 1, 1, 1)");
+    const addEmbedding = db.prepare('INSERT INTO embeddings (chunk_id, embedding, embedding_provider, embedding_model, dimensions) VALUES (?, ?, ?, ?, ?)');
+
+    db.transaction(() => {
+      for (let i = 0; i < VECTORS; i++) {
+        const vector = around(centres[i % CLUSTERS]);
+        const chunkId = addChunk.run(fileId, i).lastInsertRowid;
+        addEmbedding.run(chunkId, encodeEmbedding(vector).embedding, CONFIG.provider, CONFIG.model, DIMENSIONS);
+        vectors.set(Number(chunkId), vector);
+      }
+    })();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const unassigned = () => db.prepare('SELECT COUNT(*) as count FROM embeddings WHERE ann_list IS NULL').get().count;
+
+  test('stays below the threshold unless forced', async () => {
+    assert.deepEqual(await buildAnnIndex(collectionId, CONFIG, DIMENSIONS), { built: false, vectors: VECTORS });
+    assert.equal(getAnnIndex(collectionId), null);
+  });
+
+  test('builds without holding the event loop', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => { ticks++; }, 1);
+    const progress = [];
+    try {
+      const result = await buildAnnIndex(collectionId, CONFIG, DIMENSIONS, { force: true, onProgress: p => progress.push(p) });
+      assert.deepEqual(result, { built: true, vectors: VECTORS, lists: Math.round(Math.sqrt(VECTORS)) });
+    } finally {
+      clearInterval(timer);
+    }
+
+    assert.ok(ticks > 0, 'timers ran during the build');
+    assert.equal(progress[0].phase, 'clustering');
+    assert.deepEqual(progress.at(-1), { phase: 'assigning', done: VECTORS, total: VECTORS });
+    assert.equal(unassigned(), 0);
+  });
+
+  test('finds nearly every exact neighbour in the probed lists', () => {
+    const queries = Array.from({ length: 20 }, (_, i) => around(centres[(i * 7) % CLUSTERS]));
+    const listOf = new Map(db.prepare('SELECT chunk_id, ann_list FROM embeddings').all().map(row => [row.chunk_id, row.ann_list]));
+
+    let found = 0;
+    let wanted = 0;
+    for (const query of queries) {
+      const exact = [...vectors]
+        .map(([chunkId, vector]) => ({ chunkId, score: cosineSimilarity(query, vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 10);
+      const probed = new Set(getProbeLists(collectionId, SPACE, Array.from(query), 8));
+
+      found += exact.filter(hit => probed.has(listOf.get(hit.chunkId))).length;
+      wanted += exact.length;
+    }
+
+    assert.ok(found / wanted >= 0.9, `recall@10 ${found / wanted}`);
+  });
+
+  test('keeps the old index when cancelled while clustering', async () => {
+    const controller = new AbortController();
+    const build = buildAnnIndex(collectionId, CONFIG, DIMENSIONS, {
+      force: true,
+      lists: 10,
+      signal: controller.signal,
+      onProgress: ({ phase, done }) => { if (phase === 'clustering' && done === 1) controller.abort(); }
+    });
+
+    await assert.rejects(build, { name: 'AbortError' });
+    assert.equal(getAnnIndex(collectionId).list_count, Math.round(Math.sqrt(VECTORS)));
+    assert.equal(unassigned(), 0);
+  });
+
+  test('leaves vectors unassigned when cancelled while assigning, until the next update', async () => {
+    const controller = new AbortController();
+    const build = buildAnnIndex(collectionId, CONFIG, DIMENSIONS, {
+      force: true,
+      lists: 10,
+      signal: controller.signal,
+      onProgress: ({ phase }) => { if (phase === 'assigning') controller.abort(); }
+    });
+
+    await assert.rejects(build, { name: 'AbortError' });
+    assert.equal(getAnnIndex(collectionId).list_count, 10);
+    assert.equal(unassigned(), VECTORS);
+
+    assert.deepEqual(await updateAnnIndex(collectionId, CONFIG, DIMENSIONS), { built: false, assigned: VECTORS });
+    assert.equal(unassigned(), 0);
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, cpSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection, getCollection } from '../src/collections.js';
+import { indexCollections, storeEmbeddings, getUnembbeddedChunks, setEmbeddingSpace } from '../src/indexer.js';
+import { exportIndex, importIndex, readManifest } from '../src/archive.js';
+import { getLinks } from '../src/links.js';
+import { search } from '../src/search.js';
+import { vectorEncoding } from '../src/quantize.js';
+import { decodeVector, cosineSimilarity } from '../src/utils.js';
+
+const DIMENSIONS = 8;
+const MODEL = { embeddingProvider: 'openai-compatible', embeddingModel: 'small-v1', embeddingBaseUrl: 'http://127.0.0.1:1/v1' };
+
+const vectorFor = chunkText => Array.from({ length: DIMENSIONS }, (_, i) => Math.sin(chunkText.length + i));
+
+describe('index export and import', () => {
+  let dir;
+  let source;
+  let archive;
+  const vectors = new Map();
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-archive-'));
+    source = join(dir, 'laptop', 'notes');
+    archive = join(dir, 'archive');
+
+    mkdirSync(join(source, 'guides'), { recursive: true });
+    writeFileSync(join(source, 'index.md'), '---\ntags: [home]\n---\n# Index\n\nSee [[deploy]] for shipping.\n');
+    writeFileSync(join(source, 'guides', 'deploy.md'), '# Deploy\n\nShip the release with docker.\n');
+
+    openDatabase({ path: join(dir, 'source.db') });
+    addCollection('notes', source, '**/*.md', { ...MODEL, quantization: 'int8', chunkSize: 200 });
+    indexCollections();
+
+    const chunks = getUnembbeddedChunks();
+    setEmbeddingSpace(getCollection('notes').id, 'openai-compatible:small-v1', DIMENSIONS);
+    storeEmbeddings(chunks.map(chunk => {
+      vectors.set(chunk.chunk_text, vectorFor(chunk.chunk_text));
+      return { chunkId: chunk.id, vector: vectorFor(chunk.chunk_text), model: 'small-v1', provider: 'openai-compatible' };
+    }), 'int8');
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('exports collections with a manifest', () => {
+    const manifest = exportIndex(archive);
+    assert.deepEqual(manifest.collections, [{ name: 'notes', basePath: source, files: 2, chunks: 2, embeddings: 2 }]);
+    assert.deepEqual(readManifest(archive), manifest);
+    assert.throws(() => exportIndex(archive), /Export directory is not empty/);
+  });
+
+  test('imports into a new database under a new root', async () => {
+    const moved = join(dir, 'desktop', 'notes');
+    cpSync(source, moved, { recursive: true });
+    openDatabase({ path: join(dir, 'target.db') });
+
+    const result = await importIndex(archive, { root: moved });
+    assert.deepEqual(result.collections, [{
+      name: 'notes', basePath: moved, created: true, files: 2, unchanged: 0, chunks: 2, reused: 0, embeddings: 2, skippedEmbeddings: 0
+    }]);
+
+    const collection = getCollection('notes');
+    assert.equal(collection.quantization, 'int8');
+    assert.equal(collection.chunk_size, 200);
+    assert.equal(collection.embedding_model, 'small-v1');
+
+    // Vectors come back in the collection's encoding
+    const rows = db.prepare('SELECT c.chunk_text, e.embedding, e.dimensions FROM embeddings e JOIN chunks c ON c.id = e.chunk_id').all();
+    for (const row of rows) {
+      const vector = decodeVector(row.embedding, row.dimensions, vectorEncoding(collection.quantization));
+      assert.ok(cosineSimilarity(vector, vectors.get(row.chunk_text)) > 0.999);
+    }
+
+    // Metadata, links and FTS come along
+    assert.equal(db.prepare('SELECT tags FROM file_metadata WHERE file_path = ?').get(join(moved, 'index.md')).tags, '["home"]');
+    assert.equal(getLinks(join(moved, 'index.md')).links[0].path, join(moved, 'guides', 'deploy.md'));
+    const [hit] = await search('docker', { mode: 'bm25' });
+    assert.equal(hit.filePath, join(moved, 'guides', 'deploy.md'));
+
+    // Nothing to re-index: the content hashes match the files on disk
+    const reindex = indexCollections();
+    assert.equal(reindex.indexed, 0);
+    assert.equal(reindex.skipped, 2);
+  });
+
+  test('leaves unchanged files alone on a second import', async () => {
+    const result = await importIndex(archive);
+    assert.equal(result.collections[0].created, false);
+    assert.equal(result.collections[0].unchanged, 2);
+    assert.equal(result.collections[0].files, 0);
+  });
+
+  test('skips vectors of another model than the target collection', async () => {
+    openDatabase({ path: join(dir, 'other-model.db') });
+    addCollection('notes', source, '**/*.md', { ...MODEL, embeddingModel: 'small-v2' });
+
+    const result = await importIndex(archive);
+    assert.equal(result.collections[0].embeddings, 0);
+    assert.equal(result.collections[0].skippedEmbeddings, 2);
+    assert.equal(getUnembbeddedChunks().length, 2);
+  });
+
+  test('rejects archives it cannot read', async () => {
+    const manifest = JSON.parse(readFileSync(join(archive, 'manifest.json'), 'utf-8'));
+    writeFileSync(join(archive, 'manifest.json'), JSON.stringify({ ...manifest, version: 99 }));
+    await assert.rejects(importIndex(archive), /Archive version 99 is newer/);
+    await assert.rejects(importIndex(dir), /missing manifest.json/);
+    await assert.rejects(importIndex(archive.replace('archive', 'nowhere'), { collectionNames: ['notes'] }), /Not a ddsearch archive/);
+  });
+});
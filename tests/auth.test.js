@@ -0,0 +1,124 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection, getCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+import { createToken, listTokens, revokeToken, hasTokens, authenticate, hasPermission, canAccessCollection } from '../src/auth.js';
+import { createServer } from '../src/server.js';
+
+describe('API tokens', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  let reader;
+  let admin;
+  const log = console.log;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-auth-'));
+    mkdirSync(join(dir, 'docs'));
+    mkdirSync(join(dir, 'private'));
+    writeFileSync(join(dir, 'docs', 'guide.md'), '# Guide\n\nDeploy with docker.\n');
+    writeFileSync(join(dir, 'private', 'salaries.md'), '# Salaries\n\nDocker engineers earn more.\n');
+
+    openDatabase({ path: join(dir, 'index.db') });
+    addCollection('docs', join(dir, 'docs'));
+    addCollection('private', join(dir, 'private'));
+    indexCollections();
+
+    console.log = () => {};
+    server = await createServer(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    console.log = log;
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = { ...(token && { authorization: `Bearer ${token}` }), ...(body && { 'content-type': 'application/json' }) };
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('the server is open until a token exists', async () => {
+    assert.equal(hasTokens(), false);
+    assert.equal((await request('GET', '/collections')).status, 200);
+  });
+
+  test('creates tokens with a scope and validates it', () => {
+    reader = createToken('reader', { collections: ['docs'] });
+    admin = createToken('admin', { permissions: ['admin'] });
+
+    assert.match(reader.token, /^dds_/);
+    assert.deepEqual(reader.permissions, ['search', 'read']);
+    assert.deepEqual(listTokens().map(({ name, collections, permissions }) => ({ name, collections, permissions })), [
+      { name: 'admin', collections: null, permissions: ['admin'] },
+      { name: 'reader', collections: ['docs'], permissions: ['search', 'read'] }
+    ]);
+
+    assert.throws(() => createToken('reader'), /Token "reader" already exists/);
+    assert.throws(() => createToken(' '), /Token name cannot be empty/);
+    assert.throws(() => createToken('x', { permissions: [] }), /at least one permission/);
+    assert.throws(() => createToken('x', { permissions: ['write'] }), /Invalid permission: write/);
+    assert.throws(() => createToken('x', { collections: ['nope'] }), /Collection "nope" not found/);
+  });
+
+  test('authenticates tokens and checks permissions and collections', () => {
+    const scope = authenticate(reader.token);
+    assert.equal(scope.name, 'reader');
+    assert.equal(hasPermission(scope, 'search'), true);
+    assert.equal(hasPermission(scope, 'admin'), false);
+    assert.equal(canAccessCollection(scope, getCollection('docs').id), true);
+    assert.equal(canAccessCollection(scope, getCollection('private').id), false);
+
+    const adminScope = authenticate(admin.token);
+    assert.equal(hasPermission(adminScope, 'read'), true);
+    assert.equal(canAccessCollection(adminScope, getCollection('private').id), true);
+
+    assert.equal(authenticate('dds_unknown'), null);
+    assert.equal(authenticate('not-a-token'), null);
+    assert.ok(listTokens().find(token => token.name === 'reader').lastUsedAt);
+  });
+
+  test('the server requires a valid token', async () => {
+    const missing = await request('GET', '/collections');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'UNAUTHORIZED');
+    assert.equal((await request('GET', '/collections', { token: 'dds_unknown' })).status, 401);
+    assert.equal((await request('GET', '/health')).status, 200);
+  });
+
+  test('the server limits a token to its permissions', async () => {
+    const denied = await request('POST', '/collections', { token: reader.token, body: { name: 'more', path: dir } });
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /lacks the "admin" permission/);
+    assert.equal((await request('GET', '/jobs', { token: reader.token })).status, 403);
+    assert.equal((await request('GET', '/jobs', { token: admin.token })).status, 200);
+  });
+
+  test('the server limits a token to its collections', async () => {
+    const collections = await request('GET', '/collections', { token: reader.token });
+    assert.deepEqual(collections.body.collections.map(col => col.name), ['docs']);
+
+    const search = await request('POST', '/search', { token: reader.token, body: { query: 'docker', mode: 'bm25' } });
+    assert.deepEqual(search.body.results.map(result => result.filePath), [join(dir, 'docs', 'guide.md')]);
+
+    assert.equal((await request('GET', `/file?path=${encodeURIComponent(join(dir, 'docs', 'guide.md'))}`, { token: reader.token })).status, 200);
+    assert.equal((await request('GET', `/file?path=${encodeURIComponent(join(dir, 'private', 'salaries.md'))}`, { token: reader.token })).status, 403);
+    assert.equal((await request('GET', `/file?path=${encodeURIComponent(join(dir, 'private', 'salaries.md'))}`, { token: admin.token })).status, 200);
+  });
+
+  test('revoked tokens stop working', async () => {
+    assert.deepEqual(revokeToken('reader'), { name: 'reader', revoked: true });
+    assert.equal(authenticate(reader.token), null);
+    assert.equal((await request('GET', '/collections', { token: reader.token })).status, 401);
+    assert.throws(() => revokeToken('reader'), /Token "reader" not found/);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, openSync, writeSync, closeSync, readdirSync, rmSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { createBackup, listBackups, countRows } from '../src/backup.js';
+
+const FILES = 20;
+const CHUNKS_PER_FILE = 50;
+
+/**
+ * Fill a database with one collection, its files and enough chunks to
+ * span many pages
+ */
+function fill(connection) {
+  connection.prepare("INSERT INTO collections (name, base_path, glob_mask) VALUES ('notes', '/data/notes', '**/*.md')").run();
+  const addFile = connection.prepare("INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (1, ?, 'hash')");
+  const addChunk = connection.prepare('INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count) VALUES (?, ?, ?, 1, 1, 1)');
+
+  connection.transaction(() => {
+    for (let i = 0; i < FILES; i++) {
+      const fileId = addFile.run(`/data/notes/${i}.md`).lastInsertRowid;
+      for (let j = 0; j < CHUNKS_PER_FILE; j++) addChunk.run(fileId, j, `chunk ${i}.${j} ${'text '.repeat(40)}`);
+    }
+  })();
+}
+
+/**
+ * Overwrite leaf pages of the chunks table with garbage
+ */
+function damageChunkPages(connection, path, count) {
+  const pageSize = connection.pragma('page_size', { simple: true });
+  const pages = connection.prepare("SELECT pageno FROM dbstat WHERE name = 'chunks' AND pagetype = 'leaf' ORDER BY pageno").all();
+  closeDatabase();
+
+  const fd = openSync(path, 'r+');
+  const middle = Math.floor(pages.length / 2);
+  for (const { pageno } of pages.slice(middle, middle + count)) {
+    writeSync(fd, Buffer.alloc(pageSize, 0xa5), 0, pageSize, (pageno - 1) * pageSize);
+  }
+  closeSync(fd);
+}
+
+describe('backups and recovery', () => {
+  let dir;
+  let path;
+  let warnings;
+  let warn;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-backup-'));
+    path = join(dir, 'index.db');
+    fill(openDatabase({ path }));
+
+    warnings = [];
+    warn = console.warn;
+    console.warn = message => warnings.push(message);
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the newest backups', async () => {
+    const connection = openDatabase({ path });
+    const created = [];
+    for (let i = 0; i < 3; i++) {
+      created.push((await createBackup(connection, path, { keep: 2 })).path);
+      await sleep(5);
+    }
+
+    assert.deepEqual(listBackups(path).map(backup => backup.path), [created[2], created[1]]);
+    await assert.rejects(createBackup(connection, path, { keep: 0 }), /keep must be a positive number/);
+  });
+
+  test('restores the newest healthy backup of a damaged database', async () => {
+    const connection = openDatabase({ path });
+    await createBackup(connection, path);
+    connection.prepare("INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (1, '/data/notes/late.md', 'hash')").run();
+    damageChunkPages(connection, path, 2);
+
+    const restored = openDatabase({ path });
+    assert.deepEqual(countRows(restored), { collections: 1, files: FILES, chunks: FILES * CHUNKS_PER_FILE, embeddings: 0 });
+    assert.ok(readdirSync(dir).some(file => file.startsWith('index.db.corrupt-')));
+    assert.match(warnings.join('\n'), /Restored the backup of/);
+  });
+
+  test('salvages readable rows without a backup', () => {
+    const connection = openDatabase({ path });
+    damageChunkPages(connection, path, 2);
+
+    const salvaged = openDatabase({ path });
+    const counts = countRows(salvaged);
+    assert.equal(counts.collections, 1);
+    assert.equal(counts.files, FILES);
+    // Only the rows on the two damaged pages are lost
+    assert.ok(counts.chunks < FILES * CHUNKS_PER_FILE && counts.chunks > FILES * CHUNKS_PER_FILE - 100, `${counts.chunks} chunks`);
+    assert.match(warnings.join('\n'), /No healthy backup found. Salvaged 1 collections, 20 files/);
+
+    // Salvaged rows are searchable and the collection is flagged for re-chunking
+    assert.equal(salvaged.pragma('quick_check', { simple: true }), 'ok');
+    assert.equal(salvaged.prepare("SELECT COUNT(*) AS count FROM chunks_fts WHERE chunks_fts MATCH 'text'").get().count, counts.chunks);
+    assert.equal(salvaged.prepare('SELECT needs_rechunk FROM collections').get().needs_rechunk, 1);
+  });
+});
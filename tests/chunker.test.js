@@ -0,0 +1,160 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+import { search } from '../src/search.js';
+import { chunkMarkdown, chunkFile, detectChunker } from '../src/chunker.js';
+
+// Small enough that every section becomes its own chunk
+const SMALL = { chunkSize: 5, minChunkSize: 1 };
+
+const summary = chunks => chunks.map(chunk => [chunk.headingPath, chunk.startLine, chunk.endLine]);
+
+describe('heading breadcrumbs', () => {
+  test('record the headings each markdown chunk starts under', () => {
+    const markdown = [
+      'Intro line before any heading.', '',
+      '# Auth', '', 'Sign in with a password.', '',
+      '## OAuth', '', 'Redirect to the provider.', '',
+      '### Refresh tokens', '', 'Refresh before expiry.', '',
+      '## API keys', '', 'Send the key in a header.', '',
+      '# Billing', '', 'Invoices monthly.', ''
+    ].join('\n');
+
+    assert.deepEqual(summary(chunkMarkdown(markdown, SMALL)), [
+      [null, 1, 2],
+      ['Auth', 3, 6],
+      ['Auth > OAuth', 7, 10],
+      ['Auth > OAuth > Refresh tokens', 11, 14],
+      ['Auth > API keys', 15, 18],
+      ['Billing', 19, 22]
+    ]);
+  });
+
+  test('are fixed by the first line of a chunk that spans headings', () => {
+    const chunks = chunkMarkdown('# Guide\n\nShort.\n\n## Setup\n\nAlso short.\n', { chunkSize: 300, minChunkSize: 100 });
+    assert.deepEqual(summary(chunks), [['Guide', 1, 8]]);
+  });
+
+  test('ignore headings inside code fences', () => {
+    const chunks = chunkMarkdown('# Shell\n\n```sh\n# not a heading\necho hi\n```\n', SMALL);
+    assert.deepEqual(chunks.map(chunk => chunk.headingPath), ['Shell']);
+  });
+
+  test('start from headings already open (after frontmatter, in notebooks)', () => {
+    const chunks = chunkMarkdown('Body text.', { ...SMALL, headings: ['Guide', 'Setup'], startLine: 4 });
+    assert.deepEqual(summary(chunks), [['Guide > Setup', 4, 4]]);
+  });
+});
+
+describe('breadcrumbs in search', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-chunker-'));
+    openDatabase({ path: join(dir, 'index.db') });
+    // The second paragraph of each file is a chunk of its own, under the heading
+    const intro = 'An introduction long enough to fill the first chunk on its own.';
+    writeFileSync(join(dir, 'keys.md'), `# Rotation\n\n${intro}\n\nChange the signing keys every quarter.\n`);
+    writeFileSync(join(dir, 'garden.md'), `# Garden\n\n${intro}\n\nPlan the crop rotation every quarter.\n`);
+    addCollection('docs', dir, '**/*.md', { chunkSize: 10, minChunkSize: 1 });
+    indexCollections();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('make chunks findable by the headings above them', async () => {
+    const results = await search('rotation signing', { mode: 'bm25' });
+    assert.equal(results.length, 1);
+    assert.equal(results[0].headingPath, 'Rotation');
+    assert.equal(results[0].text, 'Change the signing keys every quarter.');
+  });
+
+  test('weigh a heading match above a match in the text', async () => {
+    const results = await search('rotation quarter', { mode: 'bm25' });
+    assert.deepEqual(results.map(r => [r.filePath.slice(dir.length + 1), r.headingPath]), [
+      ['keys.md', 'Rotation'],
+      ['garden.md', 'Garden']
+    ]);
+  });
+});
+
+describe('format chunkers', () => {
+  const chunks = (filePath, content, options = SMALL) => chunkFile(filePath, content, options)
+    .map(chunk => [chunk.chunker, chunk.headingPath, chunk.startLine, chunk.endLine, chunk.text]);
+
+  test('picks a chunker by extension, then by content', () => {
+    assert.equal(detectChunker('notes.rst'), 'rst');
+    assert.equal(detectChunker('main.PY'), 'code');
+    assert.equal(detectChunker('page', '<!DOCTYPE html><html>'), 'html');
+    assert.equal(detectChunker('export', '{"cells": [], "nbformat": 4}'), 'notebook');
+    assert.equal(detectChunker('README', '# Title\n'), 'markdown');
+    assert.equal(detectChunker('README', 'plain words'), 'text');
+    assert.throws(() => chunkFile('a.md', 'x', { chunker: 'pdf' }), /Unknown chunker: pdf/);
+  });
+
+  test('reStructuredText titles by underline style', () => {
+    assert.deepEqual(chunks('guide.rst', 'Guide\n=====\n\nIntro text here.\n\nInstall\n-------\n\nRun the installer.\n'), [
+      ['rst', 'Guide', 1, 5, 'Guide\n=====\n\nIntro text here.'],
+      ['rst', 'Guide > Install', 6, 10, 'Install\n-------\n\nRun the installer.']
+    ]);
+  });
+
+  test('org headlines by star count', () => {
+    assert.deepEqual(chunks('guide.org', '* Guide\nIntro text.\n** Install\nRun it.\n'), [
+      ['org', 'Guide', 1, 2, '* Guide\nIntro text.'],
+      ['org', 'Guide > Install', 3, 5, '** Install\nRun it.']
+    ]);
+  });
+
+  test('HTML as text with headings, entities decoded and source lines kept', () => {
+    const html = '<html><head><style>p { color: red }</style></head>\n<body>\n<h1>Guide</h1>\n<p>Intro &amp; more.</p>\n<h2>Install</h2>\n<ul><li>One</li><li>Two</li></ul>\n</body></html>\n';
+    assert.deepEqual(chunks('guide.html', html), [
+      ['html', 'Guide', 3, 4, '# Guide\n\nIntro & more.'],
+      ['html', 'Guide > Install', 5, 6, '## Install\n\n- One\n- Two']
+    ]);
+  });
+
+  test('notebooks by cell, numbered by cell, headings carried into code cells', () => {
+    const notebook = JSON.stringify({
+      nbformat: 4,
+      cells: [
+        { cell_type: 'markdown', source: ['# Analysis\n', 'Load data.'] },
+        { cell_type: 'raw', source: 'skipped' },
+        { cell_type: 'code', source: 'import pandas as pd' }
+      ]
+    });
+    assert.deepEqual(chunks('analysis.ipynb', notebook), [
+      ['notebook', 'Analysis', 1, 1, '# Analysis\nLoad data.'],
+      ['notebook', 'Analysis', 3, 3, 'import pandas as pd']
+    ]);
+  });
+
+  test('rejects a broken notebook (indexing then falls back to text)', () => {
+    assert.throws(() => chunkFile('broken.ipynb', '{"cells": ['), /Invalid notebook JSON/);
+  });
+
+  test('code at top-level declarations, with leading comments, named by symbol', () => {
+    const python = 'import os\n\n\n# Helper\ndef load(path):\n    return open(path).read()\n\n\nclass Store:\n    def get(self):\n        return 1\n';
+    assert.deepEqual(chunks('store.py', python, { chunkSize: 10 }), [
+      ['code', null, 1, 3, 'import os'],
+      ['code', 'load', 4, 8, '# Helper\ndef load(path):\n    return open(path).read()'],
+      ['code', 'Store', 9, 12, 'class Store:\n    def get(self):\n        return 1']
+    ]);
+
+    const js = "import x from 'y';\n\n/** Doc */\nexport function one() {\n  return 1;\n}\n\nexport class Two {\n  run() {}\n}\n";
+    assert.deepEqual(chunks('one.js', js, { chunkSize: 8 }).map(chunk => chunk.slice(1, 4)), [[null, 1, 2], ['one', 3, 7], ['Two', 8, 11]]);
+  });
+
+  test('code merges small declarations up to the chunk size', () => {
+    const js = 'function a() {}\nfunction b() {}\nfunction c() {}\n';
+    assert.deepEqual(chunks('small.js', js, {}).map(chunk => chunk.slice(1, 4)), [['a', 1, 4]]);
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, renameSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection, updateCollection, getCollection, resolveFileInCollections, resolveIndexedFile } from '../src/collections.js';
+import { indexCollections, storeEmbeddings, getUnembbeddedChunks } from '../src/indexer.js';
+
+describe('resolving files in nested collections', () => {
+  let dir;
+  let outer;
+  let inner;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-collections-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    mkdirSync(join(dir, 'docs', 'api'), { recursive: true });
+    writeFileSync(join(dir, 'docs', 'guide.md'), '# Guide\n\nStart here.\n');
+    writeFileSync(join(dir, 'docs', 'api', 'endpoints.md'), '# Endpoints\n\nGET /search.\n');
+    writeFileSync(join(dir, 'docs', 'api', 'notes.txt'), 'Only the outer collection indexes text files.\n');
+
+    addCollection('docs', join(dir, 'docs'), '**/*.{md,txt}');
+    addCollection('api', join(dir, 'docs', 'api'), '**/*.md');
+    indexCollections();
+    outer = getCollection('docs');
+    inner = getCollection('api');
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const nameOf = resolved => resolved?.collection.name ?? null;
+
+  test('picks the innermost collection, whatever the order they were added in', () => {
+    assert.equal(nameOf(resolveFileInCollections(join(dir, 'docs', 'api', 'endpoints.md'))), 'api');
+    assert.equal(nameOf(resolveIndexedFile(join(dir, 'docs', 'api', 'endpoints.md'))), 'api');
+    assert.equal(nameOf(resolveIndexedFile(join(dir, 'docs', 'guide.md'))), 'docs');
+  });
+
+  test('only considers the permitted collections', () => {
+    const file = join(dir, 'docs', 'api', 'endpoints.md');
+    assert.equal(nameOf(resolveIndexedFile(file, [outer.id])), 'docs');
+    assert.equal(nameOf(resolveIndexedFile(file, [inner.id])), 'api');
+    assert.equal(resolveIndexedFile(join(dir, 'docs', 'guide.md'), [inner.id]), null);
+  });
+
+  test('falls back to an outer collection that indexed the file', () => {
+    const file = join(dir, 'docs', 'api', 'notes.txt');
+    assert.equal(nameOf(resolveFileInCollections(file)), 'api');
+    assert.equal(nameOf(resolveIndexedFile(file)), 'docs');
+    assert.equal(resolveIndexedFile(file, [inner.id]), null);
+  });
+
+  test('ignores files outside every collection', () => {
+    writeFileSync(join(dir, 'outside.md'), '# Outside\n');
+    assert.equal(resolveFileInCollections(join(dir, 'outside.md')), null);
+    assert.equal(resolveIndexedFile(join(dir, 'missing.md')), null);
+  });
+});
+
+describe('moving a collection', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-move-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    mkdirSync(join(dir, 'old', 'guides'), { recursive: true });
+    writeFileSync(join(dir, 'old', 'index.md'), '# Index\n\nWelcome.\n');
+    writeFileSync(join(dir, 'old', 'guides', 'deploy.md'), '# Deploy\n\nShip it.\n');
+
+    addCollection('notes', join(dir, 'old'));
+    indexCollections();
+    storeEmbeddings(getUnembbeddedChunks().map(chunk => ({ chunkId: chunk.id, vector: [1, 0, 0, 0], model: 'test', provider: 'openai' })));
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const snapshot = () => db.prepare(`
+    SELECT f.file_path, f.file_hash, c.id AS chunk_id, e.embedding
+    FROM file_metadata f
+    JOIN chunks c ON c.file_metadata_id = f.id
+    LEFT JOIN embeddings e ON e.chunk_id = c.id
+    ORDER BY c.id
+  `).all();
+
+  test('rewrites paths and keeps chunks and embeddings', () => {
+    const before = snapshot();
+    renameSync(join(dir, 'old'), join(dir, 'new'));
+
+    const result = updateCollection('notes', { basePath: join(dir, 'new') });
+    assert.deepEqual(result.moved, { files: 2, missing: 0 });
+    assert.equal(result.rechunk, false);
+
+    const after = snapshot();
+    assert.deepEqual(after.map(row => row.file_path), before.map(row => row.file_path.replace(join(dir, 'old'), join(dir, 'new'))));
+    assert.deepEqual(after.map(({ file_hash, chunk_id, embedding }) => [file_hash, chunk_id, embedding]),
+      before.map(({ file_hash, chunk_id, embedding }) => [file_hash, chunk_id, embedding]));
+    assert.ok(after.every(row => row.embedding !== null));
+  });
+
+  test('has nothing to re-index or re-embed afterwards', () => {
+    const result = indexCollections();
+    assert.equal(result.indexed, 0);
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(getUnembbeddedChunks(), []);
+  });
+
+  test('counts files missing under the new base path', () => {
+    mkdirSync(join(dir, 'partial'));
+    renameSync(join(dir, 'new', 'index.md'), join(dir, 'partial', 'index.md'));
+    assert.deepEqual(updateCollection('notes', { basePath: join(dir, 'partial') }).moved, { files: 2, missing: 1 });
+  });
+});
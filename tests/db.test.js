@@ -0,0 +1,90 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+
+const CLI = resolve('src/cli.js');
+
+describe('database location', () => {
+  let home;
+  // Imported once HOME points at a scratch directory: profiles live under it
+  let dbModule;
+  let collections;
+  const env = { ...process.env };
+
+  before(async () => {
+    home = mkdtempSync(join(tmpdir(), 'ddsearch-home-'));
+    process.env.HOME = home;
+    delete process.env.DDSEARCH_DB;
+    delete process.env.DDSEARCH_PROFILE;
+    dbModule = await import('../src/db.js');
+    collections = await import('../src/collections.js');
+  });
+
+  after(() => {
+    dbModule.closeDatabase();
+    process.env = env;
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  const withEnv = (vars, fn) => {
+    Object.assign(process.env, vars);
+    try {
+      return fn();
+    } finally {
+      for (const key of Object.keys(vars)) delete process.env[key];
+    }
+  };
+
+  test('prefers a path, then a profile, then the environment, then the default', () => {
+    const { resolveDatabasePath } = dbModule;
+    const profiles = join(home, '.ddsearch', 'profiles');
+
+    assert.equal(resolveDatabasePath(), join(home, '.ddsearch', 'ddsearch.db'));
+    assert.equal(resolveDatabasePath({ path: 'rel/index.db' }), resolve('rel/index.db'));
+    assert.equal(resolveDatabasePath({ profile: 'work' }), join(profiles, 'work.db'));
+
+    withEnv({ DDSEARCH_DB: 'env.db', DDSEARCH_PROFILE: 'home' }, () => {
+      assert.equal(resolveDatabasePath(), resolve('env.db'));
+      assert.equal(resolveDatabasePath({ profile: 'work' }), join(profiles, 'work.db'));
+    });
+    withEnv({ DDSEARCH_PROFILE: 'home' }, () => {
+      assert.equal(resolveDatabasePath(), join(profiles, 'home.db'));
+    });
+  });
+
+  test('rejects ambiguous or unsafe choices', () => {
+    const { resolveDatabasePath } = dbModule;
+    assert.throws(() => resolveDatabasePath({ path: 'a.db', profile: 'work' }), /either a database path or a profile/);
+    assert.throws(() => resolveDatabasePath({ profile: '../escape' }), /Invalid profile name/);
+  });
+
+  test('keeps profiles apart and lists them', () => {
+    const { openDatabase, getDatabasePath, listProfiles } = dbModule;
+    assert.deepEqual(listProfiles(), []);
+
+    openDatabase({ profile: 'work' });
+    collections.addCollection('work-notes', home);
+    openDatabase({ profile: 'personal' });
+    assert.equal(getDatabasePath(), join(home, '.ddsearch', 'profiles', 'personal.db'));
+    assert.deepEqual(collections.getCollections(), []);
+
+    openDatabase({ profile: 'work' });
+    assert.deepEqual(collections.getCollections().map(col => col.name), ['work-notes']);
+    assert.deepEqual(listProfiles(), ['personal', 'work']);
+    assert.equal(existsSync(join(home, '.ddsearch', 'ddsearch.db')), false);
+  });
+
+  test('lets the CLI pick the database with --db and --profile', () => {
+    const run = (...args) => execFileSync(process.execPath, [CLI, ...args], { env: { ...process.env, HOME: home }, encoding: 'utf-8' });
+    const dbPath = join(home, 'elsewhere', 'index.db');
+
+    run('--db', dbPath, 'collection', 'add', home, '--name', 'elsewhere');
+    assert.ok(existsSync(dbPath));
+    assert.match(run('--db', dbPath, 'collection', 'list'), /elsewhere/);
+    assert.doesNotMatch(run('--profile', 'personal', 'collection', 'list'), /elsewhere/);
+    assert.match(run('--profile', 'personal', 'profiles'), /^\* personal$/m);
+  });
+});
@@ -0,0 +1,99 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { discoverFiles, createFileFilter, isIgnoreFile, parseGlobList, formatGlobList } from '../src/discovery.js';
+
+describe('glob lists', () => {
+  test('store one glob as is and several as JSON', () => {
+    assert.equal(formatGlobList(['**/*.md']), '**/*.md');
+    assert.equal(formatGlobList(['**/*.md', '**/*.txt']), '["**/*.md","**/*.txt"]');
+    assert.equal(formatGlobList([]), null);
+    assert.deepEqual(parseGlobList('["**/*.md","**/*.txt"]'), ['**/*.md', '**/*.txt']);
+    assert.deepEqual(parseGlobList('[abc].md'), ['[abc].md']);
+    assert.deepEqual(parseGlobList(null), []);
+  });
+});
+
+describe('discoverFiles', () => {
+  let base;
+  let collection;
+
+  const files = {
+    '.gitignore': 'build/\n*.log\n!keep.log\n',
+    '.ddsearchignore': '# drafts stay private\ndrafts/\n',
+    'guide.md': '# Guide\n',
+    'debug.log': 'noise\n',
+    'keep.log': 'kept\n',
+    'build/out.md': '# Generated\n',
+    'drafts/idea.md': '# Idea\n',
+    // Never read: its directory is ignored
+    'drafts/.gitignore': '!idea.md\n',
+    'sub/.gitignore': 'secret.md\n',
+    'sub/ok.md': '# Ok\n',
+    'sub/secret.md': '# Secret\n',
+    'vendor/lib.md': '# Vendored\n',
+    'big.md': `# Big\n\n${'x'.repeat(2048)}\n`,
+    'notes.txt': 'Not in the mask\n'
+  };
+
+  before(() => {
+    base = mkdtempSync(join(tmpdir(), 'ddsearch-discovery-'));
+    for (const [path, content] of Object.entries(files)) {
+      mkdirSync(dirname(join(base, path)), { recursive: true });
+      writeFileSync(join(base, path), content);
+    }
+    collection = {
+      base_path: base,
+      glob_mask: formatGlobList(['**/*.md', '**/*.log']),
+      exclude: formatGlobList(['vendor/**']),
+      use_gitignore: 1,
+      max_file_size: 1024
+    };
+  });
+
+  after(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  const relative = list => list.map(path => path.slice(base.length + 1));
+
+  test('applies masks, excludes, ignore files and the size cap', () => {
+    const { files: found } = discoverFiles(collection);
+    assert.deepEqual(relative(found), ['guide.md', 'keep.log', 'sub/ok.md']);
+  });
+
+  test('explains why each file is skipped', () => {
+    const { skipped } = discoverFiles(collection, { explain: true });
+    assert.deepEqual(Object.fromEntries(skipped.map(({ filePath, reason }) => [relative([filePath])[0], reason])), {
+      'big.md': '2.0 KB, over the 1.0 KB limit',
+      'build/out.md': 'ignored by .gitignore:1',
+      'debug.log': 'ignored by .gitignore:2',
+      'drafts/idea.md': 'ignored by .ddsearchignore:2',
+      'sub/secret.md': 'ignored by sub/.gitignore:1',
+      'vendor/lib.md': 'excluded by vendor/**'
+    });
+  });
+
+  test('prunes ignored directories from the scan unless a later rule re-includes', () => {
+    const filter = createFileFilter(collection);
+    // build/ comes before !keep.log, so only later rules can prune
+    assert.deepEqual(filter.prune, ['sub/**/secret.md/**', '**/drafts/**']);
+
+    const { skipped } = discoverFiles(collection);
+    assert.deepEqual(relative(skipped.map(entry => entry.filePath)), ['big.md', 'build/out.md', 'debug.log']);
+  });
+
+  test('reads .gitignore files only with use_gitignore', () => {
+    const { files: found } = discoverFiles({ ...collection, use_gitignore: 0 });
+    assert.deepEqual(relative(found), ['build/out.md', 'debug.log', 'guide.md', 'keep.log', 'sub/ok.md', 'sub/secret.md']);
+  });
+
+  test('recognizes the ignore files that change a collection', () => {
+    assert.equal(isIgnoreFile(collection, join(base, '.ddsearchignore')), true);
+    assert.equal(isIgnoreFile(collection, join(base, 'sub', '.ddsearchignore')), false);
+    assert.equal(isIgnoreFile(collection, join(base, 'sub', '.gitignore')), true);
+    assert.equal(isIgnoreFile({ ...collection, use_gitignore: 0 }, join(base, '.gitignore')), false);
+  });
+});
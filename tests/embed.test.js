@@ -0,0 +1,128 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection, updateCollection, getCollection } from '../src/collections.js';
+import { indexCollections, embedCollections, countStaleEmbeddings } from '../src/indexer.js';
+import { resolveEmbeddingConfig } from '../src/embeddings.js';
+import { search } from '../src/search.js';
+
+// Vector size per model served by the fake embedding server
+const MODEL_DIMENSIONS = { 'small-v1': 8, 'small-v2': 12 };
+
+/**
+ * Deterministic bag-of-letters vector, so texts sharing words score higher
+ */
+function fakeEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const char of text.toLowerCase()) {
+    if (char >= 'a' && char <= 'z') vector[char.charCodeAt(0) % dimensions]++;
+  }
+  return vector;
+}
+
+describe('switching a collection to a new model', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-embed-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const { model, input } = JSON.parse(body);
+        requests.push({ model, count: input.length });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ data: input.map(text => ({ embedding: fakeEmbedding(text, MODEL_DIMENSIONS[model]) })) }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    const docs = join(dir, 'docs');
+    mkdirSync(docs);
+    writeFileSync(join(docs, 'install.md'), '# Install\n\nRun npm install to set up the project.\n');
+    writeFileSync(join(docs, 'deploy.md'), '# Deploy\n\nShip the build to production with docker.\n');
+    writeFileSync(join(docs, 'cache.md'), '# Cache\n\nRedis keeps hot keys in memory.\n');
+
+    addCollection('docs', docs, '**/*.md', { embeddingProvider: 'openai-compatible', embeddingModel: 'small-v1', embeddingBaseUrl: baseUrl });
+    indexCollections({ collectionName: 'docs' });
+  });
+
+  after(async () => {
+    closeDatabase();
+    await new Promise(resolve => server.close(resolve));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const storedModels = () => db.prepare('SELECT DISTINCT embedding_model as model, dimensions FROM embeddings').all();
+  const quietly = async (fn) => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.warn = warn;
+    }
+  };
+
+  test('embeds with the collection model', async () => {
+    const result = await embedCollections({ collectionName: 'docs' });
+    assert.equal(result.totalEmbedded, 3);
+    assert.deepEqual(storedModels(), [{ model: 'small-v1', dimensions: 8 }]);
+
+    const results = await search('npm install', { mode: 'vector', collectionName: 'docs', limit: 1 });
+    assert.match(results[0].filePath, /install\.md$/);
+  });
+
+  test('validates the new embedding settings', () => {
+    assert.throws(() => updateCollection('docs', { embeddingProvider: 'nope' }), /Unknown embedding provider/);
+    // A new openai-compatible provider has no base URL to fall back on
+    assert.throws(() => updateCollection('docs', { embeddingBaseUrl: null }), /requires a base URL/);
+    assert.equal(getCollection('docs').embedding_base_url, baseUrl);
+  });
+
+  test('marks vectors of the old model stale', async () => {
+    const result = updateCollection('docs', { embeddingModel: 'small-v2' });
+    assert.equal(result.stale, true);
+    assert.deepEqual(result.embeddings, { provider: 'openai-compatible', model: 'small-v2', baseUrl });
+
+    const config = resolveEmbeddingConfig(getCollection('docs'));
+    assert.equal(countStaleEmbeddings(getCollection('docs').id, config), 3);
+
+    // Vector search skips stale vectors, BM25 still finds the chunks
+    assert.deepEqual(await quietly(() => search('npm install', { mode: 'vector', collectionName: 'docs' })), []);
+    const hybrid = await quietly(() => search('npm install', { mode: 'hybrid', collectionName: 'docs' }));
+    assert.match(hybrid[0].filePath, /install\.md$/);
+  });
+
+  test('keeps vectors current when only the base URL changes', () => {
+    const result = updateCollection('docs', { embeddingBaseUrl: baseUrl });
+    assert.equal(result.stale, false);
+  });
+
+  test('re-embeds stale vectors with the new model', async () => {
+    requests.length = 0;
+    const result = await embedCollections({ collectionName: 'docs', reembedStale: true });
+    assert.equal(result.totalReembedded, 3);
+    assert.equal(result.totalStale, 0);
+    assert.ok(requests.every(request => request.model === 'small-v2'));
+    assert.deepEqual(storedModels(), [{ model: 'small-v2', dimensions: 12 }]);
+
+    const collection = getCollection('docs');
+    assert.equal(collection.embedding_dimensions, 12);
+    assert.equal(countStaleEmbeddings(collection.id, resolveEmbeddingConfig(collection)), 0);
+
+    const results = await search('npm install', { mode: 'vector', collectionName: 'docs', limit: 1 });
+    assert.match(results[0].filePath, /install\.md$/);
+    assert.equal(results[0].stale, undefined);
+  });
+});
@@ -0,0 +1,101 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+import { search } from '../src/search.js';
+import { normalizeMetadataFilters } from '../src/query.js';
+import { parseFrontmatter, extractMetadata, normalizeDate } from '../src/frontmatter.js';
+
+describe('parseFrontmatter', () => {
+  test('reads scalars, inline lists and block lists', () => {
+    const { data, body, bodyStartLine } = parseFrontmatter([
+      '---',
+      'title: "Release notes"',
+      'tags: [ops, "deploy"]',
+      'aliases:',
+      '  - notes',
+      '  - changelog',
+      '# a comment',
+      'status: done',
+      '---',
+      '# Heading'
+    ].join('\n'));
+
+    assert.deepEqual(data, { title: 'Release notes', tags: ['ops', 'deploy'], aliases: ['notes', 'changelog'], status: 'done' });
+    assert.equal(body, '# Heading');
+    assert.equal(bodyStartLine, 10);
+  });
+
+  test('leaves documents without well-formed frontmatter alone', () => {
+    for (const content of ['# Just a heading', '---\ntitle: never closed\n', 'text\n---\ntitle: x\n---']) {
+      assert.deepEqual(parseFrontmatter(content), { data: {}, body: content, bodyStartLine: 1 });
+    }
+  });
+
+  test('extractMetadata normalizes title, tags and date', () => {
+    assert.deepEqual(extractMetadata({ title: 'Notes', tag: 'a, b', date: '2024-05-10T08:00:00Z' }), { title: 'Notes', tags: ['a', 'b'], date: '2024-05-10' });
+    assert.deepEqual(extractMetadata({ title: ['not', 'a', 'string'], date: 'yesterday' }), { title: null, tags: [], date: null });
+    assert.equal(normalizeDate('2024-13-45'), null);
+  });
+});
+
+describe('frontmatter filters in search', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-frontmatter-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    writeFileSync(join(dir, 'deploy.md'), '---\ntitle: Deploying\ntags: [ops, howto]\ndate: 2024-05-10\nstatus: done\n---\n# Deploy\n\nShip the release with docker.\n');
+    writeFileSync(join(dir, 'rollback.md'), '---\ntags:\n  - ops\ndate: 2023-11-02\nstatus: draft\n---\n# Rollback\n\nRevert the release when docker fails.\n');
+    writeFileSync(join(dir, 'plain.md'), '# Plain\n\nA release note without frontmatter mentions docker.\n');
+    addCollection('docs', dir);
+    indexCollections();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const files = async (metadata, query = 'release docker') => {
+    const results = await search(query, { mode: 'bm25', metadata: metadata && normalizeMetadataFilters(metadata) });
+    return results.map(r => r.filePath.slice(dir.length + 1)).sort();
+  };
+
+  test('stores the metadata and indexes only the body', () => {
+    const row = db.prepare("SELECT title, tags, doc_date, frontmatter FROM file_metadata WHERE file_path LIKE '%deploy.md'").get();
+    assert.deepEqual(row, {
+      title: 'Deploying',
+      tags: '["ops","howto"]',
+      doc_date: '2024-05-10',
+      frontmatter: '{"title":"Deploying","tags":["ops","howto"],"date":"2024-05-10","status":"done"}'
+    });
+
+    const chunk = db.prepare("SELECT chunk_text, start_line FROM chunks WHERE chunk_text LIKE '# Deploy%'").get();
+    assert.equal(chunk.start_line, 7);
+    assert.doesNotMatch(chunk.chunk_text, /status/);
+  });
+
+  test('filters by tag, key and date range', async () => {
+    assert.deepEqual(await files(null), ['deploy.md', 'plain.md', 'rollback.md']);
+    assert.deepEqual(await files({ tags: 'OPS' }), ['deploy.md', 'rollback.md']);
+    assert.deepEqual(await files({ tags: ['ops', 'howto'] }), ['deploy.md']);
+    assert.deepEqual(await files({ where: 'status=draft' }), ['rollback.md']);
+    assert.deepEqual(await files({ after: '2024-01-01' }), ['deploy.md']);
+    assert.deepEqual(await files({ before: '2024-01-01' }), ['rollback.md']);
+  });
+
+  test('finds documents by their title', async () => {
+    assert.deepEqual(await files(null, 'deploying'), ['deploy.md']);
+  });
+
+  test('rejects malformed filters', () => {
+    assert.throws(() => normalizeMetadataFilters({ where: 'status' }), /Use key=value/);
+    assert.throws(() => normalizeMetadataFilters({ after: 'last week' }), /Invalid after date/);
+  });
+});
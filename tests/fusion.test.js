@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseResults, resolveFusionConfig, validateFusionConfig, DEFAULT_FUSION } from '../src/fusion.js';
+
+// BM25 raw scores are negative (lower is better); `score` is the per-list
+// normalized score the searches return
+const bm25 = [
+  { chunkId: 1, score: 1, rawScore: -9 },
+  { chunkId: 2, score: 0.5, rawScore: -4.5 },
+  { chunkId: 3, score: 0.1, rawScore: -0.9 }
+];
+const vector = [
+  { chunkId: 2, score: 0.9, rawScore: 0.8 },
+  { chunkId: 4, score: 0.8, rawScore: 0.6 },
+  { chunkId: 1, score: 0.6, rawScore: 0.2 }
+];
+
+const fuse = (overrides) => fuseResults(bm25, vector, resolveFusionConfig(overrides));
+const ids = results => results.map(r => r.chunkId);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('resolveFusionConfig', () => {
+  test('prefers overrides, then collection defaults, then DEFAULT_FUSION', () => {
+    const collection = { fusion: 'rrf', rrf_k: 20, bm25_weight: null, vector_weight: 2, normalization: null, authority_weight: null };
+    assert.deepEqual(resolveFusionConfig({ vectorWeight: 3 }, collection), {
+      ...DEFAULT_FUSION,
+      fusion: 'rrf',
+      rrfK: 20,
+      vectorWeight: 3
+    });
+  });
+
+  test('rejects invalid settings', () => {
+    assert.throws(() => validateFusionConfig({ fusion: 'borda' }), /Invalid fusion strategy/);
+    assert.throws(() => validateFusionConfig({ normalization: 'l2' }), /Invalid normalization/);
+    assert.throws(() => validateFusionConfig({ rrfK: 0 }), /RRF k must be a positive number/);
+    assert.throws(() => validateFusionConfig({ bm25Weight: -1 }), /bm25Weight must be a non-negative number/);
+  });
+});
+
+describe('fuseResults', () => {
+  test('linear with max blends the per-list scores', () => {
+    const results = fuse({});
+    assert.deepEqual(ids(results), [1, 2, 4, 3]);
+    close(results[0].score, 0.4 * 1 + 0.6 * 0.6);
+    close(results[2].score, 0.6 * 0.8);
+    assert.deepEqual(results[0].rawScore, { bm25: 1, vector: 0.6, bm25Rank: 1, vectorRank: 3 });
+  });
+
+  test('linear scores are divided by the sum of the weights', () => {
+    const results = fuse({ bm25Weight: 2, vectorWeight: 2 });
+    close(results.find(r => r.chunkId === 1).score, (2 * 1 + 2 * 0.6) / 4);
+  });
+
+  test('minmax rescales each list from its raw scores', () => {
+    const results = fuse({ normalization: 'minmax' });
+    const one = results.find(r => r.chunkId === 1);
+    close(one.bm25Score, 1);
+    close(one.vectorScore, 0);
+    close(results.find(r => r.chunkId === 3).bm25Score, 0);
+  });
+
+  test('rrf uses ranks and scores a double first place as 1', () => {
+    const results = fuse({ fusion: 'rrf', rrfK: 60 });
+    assert.deepEqual(ids(results), [2, 1, 4, 3]);
+    close(results[0].score, (0.4 / 62 + 0.6 / 61) / (1 / 61));
+
+    const top = fuseResults([bm25[0]], [{ ...vector[2], chunkId: 1 }], resolveFusionConfig({ fusion: 'rrf' }));
+    close(top[0].score, 1);
+  });
+
+  test('zscore blends standard scores and maps them to 0-1', () => {
+    const results = fuse({ normalization: 'zscore' });
+    assert.deepEqual(ids(results), [2, 1, 4, 3]);
+    for (const result of results) {
+      assert.ok(result.score > 0 && result.score < 1);
+    }
+    // Missing from the BM25 list counts as its lowest score, not as average
+    assert.ok(results.find(r => r.chunkId === 4).score < 0.5);
+  });
+
+  test('zscore of an average result is 0.5', () => {
+    const flat = [{ chunkId: 1, score: 1, rawScore: -1 }, { chunkId: 2, score: 1, rawScore: -1 }];
+    const results = fuseResults(flat, [], resolveFusionConfig({ normalization: 'zscore', vectorWeight: 0 }));
+    close(results[0].score, 0.5);
+  });
+
+  test('keeps every fusion within 0-1, so one minScore fits all', () => {
+    for (const overrides of [{}, { normalization: 'minmax' }, { normalization: 'zscore' }, { fusion: 'rrf' }, { fusion: 'rrf', rrfK: 1 }]) {
+      for (const result of fuse(overrides)) {
+        assert.ok(result.score >= 0 && result.score <= 1, `${JSON.stringify(overrides)}: ${result.score}`);
+      }
+    }
+  });
+
+  test('scores nothing with zero weights', () => {
+    assert.ok(fuse({ bm25Weight: 0, vectorWeight: 0 }).every(r => r.score === 0));
+  });
+});
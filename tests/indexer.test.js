@@ -0,0 +1,84 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections, storeEmbeddings, getUnembbeddedChunks } from '../src/indexer.js';
+
+// Padded so each section reaches the 20-token chunk size on its own
+const section = (title, text) => `# ${title}\n\n${text} ${'filler '.repeat(20).trim()}\n`;
+
+describe('chunk-level content hashing', () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-indexer-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    file = join(dir, 'guide.md');
+    writeFileSync(file, [section('Install', 'Run npm install.'), section('Deploy', 'Ship with docker.'), section('Cache', 'Redis keeps keys.')].join('\n'));
+    addCollection('docs', dir, '**/*.md', { chunkSize: 20, minChunkSize: 5 });
+    indexCollections();
+
+    // Stand-in vectors, so reuse shows as embeddings that survive
+    storeEmbeddings(getUnembbeddedChunks().map(chunk => ({ chunkId: chunk.id, vector: [1, 0, 0], model: 'test-model', provider: 'openai' })));
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chunks = () => db.prepare(`
+    SELECT c.id, c.chunk_index, c.chunk_text, c.start_line, e.chunk_id IS NOT NULL as embedded
+    FROM chunks c LEFT JOIN embeddings e ON e.chunk_id = c.id
+    ORDER BY c.chunk_index
+  `).all();
+
+  test('splits the file into one chunk per section', () => {
+    assert.deepEqual(chunks().map(chunk => chunk.chunk_text.split('\n')[0]), ['# Install', '# Deploy', '# Cache']);
+    assert.ok(chunks().every(chunk => chunk.embedded));
+  });
+
+  test('keeps unchanged chunks and their embeddings when a section changes', () => {
+    const before = chunks();
+    writeFileSync(file, [section('Install', 'Run npm ci.'), section('Deploy', 'Ship with docker.'), section('Cache', 'Redis keeps keys.')].join('\n'));
+
+    const result = indexCollections();
+    assert.equal(result.indexed, 1);
+    assert.equal(result.reusedChunks, 2);
+    assert.equal(result.totalChunks, 1);
+
+    const after = chunks();
+    assert.deepEqual(after.slice(1).map(chunk => chunk.id), before.slice(1).map(chunk => chunk.id));
+    assert.deepEqual(after.map(chunk => Boolean(chunk.embedded)), [false, true, true]);
+    assert.equal(getUnembbeddedChunks().length, 1);
+  });
+
+  test('moves reused chunks to their new position', () => {
+    const byText = new Map(chunks().map(chunk => [chunk.chunk_text, chunk]));
+    writeFileSync(file, [section('Cache', 'Redis keeps keys.'), section('Deploy', 'Ship with docker.')].join('\n'));
+
+    const result = indexCollections();
+    assert.equal(result.reusedChunks, 2);
+    assert.equal(result.totalChunks, 0);
+
+    const after = chunks();
+    assert.equal(after.length, 2);
+    for (const chunk of after) {
+      assert.equal(chunk.id, byText.get(chunk.chunk_text).id);
+      assert.ok(chunk.embedded);
+    }
+    assert.deepEqual(after.map(chunk => [chunk.chunk_index, chunk.start_line]), [[0, 1], [1, 5]]);
+  });
+
+  test('reuses every chunk of an unchanged file on a full re-index', () => {
+    const result = indexCollections({ full: true });
+    assert.equal(result.indexed, 1);
+    assert.equal(result.reusedChunks, 2);
+    assert.equal(result.totalChunks, 0);
+  });
+});
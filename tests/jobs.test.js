@@ -0,0 +1,94 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { enqueueJob, cancelJob, getJob, runExclusive } from '../src/jobs.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+async function waitFor(job) {
+  while (job.finishedAt === null) await tick();
+  return job;
+}
+
+describe('jobs', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-jobs-'));
+    openDatabase({ path: join(dir, 'index.db') });
+    const add = db.prepare("INSERT INTO collections (name, base_path, glob_mask) VALUES (?, ?, '**/*.md')");
+    for (const name of ['a', 'b', 'c', 'd']) add.run(name, `/data/${name}`);
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const exists = name => Boolean(db.prepare('SELECT 1 FROM collections WHERE name = ?').get(name));
+
+  test('runs queued jobs one at a time', async () => {
+    const { job } = enqueueJob('remove', 'a');
+    assert.equal(job.status, 'queued');
+    await waitFor(job);
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.result, { name: 'a', deleted: true });
+    assert.equal(exists('a'), false);
+  });
+
+  test('drops a queued job on cancel', async () => {
+    let release;
+    const held = runExclusive(() => new Promise(resolve => { release = resolve; }));
+
+    const first = enqueueJob('remove', 'b').job;
+    const second = enqueueJob('remove', 'c').job;
+    await tick();
+
+    cancelJob(second.id);
+    assert.equal(second.status, 'cancelled');
+
+    release();
+    await held;
+    await waitFor(first);
+    assert.equal(first.status, 'succeeded');
+    assert.equal(exists('c'), true);
+  });
+
+  test('does not run a job cancelled while it waits for the writer', async () => {
+    let release;
+    const held = runExclusive(() => new Promise(resolve => { release = resolve; }));
+
+    const starting = enqueueJob('remove', 'c').job;
+    await tick();
+    assert.equal(starting.status, 'starting');
+
+    const waiting = enqueueJob('remove', 'd').job;
+    cancelJob(starting.id);
+
+    // The job still in the queue is left alone
+    assert.equal(waiting.status, 'queued');
+
+    release();
+    await held;
+    await waitFor(starting);
+    assert.equal(starting.status, 'cancelled');
+    assert.equal(starting.startedAt, null);
+    assert.equal(exists('c'), true);
+
+    await waitFor(waiting);
+    assert.equal(waiting.status, 'succeeded');
+    assert.equal(exists('d'), false);
+  });
+
+  test('refuses to cancel a finished job', async () => {
+    const { job } = enqueueJob('remove', 'missing');
+    await waitFor(job);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Collection "missing" not found');
+    assert.throws(() => cancelJob(job.id), /already failed/);
+    assert.equal(getJob(job.id), job);
+  });
+});
@@ -0,0 +1,98 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+import { extractLinks, getLinks, getBacklinks, boostByAuthority } from '../src/links.js';
+
+describe('extractLinks', () => {
+  test('finds wiki and relative markdown links with their line', () => {
+    const content = [
+      'See [[Setup]] and [[guides/deploy#Rollback|rolling back]].',
+      'Also [the API](../api/index.md#auth "API") and [home](/README.md).',
+      'Skip [web](https://example.com), [anchor](#top) and `[[code]]`.',
+      '```',
+      '[[fenced]]',
+      '```'
+    ].join('\n');
+
+    assert.deepEqual(extractLinks(content), [
+      { target: 'Setup', kind: 'wiki', line: 1 },
+      { target: 'guides/deploy', kind: 'wiki', line: 1 },
+      { target: '../api/index.md', kind: 'markdown', line: 2 },
+      { target: '/README.md', kind: 'markdown', line: 2 }
+    ]);
+  });
+
+  test('decodes escaped markdown destinations', () => {
+    assert.deepEqual(extractLinks('[notes](my%20notes.md?raw)'), [{ target: 'my notes.md', kind: 'markdown', line: 1 }]);
+  });
+});
+
+describe('link graph', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-links-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    mkdirSync(join(dir, 'guides'));
+    writeFileSync(join(dir, 'index.md'), '# Index\n\nStart with [[setup]], then [deploy](guides/deploy.md).\n');
+    writeFileSync(join(dir, 'setup.md'), '# Setup\n\nBack to [[Index]]. Missing: [[nowhere]].\n');
+    writeFileSync(join(dir, 'guides', 'deploy.md'), '# Deploy\n\nSee [setup](../setup) and [[index.md]].\n');
+    writeFileSync(join(dir, 'guides', 'setup.md'), '# Guide setup\n\nA same-named file in another folder.\n');
+    writeFileSync(join(dir, 'orphan.md'), '# Orphan\n\nLinks to [[guides/deploy]].\n');
+    addCollection('docs', dir);
+    indexCollections();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const relative = path => path && path.slice(dir.length + 1);
+
+  test('resolves links against the collection', () => {
+    const links = name => getLinks(join(dir, name)).links.map(link => [link.target, relative(link.path)]);
+
+    assert.deepEqual(links('index.md'), [['setup', 'setup.md'], ['guides/deploy.md', 'guides/deploy.md']]);
+    assert.deepEqual(links('setup.md'), [['Index', 'index.md'], ['nowhere', null]]);
+    // Wiki links with an extension; markdown links without one
+    assert.deepEqual(links('guides/deploy.md'), [['index.md', 'index.md'], ['../setup', 'setup.md']]);
+    assert.deepEqual(links('orphan.md'), [['guides/deploy', 'guides/deploy.md']]);
+  });
+
+  test('lists backlinks', () => {
+    const backlinks = getBacklinks(join(dir, 'setup.md')).backlinks.map(link => relative(link.path));
+    assert.deepEqual(backlinks, ['guides/deploy.md', 'index.md']);
+    assert.equal(getBacklinks(join(dir, 'missing.md')), null);
+  });
+
+  test('scores authority with PageRank, 1 for the most linked-to file', () => {
+    const authority = Object.fromEntries(db.prepare('SELECT file_path, authority FROM file_metadata').all()
+      .map(row => [relative(row.file_path), row.authority]));
+
+    assert.equal(Math.max(...Object.values(authority)), 1);
+    // Nobody links to these two; they keep only the base rank
+    assert.equal(authority['orphan.md'], authority['guides/setup.md']);
+    assert.ok(authority['guides/deploy.md'] > authority['orphan.md']);
+    assert.ok(authority['index.md'] > authority['guides/deploy.md']);
+    assert.ok(authority['setup.md'] > authority['guides/deploy.md']);
+  });
+
+  test('boosts results by authority without leaving 0-1', () => {
+    const chunkOf = name => db.prepare('SELECT c.id FROM chunks c JOIN file_metadata fm ON c.file_metadata_id = fm.id WHERE fm.file_path = ?').get(join(dir, name)).id;
+    const results = [
+      { chunkId: chunkOf('orphan.md'), score: 1 },
+      { chunkId: chunkOf('index.md'), score: 0.9 }
+    ];
+
+    boostByAuthority(results, 1);
+    assert.deepEqual(results.map(r => r.chunkId), [chunkOf('index.md'), chunkOf('orphan.md')]);
+    assert.ok(results.every(r => r.score > 0 && r.score <= 1));
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+
+const CLI = resolve('src/cli.js');
+
+describe('MCP server', () => {
+  let dir;
+  let dbPath;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-mcp-'));
+    dbPath = join(dir, 'index.db');
+    mkdirSync(join(dir, 'docs'));
+    writeFileSync(join(dir, 'docs', 'deploy.md'), '# Deploy\n\nShip the release with docker.\n\nThen tag it.\n');
+
+    openDatabase({ path: dbPath });
+    addCollection('docs', join(dir, 'docs'));
+    indexCollections();
+    closeDatabase();
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Send lines to `ddsearch mcp` and return the parsed stdout lines
+   */
+  const session = (messages) => {
+    const input = messages.map(message => (typeof message === 'string' ? message : JSON.stringify({ jsonrpc: '2.0', ...message }))).join('\n');
+    const stdout = execFileSync(process.execPath, [CLI, '--db', dbPath, 'mcp'], { input, encoding: 'utf-8', timeout: 30000, stdio: ['pipe', 'pipe', 'ignore'] });
+    return stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  };
+
+  const call = (id, name, args) => ({ id, method: 'tools/call', params: { name, arguments: args } });
+
+  test('answers every request in order with one JSON-RPC line and nothing else', () => {
+    const responses = session([
+      { id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '0' } } },
+      { method: 'notifications/initialized' },
+      { id: 2, method: 'tools/list' },
+      { id: 3, method: 'ping' }
+    ]);
+
+    assert.deepEqual(responses.map(response => [response.jsonrpc, response.id]), [['2.0', 1], ['2.0', 2], ['2.0', 3]]);
+    assert.equal(responses[0].result.protocolVersion, '2024-11-05');
+    assert.equal(responses[0].result.serverInfo.name, 'ddsearch');
+    assert.deepEqual(responses[1].result.tools.map(tool => tool.name), ['search', 'get_file', 'list_collections', 'index']);
+    assert.deepEqual(responses[2].result, {});
+  });
+
+  test('returns tool results as text content', () => {
+    const [search, file, index] = session([
+      call(1, 'search', { query: 'docker', mode: 'bm25' }),
+      call(2, 'get_file', { path: join(dir, 'docs', 'deploy.md'), startLine: 3, endLine: 3 }),
+      call(3, 'index', { collection: 'docs' })
+    ]);
+
+    const [hit] = JSON.parse(search.result.content[0].text);
+    assert.equal(search.result.content[0].type, 'text');
+    assert.equal(hit.path, join(dir, 'docs', 'deploy.md'));
+    assert.equal(hit.collection, 'docs');
+    assert.equal(file.result.content[0].text, 'Ship the release with docker.');
+    assert.deepEqual(JSON.parse(index.result.content[0].text), { indexed: 0, skipped: 1, removed: 0, chunks: 0, reused: 0 });
+  });
+
+  test('reports tool failures as results and protocol failures as errors', () => {
+    const responses = session([
+      call(1, 'get_file', { path: join(dir, 'outside.md') }),
+      call(2, 'search', { query: 'docker', collection: 'nope' }),
+      call(3, 'delete_everything', {}),
+      { id: 4, method: 'sampling/createMessage' },
+      'not json',
+      { id: 5, jsonrpc: '1.0', method: 'ping' },
+      // A response to a request the server never sent
+      { id: 6, result: {} }
+    ]);
+
+    assert.equal(responses.length, 6);
+    assert.equal(responses[0].result.isError, true);
+    assert.match(responses[0].result.content[0].text, /not within any collection/);
+    assert.equal(responses[1].result.isError, true);
+    assert.match(responses[1].result.content[0].text, /Collection "nope" not found/);
+    assert.deepEqual(responses.slice(2).map(response => [response.id, response.error.code]), [
+      [3, -32602], [4, -32601], [null, -32700], [5, -32600]
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { SCHEMA_VERSION, getSchemaVersion } from '../src/migrations.js';
+
+// Schema of a database written before versioning (user_version 0), before
+// most columns and the FTS title/heading columns were added
+const PRE_VERSIONING_SCHEMA = `
+  CREATE TABLE collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    base_path TEXT NOT NULL,
+    glob_mask TEXT NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+  );
+
+  CREATE TABLE file_metadata (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection_id INTEGER NOT NULL,
+    file_path TEXT NOT NULL,
+    file_hash TEXT NOT NULL,
+    indexed_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+    UNIQUE(collection_id, file_path)
+  );
+
+  CREATE TABLE chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_metadata_id INTEGER NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    chunk_text TEXT NOT NULL,
+    start_line INTEGER NOT NULL,
+    end_line INTEGER NOT NULL,
+    token_count INTEGER NOT NULL,
+    FOREIGN KEY (file_metadata_id) REFERENCES file_metadata(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE embeddings (
+    chunk_id INTEGER PRIMARY KEY,
+    embedding BLOB NOT NULL,
+    embedding_model TEXT NOT NULL DEFAULT 'text-embedding-3-small',
+    created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+    FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE CASCADE
+  );
+
+  CREATE VIRTUAL TABLE chunks_fts USING fts5(
+    chunk_text,
+    content=chunks,
+    content_rowid=id,
+    tokenize='porter unicode61'
+  );
+
+  CREATE TRIGGER chunks_ai AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts(rowid, chunk_text) VALUES (new.id, new.chunk_text);
+  END;
+
+  INSERT INTO collections (name, base_path, glob_mask) VALUES ('notes', '/data/notes', '**/*.md');
+  INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (1, '/data/notes/cache.md', 'hash');
+  INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count)
+    VALUES (1, 0, 'cache invalidation', 1, 1, 2);
+  INSERT INTO embeddings (chunk_id, embedding) VALUES (1, zeroblob(16));
+`;
+
+describe('schema migrations', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-migrations-'));
+    path = join(dir, 'index.db');
+  });
+
+  afterEach(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createDatabase = (sql, version) => {
+    const connection = new Database(path);
+    connection.exec(sql);
+    connection.pragma(`user_version = ${version}`);
+    connection.close();
+  };
+
+  const columns = (connection, table) => connection.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+  test('upgrades a database created before versioning', () => {
+    createDatabase(PRE_VERSIONING_SCHEMA, 0);
+
+    const connection = openDatabase({ path });
+    assert.equal(getSchemaVersion(connection), SCHEMA_VERSION);
+
+    for (const column of ['embedding_provider', 'embedding_dimensions', 'quantization', 'fusion', 'chunk_size', 'needs_rechunk', 'exclude', 'max_file_size']) {
+      assert.ok(columns(connection, 'collections').includes(column), `collections.${column}`);
+    }
+    for (const column of ['title', 'tags', 'frontmatter', 'authority']) {
+      assert.ok(columns(connection, 'file_metadata').includes(column), `file_metadata.${column}`);
+    }
+    for (const column of ['chunk_hash', 'heading_path', 'title', 'chunker']) {
+      assert.ok(columns(connection, 'chunks').includes(column), `chunks.${column}`);
+    }
+    for (const column of ['embedding_provider', 'dimensions', 'ann_list', 'embedding_q']) {
+      assert.ok(columns(connection, 'embeddings').includes(column), `embeddings.${column}`);
+    }
+    assert.deepEqual(columns(connection, 'chunks_fts'), ['chunk_text', 'heading_path', 'title']);
+    assert.deepEqual(columns(connection, 'api_tokens').slice(0, 3), ['id', 'name', 'token_hash']);
+    assert.deepEqual(columns(connection, 'ann_versions'), ['collection_id', 'version']);
+
+    // Existing rows survive and are backfilled
+    assert.deepEqual(connection.prepare('SELECT name, quantization, needs_rechunk FROM collections').get(), {
+      name: 'notes',
+      quantization: 'none',
+      needs_rechunk: 0
+    });
+    assert.equal(connection.prepare('SELECT chunker FROM chunks').pluck().get(), 'markdown');
+    assert.deepEqual(connection.prepare('SELECT embedding_provider, dimensions FROM embeddings').get(), {
+      embedding_provider: 'openai',
+      dimensions: 4
+    });
+    assert.deepEqual(connection.prepare("SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH 'cache'").pluck().all(), [1]);
+  });
+
+  test('leaves a current database unchanged', () => {
+    openDatabase({ path });
+    closeDatabase();
+
+    const connection = openDatabase({ path });
+    assert.equal(getSchemaVersion(connection), SCHEMA_VERSION);
+  });
+
+  test('refuses a database written by a newer version', () => {
+    createDatabase(PRE_VERSIONING_SCHEMA, SCHEMA_VERSION + 1);
+
+    assert.throws(() => openDatabase({ path }), new RegExp(`schema version ${SCHEMA_VERSION + 1} is newer than this ddsearch supports \\(${SCHEMA_VERSION}\\)`));
+    assert.throws(() => openDatabase({ path, migrate: false }), /is newer than this ddsearch supports/);
+
+    // Nothing was changed
+    const connection = new Database(path, { readonly: true });
+    assert.equal(getSchemaVersion(connection), SCHEMA_VERSION + 1);
+    assert.ok(!columns(connection, 'collections').includes('quantization'));
+    connection.close();
+  });
+});
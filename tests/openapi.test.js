@@ -0,0 +1,173 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { OPENAPI_DOCUMENT, getOperation, checkRoutes, validateSchema, validateRequest } from '../src/openapi.js';
+import { createServer } from '../src/server.js';
+import { closeDatabase } from '../src/db.js';
+
+const schemas = OPENAPI_DOCUMENT.components.schemas;
+
+describe('validateSchema', () => {
+  test('accepts a value matching any anyOf option', () => {
+    const mask = schemas.CollectionCreate.properties.mask;
+    assert.deepEqual(validateSchema(mask, '**/*.md'), []);
+    assert.deepEqual(validateSchema(mask, ['**/*.md', 'docs/**/*.html']), []);
+  });
+
+  test('names every anyOf option when none matches', () => {
+    const mask = schemas.CollectionCreate.properties.mask;
+    assert.deepEqual(validateSchema(mask, 42, 'body.mask'), [{ path: 'body.mask', message: 'must be string or array of string' }]);
+    // Each option's own constraints apply
+    assert.equal(validateSchema(mask, '').length, 1);
+    assert.equal(validateSchema(mask, []).length, 1);
+    assert.equal(validateSchema(mask, ['ok', '']).length, 1);
+  });
+
+  test('accepts null only where the type allows it', () => {
+    const { chunkSize } = schemas.CollectionUpdate.properties;
+    const { chunkSize: createChunkSize } = schemas.CollectionCreate.properties;
+    assert.deepEqual(validateSchema(chunkSize, null), []);
+    assert.deepEqual(validateSchema(chunkSize, 400), []);
+    assert.deepEqual(validateSchema(createChunkSize, null, 'chunkSize'), [{ path: 'chunkSize', message: 'must be integer' }]);
+    assert.deepEqual(validateSchema(chunkSize, 'big', 'chunkSize'), [{ path: 'chunkSize', message: 'must be integer or null' }]);
+  });
+
+  test('skips other constraints for null', () => {
+    assert.deepEqual(validateSchema({ type: ['string', 'null'], minLength: 1 }, null), []);
+    assert.equal(validateSchema({ type: ['string', 'null'], minLength: 1 }, '').length, 1);
+  });
+
+  test('checks enums, bounds and lengths', () => {
+    const { mode, limit, minScore } = schemas.SearchRequest.properties;
+    assert.deepEqual(validateSchema(mode, 'fuzzy', 'mode'), [{ path: 'mode', message: 'must be one of: hybrid, bm25, vector' }]);
+    assert.deepEqual(validateSchema(limit, 0, 'limit'), [{ path: 'limit', message: 'must be at least 1' }]);
+    assert.deepEqual(validateSchema(limit, 101, 'limit'), [{ path: 'limit', message: 'must be at most 100' }]);
+    assert.deepEqual(validateSchema(limit, 2.5, 'limit'), [{ path: 'limit', message: 'must be integer' }]);
+    assert.deepEqual(validateSchema(minScore, Infinity, 'minScore'), [{ path: 'minScore', message: 'must be number' }]);
+    assert.deepEqual(validateSchema({ type: 'string', minLength: 1 }, '', 'query'), [{ path: 'query', message: 'must not be empty' }]);
+  });
+
+  test('rejects unknown fields when additionalProperties is false', () => {
+    const errors = validateSchema(schemas.SearchRequest, { query: 'x', limt: 5 }, 'body');
+    assert.deepEqual(errors, [{ path: 'body.limt', message: 'is not a known field' }]);
+  });
+
+  test('validates unknown fields against an additionalProperties schema', () => {
+    const where = schemas.SearchRequest.properties.where;
+    assert.deepEqual(validateSchema(where, { status: 'done', year: 2024, draft: false }), []);
+    assert.deepEqual(validateSchema(where, ['status=done']), []);
+    assert.equal(validateSchema(where, { status: ['done'] }).length, 1);
+    assert.deepEqual(
+      validateSchema({ type: 'object', additionalProperties: { type: 'integer' } }, { a: 1, b: 'x' }, 'body'),
+      [{ path: 'body.b', message: 'must be integer' }]
+    );
+  });
+
+  test('reports missing required fields, nested paths and array items', () => {
+    const errors = validateSchema(schemas.CollectionCreate, { name: 'notes', mask: ['ok', 7] }, 'body');
+    assert.deepEqual(errors, [
+      { path: 'body.path', message: 'is required' },
+      { path: 'body.mask', message: 'must be string or array of string' }
+    ]);
+    assert.deepEqual(
+      validateSchema({ type: 'array', items: { type: 'string' } }, ['a', 1], 'tags'),
+      [{ path: 'tags[1]', message: 'must be string' }]
+    );
+  });
+
+  test('enforces minProperties', () => {
+    assert.deepEqual(validateSchema(schemas.CollectionUpdate, {}, 'body'), [{ path: 'body', message: 'must have at least 1 field' }]);
+  });
+
+  test('follows $ref', () => {
+    assert.deepEqual(validateSchema({ $ref: '#/components/schemas/IndexRequest' }, { full: 'yes' }, 'body'), [
+      { path: 'body.full', message: 'must be boolean' }
+    ]);
+  });
+});
+
+describe('validateRequest', () => {
+  test('accepts a valid search request', () => {
+    const operation = getOperation('/search', 'post');
+    assert.deepEqual(validateRequest(operation, { body: { query: 'cache', mode: 'bm25', limit: 5, collection: null } }), []);
+  });
+
+  test('prefixes body errors with body', () => {
+    const operation = getOperation('/search', 'post');
+    assert.deepEqual(validateRequest(operation, { body: { limit: 'ten' } }), [
+      { path: 'body.query', message: 'is required' },
+      { path: 'body.limit', message: 'must be integer' }
+    ]);
+  });
+
+  test('requires declared query parameters and rejects unknown ones', () => {
+    const operation = getOperation('/file', 'get');
+    assert.deepEqual(validateRequest(operation, { query: { path: '/data/a.md' } }), []);
+    assert.deepEqual(validateRequest(operation, { query: {} }), [{ path: 'query.path', message: 'is required' }]);
+    assert.deepEqual(validateRequest(operation, { query: { path: '/data/a.md', raw: '1' } }), [
+      { path: 'query.raw', message: 'is not a known parameter' }
+    ]);
+    assert.deepEqual(validateRequest(operation, { query: { path: '' } }), [{ path: 'query.path', message: 'must not be empty' }]);
+  });
+
+  test('rejects query parameters on operations that declare none', () => {
+    assert.deepEqual(validateRequest(getOperation('/collections', 'get'), { query: { verbose: 'true' } }), [
+      { path: 'query.verbose', message: 'is not a known parameter' }
+    ]);
+  });
+
+  test('checks path parameters', () => {
+    const operation = getOperation('/jobs/{id}', 'get');
+    assert.deepEqual(validateRequest(operation, { params: { id: 'abc' } }), []);
+    assert.deepEqual(validateRequest(operation, { params: {} }), [{ path: 'path.id', message: 'is required' }]);
+  });
+
+  test('requires an empty body where none is accepted', () => {
+    const operation = getOperation('/jobs/{id}/cancel', 'post');
+    assert.deepEqual(validateRequest(operation, { params: { id: 'abc' }, body: {} }), []);
+    assert.deepEqual(validateRequest(operation, { params: { id: 'abc' }, body: { force: true } }), [
+      { path: 'body', message: 'must be empty' }
+    ]);
+  });
+});
+
+describe('routes and the OpenAPI document', () => {
+  const documented = () => new Set(Object.entries(OPENAPI_DOCUMENT.paths)
+    .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`)));
+
+  test('checkRoutes accepts routes covering every operation', () => {
+    assert.doesNotThrow(() => checkRoutes(documented()));
+  });
+
+  test('checkRoutes names an operation without a route', () => {
+    const routes = documented();
+    routes.delete('post /jobs/{id}/cancel');
+    assert.throws(() => checkRoutes(routes), /^Error: POST \/jobs\/\{id\}\/cancel is in the OpenAPI document but has no route$/);
+  });
+
+  test('the server registers a route for every documented operation', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ddsearch-openapi-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const server = await createServer(0, '127.0.0.1', { db: join(dir, 'index.db') });
+      const { port } = server.address();
+
+      const response = await fetch(`http://127.0.0.1:${port}/openapi.json`);
+      assert.equal(response.status, 200);
+      assert.deepEqual(Object.keys((await response.json()).paths), Object.keys(OPENAPI_DOCUMENT.paths));
+
+      const missing = await fetch(`http://127.0.0.1:${port}/nope`);
+      assert.equal(missing.status, 404);
+      assert.equal((await missing.json()).code, 'NOT_FOUND');
+
+      await new Promise(resolve => server.close(resolve));
+    } finally {
+      console.log = log;
+      closeDatabase();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
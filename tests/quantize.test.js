@@ -0,0 +1,131 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { encodeEmbedding, vectorEncoding, setCollectionQuantization, getStorageStats } from '../src/quantize.js';
+import { MIGRATIONS } from '../src/migrations.js';
+import { decodeVector, cosineSimilarity, float32ArrayToFloat16Buffer, float32ArrayToInt8Buffer } from '../src/utils.js';
+
+const DIMENSIONS = 64;
+
+function randomVector(seed) {
+  const vector = new Float32Array(DIMENSIONS);
+  for (let i = 0; i < DIMENSIONS; i++) vector[i] = Math.sin(seed * 12.9898 + i * 78.233) * 0.5;
+  return vector;
+}
+
+describe('vector encodings', () => {
+  test('int8 stores one byte per dimension plus the scale', () => {
+    const { embedding, embeddingQ } = encodeEmbedding(randomVector(1), 'int8');
+    assert.equal(embedding.length, DIMENSIONS + 4);
+    assert.equal(embeddingQ, null);
+  });
+
+  test('int8 keeps cosine similarity close to float32', () => {
+    const query = randomVector(0);
+    for (let seed = 1; seed < 50; seed++) {
+      const vector = randomVector(seed);
+      const decoded = decodeVector(encodeEmbedding(vector, 'int8').embedding, DIMENSIONS, vectorEncoding('int8'));
+      assert.ok(Math.abs(cosineSimilarity(query, vector) - cosineSimilarity(query, decoded)) < 0.005);
+    }
+  });
+
+  test('int8 round-trips the zero vector', () => {
+    const decoded = decodeVector(float32ArrayToInt8Buffer(new Float32Array(4)), 4, 'int8');
+    assert.deepEqual([...decoded], [0, 0, 0, 0]);
+  });
+
+  test('binary stores sign bits plus a float16 copy', () => {
+    const { embedding, embeddingQ } = encodeEmbedding(randomVector(1), 'binary');
+    assert.equal(embedding.length, DIMENSIONS * 2);
+    assert.equal(embeddingQ.length, DIMENSIONS / 8);
+  });
+
+  test('decodes by length without an encoding', () => {
+    const vector = randomVector(2);
+    assert.equal(decodeVector(float32ArrayToFloat16Buffer(vector), DIMENSIONS).length, DIMENSIONS);
+    assert.deepEqual(decodeVector(encodeEmbedding(vector).embedding, DIMENSIONS), vector);
+  });
+});
+
+describe('collection quantization', () => {
+  let dir;
+  let collectionId;
+  const vectors = [];
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-quantize-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    collectionId = db.prepare("INSERT INTO collections (name, base_path, glob_mask) VALUES ('notes', '/data/notes', '**/*.md')").run().lastInsertRowid;
+    const fileId = db.prepare("INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (?, '/data/notes/a.md', 'hash')").run(collectionId).lastInsertRowid;
+    const addChunk = db.prepare("INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count) VALUES (?, ?, 'text', 1, 1, 1)");
+    const addEmbedding = db.prepare('INSERT INTO embeddings (chunk_id, embedding, dimensions) VALUES (?, ?, ?)');
+
+    for (let i = 0; i < 10; i++) {
+      const chunkId = addChunk.run(fileId, i).lastInsertRowid;
+      vectors.push(randomVector(i + 1));
+      addEmbedding.run(chunkId, encodeEmbedding(vectors[i]).embedding, DIMENSIONS);
+    }
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const storedVectors = (quantization) => db.prepare('SELECT embedding, dimensions FROM embeddings ORDER BY chunk_id').all()
+    .map(row => decodeVector(row.embedding, row.dimensions, vectorEncoding(quantization)));
+
+  test('int8 saves three quarters of float32', () => {
+    assert.deepEqual(setCollectionQuantization(collectionId, 'int8'), { quantization: 'int8', converted: 10 });
+
+    const stats = getStorageStats(collectionId);
+    assert.equal(stats.bytes, 10 * (DIMENSIONS + 4));
+    assert.equal(stats.float32Bytes, 10 * DIMENSIONS * 4);
+    assert.ok(stats.savedBytes / stats.float32Bytes > 0.7);
+  });
+
+  test('converts between modes from the current encoding', () => {
+    setCollectionQuantization(collectionId, 'binary');
+    assert.equal(getStorageStats(collectionId).bytes, 10 * (DIMENSIONS * 2 + DIMENSIONS / 8));
+
+    setCollectionQuantization(collectionId, 'none');
+    storedVectors('none').forEach((vector, i) => {
+      assert.ok(cosineSimilarity(vector, vectors[i]) > 0.999);
+    });
+  });
+});
+
+describe('int8 layout migration', () => {
+  test('replaces float16 copies and codes with scaled codes', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ddsearch-quantize-'));
+    try {
+      const connection = new Database(join(dir, 'index.db'));
+      for (const migration of MIGRATIONS.filter(m => m.version <= 3)) migration.up(connection);
+      connection.pragma('user_version = 3');
+
+      const vector = randomVector(3);
+      connection.exec(`
+        INSERT INTO collections (name, base_path, glob_mask, quantization) VALUES ('notes', '/data/notes', '**/*.md', 'int8');
+        INSERT INTO file_metadata (collection_id, file_path, file_hash) VALUES (1, '/data/notes/a.md', 'hash');
+        INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count) VALUES (1, 0, 'text', 1, 1, 1);
+      `);
+      connection.prepare('INSERT INTO embeddings (chunk_id, embedding, embedding_q, dimensions) VALUES (1, ?, ?, ?)')
+        .run(float32ArrayToFloat16Buffer(vector), Buffer.alloc(DIMENSIONS), DIMENSIONS);
+      connection.close();
+
+      const migrated = openDatabase({ path: join(dir, 'index.db') });
+      const row = migrated.prepare('SELECT embedding, embedding_q FROM embeddings').get();
+      assert.equal(row.embedding_q, null);
+      assert.equal(row.embedding.length, DIMENSIONS + 4);
+      assert.ok(cosineSimilarity(decodeVector(row.embedding, DIMENSIONS, 'int8'), vector) > 0.999);
+    } finally {
+      closeDatabase();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
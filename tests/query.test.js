@@ -0,0 +1,207 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { parseQuery, toFtsExpression, buildFilterClause, normalizeMetadataFilters } from '../src/query.js';
+
+describe('parseQuery', () => {
+  test('splits terms, phrases and prefixes', () => {
+    const parsed = parseQuery('install "getting started" auth*');
+    assert.deepEqual(parsed.must, [
+      { type: 'term', value: 'install', prefix: false },
+      { type: 'phrase', value: 'getting started', prefix: false },
+      { type: 'term', value: 'auth', prefix: true }
+    ]);
+    assert.deepEqual(parsed.not, []);
+    assert.deepEqual(parsed.filters, []);
+    assert.equal(parsed.text, 'install getting started auth');
+  });
+
+  test('folds OR chains into one group', () => {
+    const parsed = parseQuery('deploy docker OR podman OR kubernetes');
+    assert.equal(parsed.must.length, 2);
+    assert.deepEqual(parsed.must[1], {
+      type: 'or',
+      options: [
+        { type: 'term', value: 'docker', prefix: false },
+        { type: 'term', value: 'podman', prefix: false },
+        { type: 'term', value: 'kubernetes', prefix: false }
+      ]
+    });
+  });
+
+  test('collects exclusions and leaves them out of the embedding text', () => {
+    const parsed = parseQuery('cache -redis -"in memory"');
+    assert.deepEqual(parsed.not, [
+      { type: 'term', value: 'redis', prefix: false },
+      { type: 'phrase', value: 'in memory', prefix: false }
+    ]);
+    assert.equal(parsed.text, 'cache');
+  });
+
+  test('parses field filters, quoted values and negated filters', () => {
+    const parsed = parseQuery('setup collection:notes heading:"Getting started" -path:drafts/**');
+    assert.deepEqual(parsed.filters, [
+      { field: 'collection', value: 'notes', negated: false },
+      { field: 'heading', value: 'Getting started', negated: false },
+      { field: 'path', value: 'drafts/**', negated: true }
+    ]);
+    assert.equal(parsed.text, 'setup');
+  });
+
+  test('treats unknown fields as plain terms', () => {
+    const parsed = parseQuery('author:bob');
+    assert.deepEqual(parsed.filters, []);
+    assert.deepEqual(parsed.must, [{ type: 'term', value: 'author:bob', prefix: false }]);
+  });
+
+  test('drops tokens without letters or digits', () => {
+    const parsed = parseQuery('- * "" "--" OR heading:""');
+    assert.deepEqual(parsed, { must: [], not: [], filters: [], text: '' });
+  });
+
+  test('ignores OR at the edges and empty queries', () => {
+    assert.deepEqual(parseQuery('OR docs OR').must, [{ type: 'term', value: 'docs', prefix: false }]);
+    assert.deepEqual(parseQuery('').must, []);
+  });
+
+  test('reads an unterminated quote to the end of the query', () => {
+    const parsed = parseQuery('"open ended phrase');
+    assert.deepEqual(parsed.must, [{ type: 'phrase', value: 'open ended phrase', prefix: false }]);
+  });
+});
+
+describe('toFtsExpression', () => {
+  test('quotes every clause and ANDs them', () => {
+    assert.equal(toFtsExpression(parseQuery('install "getting started" auth*')), '"install" AND "getting started" AND "auth"*');
+  });
+
+  test('groups OR alternatives', () => {
+    assert.equal(toFtsExpression(parseQuery('deploy docker OR podman')), '"deploy" AND ("docker" OR "podman")');
+  });
+
+  test('appends exclusions with NOT', () => {
+    assert.equal(toFtsExpression(parseQuery('cache -redis -memcached')), '("cache") NOT ("redis" OR "memcached")');
+  });
+
+  test('escapes double quotes and FTS5 syntax', () => {
+    assert.equal(toFtsExpression(parseQuery('NEAR(a b) say"hi"')), '"NEAR(a" AND "b)" AND "say""hi"""');
+  });
+
+  test('returns an empty expression when nothing positive is searched for', () => {
+    assert.equal(toFtsExpression(parseQuery('-draft')), '');
+    assert.equal(toFtsExpression(parseQuery('collection:notes')), '');
+  });
+});
+
+describe('buildFilterClause', () => {
+  test('is empty without filters', () => {
+    assert.deepEqual(buildFilterClause(parseQuery('plain words')), { sql: '', params: [] });
+  });
+
+  test('ORs positive filters on one field and ANDs fields', () => {
+    const { sql, params } = buildFilterClause(parseQuery('x collection:a collection:b heading:Setup'));
+    assert.equal(sql, " AND (col.name = ? OR col.name = ?) AND ((lower(c.heading_path) REGEXP ? OR lower(c.chunk_text) REGEXP ?))");
+    assert.deepEqual(params, ['a', 'b', 'setup', '^#{1,6}\\s.*setup']);
+  });
+
+  test('wraps negated filters in NOT', () => {
+    const { sql, params } = buildFilterClause(parseQuery('x -collection:archive'));
+    assert.equal(sql, ' AND NOT (col.name = ?)');
+    assert.deepEqual(params, ['archive']);
+  });
+
+  test('escapes heading filters as literal text', () => {
+    const { params } = buildFilterClause(parseQuery('heading:"C++ (intro)"'));
+    assert.equal(params[0], 'c\\+\\+ \\(intro\\)');
+  });
+
+  test('limits to the allowed collections, or to none', () => {
+    assert.deepEqual(buildFilterClause(parseQuery('x'), { collectionIds: [3, 5] }), {
+      sql: ' AND fm.collection_id IN (?, ?)',
+      params: [3, 5]
+    });
+    assert.deepEqual(buildFilterClause(parseQuery('x'), { collectionIds: [] }), { sql: ' AND 0', params: [] });
+  });
+
+  test('routes exclusions through FTS only when asked', () => {
+    assert.deepEqual(buildFilterClause(parseQuery('x -draft')), { sql: '', params: [] });
+    assert.deepEqual(buildFilterClause(parseQuery('x -draft'), { excludeTerms: true }), {
+      sql: ' AND c.id NOT IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?)',
+      params: ['"draft"']
+    });
+  });
+
+  test('adds frontmatter conditions', () => {
+    const metadata = normalizeMetadataFilters({ tags: 'howto', where: ['status=done'], after: '2024-01-01' });
+    const { sql, params } = buildFilterClause(parseQuery('x'), { metadata });
+    assert.equal(sql.split(' AND ').length - 1, 3);
+    assert.deepEqual(params, ['howto', '$."status"', 'done', '2024-01-01']);
+  });
+});
+
+describe('buildFilterClause against a database', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-query-'));
+    openDatabase({ path: join(dir, 'index.db') });
+
+    const addCollection = db.prepare("INSERT INTO collections (name, base_path, glob_mask) VALUES (?, ?, '**/*.md')");
+    const addFile = db.prepare("INSERT INTO file_metadata (collection_id, file_path, file_hash, tags, doc_date, frontmatter) VALUES (?, ?, 'hash', ?, ?, ?)");
+    const addChunk = db.prepare("INSERT INTO chunks (file_metadata_id, chunk_index, chunk_text, start_line, end_line, token_count, heading_path) VALUES (?, 0, ?, 1, 1, 1, ?)");
+
+    const notes = addCollection.run('notes', '/data/notes').lastInsertRowid;
+    const docs = addCollection.run('docs', '/data/docs').lastInsertRowid;
+
+    addChunk.run(addFile.run(notes, '/data/notes/drafts/idea.md', '["idea"]', '2024-03-01', '{"status":"draft"}').lastInsertRowid, 'cache invalidation', 'Ideas');
+    addChunk.run(addFile.run(notes, '/data/notes/setup.md', '["howto"]', '2024-05-10', '{"status":"done"}').lastInsertRowid, '## Getting started\ncache setup', 'Setup');
+    addChunk.run(addFile.run(docs, '/data/docs/guide/cache.md', '["howto","Cache"]', '2023-12-24', '{"status":["done","reviewed"]}').lastInsertRowid, 'redis cache', 'Guide > Caching');
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const paths = (query, options = {}) => {
+    const filter = buildFilterClause(parseQuery(query), options);
+    return db.prepare(`
+      SELECT fm.file_path
+      FROM chunks c
+      JOIN file_metadata fm ON c.file_metadata_id = fm.id
+      JOIN collections col ON fm.collection_id = col.id
+      WHERE 1 ${filter.sql}
+      ORDER BY fm.file_path
+    `).all(...filter.params).map(row => row.file_path);
+  };
+
+  test('filters by collection', () => {
+    assert.deepEqual(paths('collection:docs'), ['/data/docs/guide/cache.md']);
+    assert.deepEqual(paths('-collection:docs'), ['/data/notes/drafts/idea.md', '/data/notes/setup.md']);
+  });
+
+  test('matches paths relative to the collection root', () => {
+    assert.deepEqual(paths('path:drafts'), ['/data/notes/drafts/idea.md']);
+    assert.deepEqual(paths('path:**/cache.md'), ['/data/docs/guide/cache.md']);
+    assert.deepEqual(paths('path:data/**'), []);
+  });
+
+  test('matches headings in the breadcrumb or the chunk text', () => {
+    assert.deepEqual(paths('heading:caching'), ['/data/docs/guide/cache.md']);
+    assert.deepEqual(paths('heading:"getting started"'), ['/data/notes/setup.md']);
+  });
+
+  test('applies frontmatter filters, matching list elements', () => {
+    const where = input => paths('', { metadata: normalizeMetadataFilters(input) });
+    assert.deepEqual(where({ tags: 'cache' }), ['/data/docs/guide/cache.md']);
+    assert.deepEqual(where({ where: 'status=done' }), ['/data/docs/guide/cache.md', '/data/notes/setup.md']);
+    assert.deepEqual(where({ after: '2024-01-01', before: '2024-04-01' }), ['/data/notes/drafts/idea.md']);
+  });
+
+  test('excludes terms through the FTS index', () => {
+    assert.deepEqual(paths('cache -redis', { excludeTerms: true }), ['/data/notes/drafts/idea.md', '/data/notes/setup.md']);
+  });
+});
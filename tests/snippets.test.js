@@ -0,0 +1,84 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection } from '../src/collections.js';
+import { indexCollections } from '../src/indexer.js';
+import { search } from '../src/search.js';
+import { HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, parseHighlighted, findTermMatches, buildSnippet, sentenceSnippet } from '../src/snippets.js';
+
+const marked = text => text.replaceAll('[', HIGHLIGHT_OPEN).replaceAll(']', HIGHLIGHT_CLOSE);
+const highlighted = snippet => snippet.highlights.map(h => snippet.text.slice(h.start, h.end));
+
+describe('snippet helpers', () => {
+  test('parseHighlighted returns offsets into the unmarked text', () => {
+    const text = 'Install the [cache] before the [cache] server';
+    const matches = parseHighlighted(marked(text));
+    const plain = text.replaceAll(/[[\]]/g, '');
+    assert.deepEqual(matches, [{ start: 12, end: 17 }, { start: 29, end: 34 }]);
+    assert.deepEqual(matches.map(m => plain.slice(m.start, m.end)), ['cache', 'cache']);
+  });
+
+  test('findTermMatches matches word prefixes of rough stems', () => {
+    const text = 'Indexing indexed files; the index indexes.';
+    assert.deepEqual(findTermMatches(text, ['indexes']).map(m => text.slice(m.start, m.end)), ['Indexing', 'indexed', 'index', 'indexes']);
+    assert.deepEqual(findTermMatches(text, ['"', '-']), []);
+  });
+
+  test('buildSnippet keeps short text whole', () => {
+    const snippet = buildSnippet('Redis keeps hot keys', [{ start: 0, end: 5 }]);
+    assert.deepEqual(snippet, { text: 'Redis keeps hot keys', start: 0, end: 20, highlights: [{ start: 0, end: 5 }] });
+  });
+
+  test('buildSnippet windows long text around the densest matches', () => {
+    const text = `${'lorem ipsum '.repeat(30)}the cache holds the cache keys ${'dolor sit '.repeat(30)}`;
+    const snippet = buildSnippet(text, findTermMatches(text, ['cache']), 80);
+
+    assert.ok(snippet.text.length <= 80);
+    assert.equal(text.slice(snippet.start, snippet.end), snippet.text);
+    assert.deepEqual(highlighted(snippet), ['cache', 'cache']);
+    // Snapped to word boundaries
+    assert.match(snippet.text, /^\S.*\S$/);
+    assert.equal(text[snippet.start - 1], ' ');
+  });
+
+  test('sentenceSnippet picks the sentence sharing most words with the query', () => {
+    const text = '# Cache\n\nThe server starts fast. Redis keeps hot keys in memory. Logs go to disk.';
+    const snippet = sentenceSnippet(text, ['redis', 'memory'], 40);
+    assert.equal(snippet.text, 'Redis keeps hot keys in memory.');
+    assert.deepEqual(highlighted(snippet), ['Redis', 'memory']);
+  });
+
+  test('sentenceSnippet falls back to the first sentence after the heading', () => {
+    const snippet = sentenceSnippet('# Cache\n\nThe server starts fast.', ['unrelated']);
+    assert.equal(snippet.text, 'The server starts fast.');
+    assert.deepEqual(snippet.highlights, []);
+  });
+});
+
+describe('snippets in search results', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-snippets-'));
+    openDatabase({ path: join(dir, 'index.db') });
+    writeFileSync(join(dir, 'cache.md'), `# Cache\n\n${'Nothing to see here. '.repeat(15)}Redis keeps hot keys in memory.\n`);
+    addCollection('docs', dir);
+    indexCollections();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('BM25 snippets highlight the matched terms at their offsets in the chunk', async () => {
+    const [result] = await search('redis memory', { mode: 'bm25' });
+    const { snippet } = result;
+
+    assert.equal(result.text.slice(snippet.start, snippet.end), snippet.text);
+    assert.deepEqual(highlighted(snippet), ['Redis', 'memory']);
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTokenizer, fitsTokenLimit } from '../src/tokenizer.js';
+import { chunkFile } from '../src/chunker.js';
+
+/**
+ * BPE tokenizer with the given input limit
+ */
+function tokenizerWithLimit(maxTokens) {
+  process.env.DDSEARCH_EMBED_MAX_TOKENS = String(maxTokens);
+  try {
+    return getTokenizer();
+  } finally {
+    delete process.env.DDSEARCH_EMBED_MAX_TOKENS;
+  }
+}
+
+/**
+ * Run fn with console.warn captured
+ */
+function captureWarnings(fn) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    return { result: fn(), warnings };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+describe('getTokenizer', () => {
+  test('knows the input limits of common models', () => {
+    assert.equal(getTokenizer({ provider: 'openai', model: 'text-embedding-3-small' }).name, 'cl100k_base/8191');
+    assert.equal(getTokenizer({ provider: 'openai-compatible', model: 'nomic-embed-text' }).maxTokens, 8192);
+    assert.equal(getTokenizer({ provider: 'openai-compatible', model: 'bge-small-en' }).maxTokens, 512);
+    assert.equal(getTokenizer({ provider: 'local', model: 'some/unknown-model' }).maxTokens, 512);
+    assert.equal(getTokenizer().maxTokens, 8191);
+  });
+
+  test('takes the limit from DDSEARCH_EMBED_MAX_TOKENS', () => {
+    assert.equal(tokenizerWithLimit(64).name, 'cl100k_base/64');
+  });
+
+  test('counts and splits with BPE', () => {
+    const tokenizer = getTokenizer();
+    assert.equal(tokenizer.count(''), 0);
+    assert.equal(tokenizer.count('hello world'), 2);
+    // Special tokens in documents are plain text
+    assert.ok(tokenizer.count('<|endoftext|>') > 1);
+
+    const text = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+    const pieces = tokenizer.split(text, 16);
+    assert.ok(pieces.length > 1);
+    assert.ok(pieces.every(piece => tokenizer.count(piece) <= 16));
+    assert.equal(pieces.join(''), text);
+    assert.deepEqual(tokenizer.split('short', 16), ['short']);
+  });
+
+  test('fitsTokenLimit', () => {
+    const tokenizer = tokenizerWithLimit(4);
+    assert.equal(fitsTokenLimit('one two', tokenizer), true);
+    assert.equal(fitsTokenLimit('one two three four five', tokenizer), false);
+  });
+});
+
+describe('chunks over the embedding limit', () => {
+  const tokenizer = tokenizerWithLimit(20);
+
+  test('are split at line breaks, keeping line numbers', () => {
+    // A code block is never split for size, only for the limit
+    const lines = Array.from({ length: 12 }, (_, i) => `line ${i} holds a few words`);
+    const content = ['# Code', '', '```', ...lines, '```'].join('\n');
+
+    const { result: chunks, warnings } = captureWarnings(() => chunkFile('big.md', content, { tokenizer, chunkSize: 1000 }));
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= tokenizer.maxTokens));
+    assert.deepEqual(chunks.map(chunk => chunk.chunkIndex), chunks.map((_, i) => i));
+    assert.equal(chunks[0].startLine, 1);
+    assert.equal(chunks.at(-1).endLine, 16);
+    assert.equal(chunks.map(chunk => chunk.text).join('\n'), content);
+    assert.match(warnings[0], /big\.md:1-16: chunk of \d+ tokens exceeds the 20-token embedding limit, split into \d+/);
+  });
+
+  test('split single long lines at token boundaries', () => {
+    const line = 'word '.repeat(60).trim();
+    const { result: chunks } = captureWarnings(() => chunkFile('long.txt', line, { tokenizer, chunkSize: 1000 }));
+    assert.equal(chunks.length, 3);
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= tokenizer.maxTokens && chunk.startLine === 1));
+  });
+
+  test('are left alone when they fit', () => {
+    const { result: chunks, warnings } = captureWarnings(() => chunkFile('small.md', '# Small\n\nFits.', { tokenizer }));
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(warnings, []);
+  });
+});
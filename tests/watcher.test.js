@@ -0,0 +1,84 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import db, { openDatabase, closeDatabase } from '../src/db.js';
+import { addCollection, updateCollection, removeCollection } from '../src/collections.js';
+import { watchCollections } from '../src/watcher.js';
+
+const DEBOUNCE_MS = 50;
+
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the watcher');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('watchCollections', () => {
+  let dir;
+  let watcher;
+  const logs = [];
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ddsearch-watch-'));
+    openDatabase({ path: join(dir, 'index.db') });
+    for (const name of ['notes', 'docs', 'moved']) mkdirSync(join(dir, name));
+    writeFileSync(join(dir, 'notes', 'first.md'), '# First\n\nAlready here.\n');
+
+    addCollection('notes', join(dir, 'notes'));
+    watcher = watchCollections({ debounceMs: DEBOUNCE_MS, embed: false, log: line => logs.push(line) });
+  });
+
+  after(async () => {
+    await watcher.close();
+    closeDatabase();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const indexed = path => Boolean(db.prepare('SELECT 1 FROM file_metadata WHERE file_path = ?').get(path));
+
+  test('indexes existing files on startup and changes afterwards', async () => {
+    await eventually(() => indexed(join(dir, 'notes', 'first.md')));
+
+    writeFileSync(join(dir, 'notes', 'second.md'), '# Second\n\nWritten while watching.\n');
+    await eventually(() => indexed(join(dir, 'notes', 'second.md')));
+  });
+
+  test('watches a collection added while running', async () => {
+    writeFileSync(join(dir, 'docs', 'before.md'), '# Before\n\nThere when the collection was added.\n');
+    addCollection('docs', join(dir, 'docs'));
+    await eventually(() => indexed(join(dir, 'docs', 'before.md')));
+
+    writeFileSync(join(dir, 'docs', 'after.md'), '# After\n\nWritten after.\n');
+    await eventually(() => indexed(join(dir, 'docs', 'after.md')));
+  });
+
+  test('follows a new mask and base path', async () => {
+    updateCollection('docs', { globMask: ['**/*.txt'] });
+    await eventually(() => logs.some(line => line.includes('docs') && line.includes('**/*.txt')));
+
+    writeFileSync(join(dir, 'docs', 'plain.txt'), 'Plain text notes.\n');
+    await eventually(() => indexed(join(dir, 'docs', 'plain.txt')));
+
+    writeFileSync(join(dir, 'moved', 'elsewhere.txt'), 'In the new location.\n');
+    updateCollection('docs', { basePath: join(dir, 'moved') });
+    await eventually(() => indexed(join(dir, 'moved', 'elsewhere.txt')));
+
+    // The old path is no longer watched
+    writeFileSync(join(dir, 'docs', 'ignored.txt'), 'Nobody is watching.\n');
+    await new Promise(resolve => setTimeout(resolve, DEBOUNCE_MS * 6));
+    assert.equal(indexed(join(dir, 'docs', 'ignored.txt')), false);
+  });
+
+  test('stops watching a removed collection', async () => {
+    removeCollection('notes');
+    await eventually(() => logs.includes('Stopped watching notes: collection removed'));
+
+    writeFileSync(join(dir, 'notes', 'third.md'), '# Third\n\nAfter removal.\n');
+    await new Promise(resolve => setTimeout(resolve, DEBOUNCE_MS * 6));
+    assert.equal(indexed(join(dir, 'notes', 'third.md')), false);
+  });
+});